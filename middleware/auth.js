@@ -1,15 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
+// Build a middleware that verifies the JWT found by getToken and sets req.user
+const authenticate = (getToken) => async (req, res, next) => {
   try {
-    let token;
-
-    // Check for token in header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getToken(req);
 
     // Make sure token exists
     if (!token) {
@@ -62,8 +57,23 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Authorize specific roles
-const authorize = (...roles) => {
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Protect routes - verify JWT token
+const protect = authenticate(getBearerToken);
+
+// Protect event streams - EventSource cannot send headers, so the token may also be
+// passed as ?token=
+const protectStream = authenticate(req => getBearerToken(req) || req.query.token);
+
+// Authorize specific roles or permissions, e.g. authorize('admin') or authorize('bookings:view')
+// Passing several grants access when any of them matches
+const authorize = (...rolesOrPermissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -72,7 +82,11 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const allowed = rolesOrPermissions.some(item =>
+      item.includes(':') ? req.user.hasPermission(item) : req.user.role === item
+    );
+
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         message: `Role ${req.user.role} tidak memiliki akses ke resource ini`
@@ -190,6 +204,7 @@ const rateLimiter = (windowMs = 15 * 60 * 1000, maxRequests = 100) => {
 
 module.exports = {
   protect,
+  protectStream,
   authorize,
   optionalAuth,
   authorize_owner_or_admin,
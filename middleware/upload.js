@@ -1,57 +1,20 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { saveFile, deleteStoredFile, getFileUrl } = require('../utils/storage');
 
-// Create uploads directory if it doesn't exist
-const createUploadDirs = () => {
-  const dirs = ['uploads', 'uploads/documents', 'uploads/rooms', 'uploads/temp'];
-  
-  dirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-      console.log(`Created directory: ${dir}`);
-    }
-  });
-};
+// Files are kept in memory until storeFile hands them to the storage driver (utils/storage.js)
+const storage = multer.memoryStorage();
 
-// Initialize upload directories
-createUploadDirs();
-
-// Configure multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let uploadPath = 'uploads/';
-
-    // Determine upload path based on file type or route
-    if (req.route.path.includes('document') || file.fieldname === 'document') {
-      uploadPath += 'documents/';
-    } else if (req.route.path.includes('room') || file.fieldname === 'image') {
-      uploadPath += 'rooms/';
-    } else {
-      uploadPath += 'temp/';
-    } 
-
-    // Ensure directory exists
-    const fs = require('fs');
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
+// Unique, sanitized filename for an upload
+const generateFilename = (originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalname);
+  const basename = path.basename(originalname, ext);
 
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const basename = path.basename(file.originalname, ext);
-    
-    // Sanitize filename
-    const sanitizedBasename = basename.replace(/[^a-zA-Z0-9]/g, '_');
-    const filename = `${sanitizedBasename}_${uniqueSuffix}${ext}`;
-    
-    cb(null, filename);
-  }
-});
+  // Sanitize filename
+  const sanitizedBasename = basename.replace(/[^a-zA-Z0-9]/g, '_');
+  return `${sanitizedBasename}_${uniqueSuffix}${ext.replace(/[^a-zA-Z0-9.]/g, '')}`;
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
@@ -134,6 +97,13 @@ const handleUploadError = (error, req, res, next) => {
       message: error.message
     });
   }
+
+  if (error && error.code === 'STORAGE_ERROR') {
+    return res.status(500).json({
+      success: false,
+      message: 'Gagal menyimpan file'
+    });
+  }
   
   next(error);
 };
@@ -144,10 +114,8 @@ const cleanupOnError = (req, res, next) => {
   
   res.send = function(data) {
     // If response is an error and file was uploaded, clean it up
-    if (res.statusCode >= 400 && req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
+    if (res.statusCode >= 400 && req.file && req.file.path) {
+      deleteFile(req.file.path).catch(err => console.error('Error deleting file:', err));
     }
     
     originalSend.call(this, data);
@@ -156,25 +124,39 @@ const cleanupOnError = (req, res, next) => {
   next();
 };
 
+// Middleware to store the uploaded file under a folder; afterwards req.file.path holds
+// the storage reference saved in the database (documentPath, image)
+const storeFile = (folder) => async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const filename = generateFilename(req.file.originalname);
+    req.file.path = await saveFile(folder, filename, req.file.buffer, req.file.mimetype);
+    req.file.filename = filename;
+    req.file.folder = folder;
+    delete req.file.buffer;
+    next();
+  } catch (error) {
+    console.error('Error storing file:', error);
+    error.code = 'STORAGE_ERROR';
+    next(error);
+  }
+};
+
 // Specific upload configurations
-const uploadDocument = upload.single('document');
-const uploadRoomImage = upload.single('image');
-
-// Utility function to delete file
-const deleteFile = (filepath) => {
-  return new Promise((resolve, reject) => {
-    if (!filepath) {
-      return resolve();
-    }
-    
-    fs.unlink(filepath, (err) => {
-      if (err && err.code !== 'ENOENT') {
-        console.error('Error deleting file:', err);
-        return reject(err);
-      }
-      resolve();
-    });
-  });
+const uploadDocument = [upload.single('document'), storeFile('documents')];
+const uploadRoomImage = [upload.single('image'), storeFile('rooms')];
+
+// Utility function to delete a stored file
+const deleteFile = async (filepath) => {
+  try {
+    await deleteStoredFile(filepath);
+  } catch (err) {
+    console.error('Error deleting file:', err);
+    throw err;
+  }
 };
 
 // Middleware to validate file existence
@@ -190,15 +172,17 @@ const validateFileExists = (req, res, next) => {
 
 // Middleware to generate file URL
 const generateFileUrl = (req, res, next) => {
-  if (req.file) {
+  // Documents are private and only reachable through signed URLs (utils/documents.js)
+  if (req.file && req.file.folder !== 'documents') {
     // Generate URL that can be accessed publicly
-    req.file.url = `${req.protocol}://${req.get('host')}/${req.file.path}`;
+    req.file.url = getFileUrl(req, req.file.path);
   }
   next();
 };
 
 module.exports = {
   upload,
+  storeFile,
   uploadDocument,
   uploadRoomImage,
   handleUploadError,
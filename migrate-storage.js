@@ -0,0 +1,145 @@
+// migrate-storage.js - Move stored files to another storage driver (see utils/storage.js)
+// and rewrite the documentPath / image fields that reference them.
+//
+//   npm run migrate:storage -- [--to local|s3] [--dry-run] [--keep-source]
+//
+// --to defaults to STORAGE_DRIVER. Files are copied first and only deleted from their old
+// location after every record referencing them was updated, so the command can be re-run
+// after an interruption. Documents shared by several records (recurring series, promoted
+// waitlist entries) are moved once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Booking = require('./models/Booking');
+const LibraryTour = require('./models/LibraryTour');
+const WaitlistEntry = require('./models/WaitlistEntry');
+const Room = require('./models/Room');
+
+const {
+  STORAGE_DRIVERS,
+  getStorageDriverName,
+  parseReference,
+  saveFile,
+  readFile,
+  deleteStoredFile
+} = require('./utils/storage');
+
+// Fields holding file references
+const FILE_FIELDS = [
+  { model: Booking, field: 'documentPath' },
+  { model: LibraryTour, field: 'documentPath' },
+  { model: WaitlistEntry, field: 'documentPath' },
+  { model: Room, field: 'image' }
+];
+
+const parseArgs = (args) => {
+  const toIndex = args.indexOf('--to');
+  return {
+    to: toIndex !== -1 ? args[toIndex + 1] : getStorageDriverName(),
+    dryRun: args.includes('--dry-run'),
+    keepSource: args.includes('--keep-source')
+  };
+};
+
+const readBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Every stored file reference and the fields that point to it
+const collectReferences = async () => {
+  const references = new Map();
+
+  for (const { model, field } of FILE_FIELDS) {
+    const values = await model.distinct(field, { [field]: { $nin: [null, ''] } });
+    values.forEach(reference => {
+      if (!references.has(reference)) {
+        references.set(reference, []);
+      }
+      references.get(reference).push({ model, field });
+    });
+  }
+
+  return references;
+};
+
+const migrateStorage = async () => {
+  const { to, dryRun, keepSource } = parseArgs(process.argv.slice(2));
+
+  if (!STORAGE_DRIVERS.includes(to)) {
+    throw new Error(`Storage driver "${to}" tidak dikenal (pilihan: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+  console.log(`Moving files to ${to}${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = { moved: 0, skipped: 0, missing: 0, invalid: 0, failed: 0, updatedRecords: 0 };
+  const references = await collectReferences();
+
+  for (const [reference, fields] of references) {
+    const parsed = parseReference(reference);
+
+    if (!parsed) {
+      console.warn(`Invalid reference, skipped: ${reference}`);
+      summary.invalid++;
+      continue;
+    }
+
+    if (parsed.driver === to) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const file = await readFile(reference);
+      if (!file) {
+        console.warn(`File not found, skipped: ${reference}`);
+        summary.missing++;
+        continue;
+      }
+
+      const [folder, ...filenameParts] = parsed.key.split('/');
+
+      if (dryRun) {
+        file.stream.destroy();
+        console.log(`Would move ${reference} (${fields.length} field(s))`);
+        summary.moved++;
+        continue;
+      }
+
+      const newReference = await saveFile(folder, filenameParts.join('/'), await readBuffer(file.stream), file.contentType, to);
+
+      for (const { model, field } of fields) {
+        const result = await model.updateMany({ [field]: reference }, { $set: { [field]: newReference } });
+        summary.updatedRecords += result.modifiedCount;
+      }
+
+      if (!keepSource) {
+        await deleteStoredFile(reference);
+      }
+
+      console.log(`Moved ${reference} -> ${newReference}`);
+      summary.moved++;
+    } catch (error) {
+      console.error(`Failed to move ${reference}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  console.log('Storage migration finished:', summary);
+  return summary;
+};
+
+migrateStorage()
+  .then(async (summary) => {
+    await mongoose.disconnect();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  })
+  .catch(async (error) => {
+    console.error('Storage migration error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const approvalChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nama alur persetujuan harus diisi'],
+    trim: true,
+    maxlength: [100, 'Nama alur persetujuan tidak boleh lebih dari 100 karakter']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deskripsi tidak boleh lebih dari 500 karakter']
+  },
+  // What the chain applies to
+  targetType: {
+    type: String,
+    required: [true, 'Jenis pengajuan harus diisi'],
+    enum: {
+      values: ['booking', 'tour'],
+      message: 'Jenis pengajuan harus berupa booking atau tour'
+    }
+  },
+  // Booking chains: specific room, null means all rooms
+  roomId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  // Tour chains: specific tour type, null means all tour types
+  tourType: {
+    type: String,
+    enum: {
+      values: ['general', 'academic', 'research', 'special'],
+      message: 'Jenis tur tidak valid'
+    },
+    default: null
+  },
+  // Only requests with at least this many participants go through the chain
+  minParticipants: {
+    type: Number,
+    min: [1, 'Minimal peserta harus lebih dari 0'],
+    default: null
+  },
+  // Ordered approval steps, e.g. unit head then head of library.
+  // A step without approvers can be decided by any admin.
+  steps: {
+    type: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Nama tahap harus diisi'],
+        trim: true,
+        maxlength: [100, 'Nama tahap tidak boleh lebih dari 100 karakter']
+      },
+      approvers: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      }]
+    }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'Alur persetujuan harus memiliki minimal satu tahap'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+approvalChainSchema.index({ targetType: 1, isActive: 1 });
+
+// Pre-save validation
+approvalChainSchema.pre('save', function(next) {
+  if (this.targetType === 'booking') {
+    this.tourType = null;
+  } else {
+    this.roomId = null;
+  }
+  next();
+});
+
+// Static method to find the chain that applies to a request.
+// Specific chains (room or tour type) win over general ones, then higher participant thresholds.
+approvalChainSchema.statics.findForRequest = async function(targetType, request) {
+  const query = { isActive: true, targetType };
+  let participants;
+
+  if (targetType === 'booking') {
+    query.roomId = { $in: [null, request.roomId] };
+    participants = request.participantsCount || 0;
+  } else {
+    query.tourType = { $in: [null, request.tourType] };
+    participants = request.numberOfParticipants || 0;
+  }
+
+  const chains = (await this.find(query))
+    .filter(chain => !chain.minParticipants || participants >= chain.minParticipants);
+
+  const specificity = (chain) => (chain.roomId || chain.tourType ? 1 : 0);
+
+  chains.sort((a, b) =>
+    (specificity(b) - specificity(a)) || ((b.minParticipants || 0) - (a.minParticipants || 0))
+  );
+
+  return chains[0] || null;
+};
+
+// Instance method to build the approval progress stored on a booking or tour
+approvalChainSchema.methods.toApproval = function() {
+  return {
+    chainId: this._id,
+    chainName: this.name,
+    currentStep: 0,
+    steps: this.steps.map(step => ({
+      name: step.name,
+      approvers: step.approvers,
+      status: 'pending'
+    }))
+  };
+};
+
+module.exports = mongoose.model('ApprovalChain', approvalChainSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { toLocalDateKey } = require('../utils/time');
+const { approvalProgressDefinition, attachApprovalChain } = require('../utils/approval');
+const { documentReviewDefinition } = require('../utils/documents');
+const { notifyStatusChange } = require('../utils/notifications');
+const { publishRequestEvent } = require('../utils/realtime');
+const { emitRequestEvent } = require('../utils/webhooks');
+
+// Check-in opens before the booking starts; approved bookings not checked in
+// within the grace period after the start are released as no-shows
+const CHECK_IN_OPENS_MINUTES = parseInt(process.env.CHECK_IN_OPENS_MINUTES, 10) || 30;
+const CHECK_IN_GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES, 10) || 15;
 
 const bookingSchema = new mongoose.Schema({
   userId: {
@@ -35,8 +46,8 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: {
-      values: ['pending', 'approved', 'rejected', 'cancelled', 'completed'],
-      message: 'Status harus berupa pending, approved, rejected, cancelled, atau completed'
+      values: ['pending', 'approved', 'rejected', 'cancelled', 'completed', 'no_show'],
+      message: 'Status harus berupa pending, approved, rejected, cancelled, completed, atau no_show'
     },
     default: 'pending'
   },
@@ -56,6 +67,8 @@ const bookingSchema = new mongoose.Schema({
       message: 'Path dokumen tidak valid'
     }
   },
+  // Review of the uploaded document (see utils/documents.js)
+  documentReview: documentReviewDefinition,
   // Additional fields for better tracking
   participantsCount: {
     type: Number,
@@ -87,11 +100,85 @@ const bookingSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Catatan tidak boleh lebih dari 1000 karakter']
   },
+  // Actual usage recorded at check-in and check-out, for reporting against startTime/endTime
+  actualStartTime: {
+    type: Date,
+    default: null
+  },
+  actualEndTime: {
+    type: Date,
+    default: null
+  },
+  checkInMethod: {
+    type: String,
+    enum: {
+      values: ['desk', 'qr'],
+      message: 'Metode check-in harus berupa desk atau qr'
+    },
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  checkedOutBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  checkOutMethod: {
+    type: String,
+    enum: {
+      values: ['desk', 'qr', 'self'],
+      message: 'Metode check-out harus berupa desk, qr atau self'
+    },
+    default: null
+  },
+  // Reminder emails before the start; the owner can opt out per request
+  remindersEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Reminders already sent, one entry per offset, so restarts don't send them again
+  remindersSent: [{
+    _id: false,
+    hoursBefore: Number,
+    sentAt: Date
+  }],
+  // Recurring series - all occurrences of one recurrence rule share a seriesId
+  seriesId: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  seriesIndex: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: {
+        values: ['daily', 'weekly', 'monthly'],
+        message: 'Frekuensi pengulangan harus berupa daily, weekly, atau monthly'
+      }
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Interval pengulangan minimal 1']
+    },
+    until: Date,
+    count: Number,
+    skipDates: [{
+      type: String
+    }]
+  },
   // Timestamps for status changes
   statusHistory: [{
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed']
+      enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed', 'no_show']
     },
     changedAt: {
       type: Date,
@@ -101,11 +188,18 @@ const bookingSchema = new mongoose.Schema({
       type: mongoose.Schema.ObjectId,
       ref: 'User'
     },
+    // Approval chain step decided with this change
+    approvalStep: {
+      type: String,
+      default: null
+    },
     note: {
       type: String,
       trim: true
     }
-  }]
+  }],
+  // Multi-step approval progress, set when an approval chain applies
+  approval: approvalProgressDefinition
 }, {
   timestamps: true
 });
@@ -120,6 +214,8 @@ bookingSchema.index({ createdAt: 1 }); // For date range queries
 bookingSchema.index({ status: 1, createdAt: 1 }); // For status filtering with date ranges
 bookingSchema.index({ userId: 1, status: 1 }); // For user bookings filtering
 bookingSchema.index({ roomId: 1, status: 1, startTime: 1 }); // For room availability queries
+bookingSchema.index({ seriesId: 1, startTime: 1 }); // For recurring series lookups
+bookingSchema.index({ status: 1, actualStartTime: 1, startTime: 1 }); // For no-show release
 
 // Virtual for duration in hours
 bookingSchema.virtual('duration').get(function() {
@@ -144,7 +240,7 @@ bookingSchema.pre('save', function(next) {
     
     // Validate booking duration
     const duration = (this.endTime - this.startTime) / (1000 * 60 * 60);
-    const isMultiDay = this.startTime.toDateString() !== this.endTime.toDateString();
+    const isMultiDay = toLocalDateKey(this.startTime) !== toLocalDateKey(this.endTime);
 
     // For single-day bookings, max 12 hours; for multi-day, no limit
     if (!isMultiDay && duration > 12) {
@@ -155,6 +251,23 @@ bookingSchema.pre('save', function(next) {
   next();
 });
 
+// Attach the approval chain matching the room and group size
+bookingSchema.pre('save', async function() {
+  if (this.isNew && this.status === 'pending') {
+    await attachApprovalChain(this, 'booking');
+  }
+  this.$locals.wasNew = this.isNew;
+});
+
+// Push new requests to real-time clients and webhooks
+bookingSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) {
+    doc.$locals.wasNew = false;
+    publishRequestEvent('booking', doc, 'created');
+    await emitRequestEvent('booking', doc, 'created');
+  }
+});
+
 // Static method to check for conflicts
 bookingSchema.statics.checkConflict = async function(roomId, startTime, endTime, excludeId = null) {
   const query = {
@@ -200,12 +313,15 @@ bookingSchema.statics.findByDateRange = function(startDate, endDate, roomId = nu
 };
 
 // Instance method to update status with history
-bookingSchema.methods.updateStatus = function(newStatus, adminNote = '', changedBy = null) {
+bookingSchema.methods.updateStatus = async function(newStatus, adminNote = '', changedBy = null, approvalStep = null) {
+  const previousStatus = this.status;
+
   // Add to status history
   this.statusHistory.push({
     status: newStatus,
     changedAt: new Date(),
     changedBy: changedBy,
+    approvalStep: approvalStep,
     note: adminNote
   });
   
@@ -215,9 +331,142 @@ bookingSchema.methods.updateStatus = function(newStatus, adminNote = '', changed
     this.adminNote = adminNote;
   }
   
+  const saved = await this.save();
+  await notifyStatusChange('booking', this, newStatus, { changedBy, note: adminNote });
+  publishRequestEvent('booking', this, newStatus === 'cancelled' ? 'cancelled' : 'status_changed', { previousStatus, changedBy });
+  await emitRequestEvent('booking', this, newStatus, { previousStatus, changedBy });
+  return saved;
+};
+
+// Instance method to get the check-in window: opens before the start, closes after the grace period
+bookingSchema.methods.getCheckInWindow = function() {
+  const closesAt = new Date(this.startTime.getTime() + CHECK_IN_GRACE_MINUTES * 60 * 1000);
+  return {
+    opensAt: new Date(this.startTime.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000),
+    closesAt: closesAt < this.endTime ? closesAt : this.endTime
+  };
+};
+
+// Instance method to explain why the booking can't be checked in now, or null when it can
+bookingSchema.methods.getCheckInError = function(now = new Date()) {
+  if (this.status !== 'approved') {
+    return 'Hanya booking dengan status approved yang dapat check-in';
+  }
+  if (this.actualStartTime) {
+    return 'Booking ini sudah check-in';
+  }
+
+  const { opensAt, closesAt } = this.getCheckInWindow();
+  if (now < opensAt) {
+    return `Check-in baru dibuka ${CHECK_IN_OPENS_MINUTES} menit sebelum waktu mulai`;
+  }
+  if (now > closesAt) {
+    return 'Batas waktu check-in sudah lewat';
+  }
+  return null;
+};
+
+// Instance method to explain why the booking can't be checked out, or null when it can
+bookingSchema.methods.getCheckOutError = function() {
+  if (this.status !== 'approved') {
+    return 'Hanya booking dengan status approved yang dapat check-out';
+  }
+  if (!this.actualStartTime) {
+    return 'Booking ini belum check-in';
+  }
+  return null;
+};
+
+// Instance method to record check-in ('desk' or 'qr')
+bookingSchema.methods.checkIn = function(userId, method = 'desk', now = new Date()) {
+  this.actualStartTime = now;
+  this.checkedInBy = userId;
+  this.checkInMethod = method;
+
+  this.statusHistory.push({
+    status: this.status,
+    changedAt: now,
+    changedBy: userId,
+    note: method === 'qr' ? 'Check-in dengan kode QR' : 'Check-in di meja layanan'
+  });
+
   return this.save();
 };
 
+const CHECK_OUT_NOTES = {
+  desk: 'Check-out di meja layanan',
+  qr: 'Check-out dengan kode QR',
+  self: 'Check-out oleh pemesan'
+};
+
+// Instance method to record check-out ('desk', 'qr' or 'self' by the owner), which completes the booking
+bookingSchema.methods.checkOut = function(userId, method = 'desk', now = new Date()) {
+  this.actualEndTime = now;
+  this.checkedOutBy = userId;
+  this.checkOutMethod = method;
+  return this.updateStatus('completed', CHECK_OUT_NOTES[method], userId);
+};
+
+// Static method to release approved bookings that were not checked in within the grace period
+bookingSchema.statics.releaseNoShows = async function(now = new Date()) {
+  const bookings = await this.find({
+    status: 'approved',
+    actualStartTime: null,
+    startTime: { $lte: new Date(now.getTime() - CHECK_IN_GRACE_MINUTES * 60 * 1000) }
+  });
+
+  for (const booking of bookings) {
+    await booking.updateStatus(
+      'no_show',
+      `Tidak check-in dalam ${CHECK_IN_GRACE_MINUTES} menit setelah waktu mulai`
+    );
+  }
+
+  return bookings;
+};
+
+// Static method to close approved bookings whose end time has passed.
+// Checked-in bookings are completed (check-out defaults to the scheduled end),
+// bookings never checked in are marked as no-shows.
+bookingSchema.statics.completeOverdue = async function(now = new Date()) {
+  const bookings = await this.find({
+    status: 'approved',
+    endTime: { $lte: now }
+  });
+
+  const completed = [];
+  const noShows = [];
+
+  for (const booking of bookings) {
+    if (booking.actualStartTime) {
+      if (!booking.actualEndTime) {
+        booking.actualEndTime = booking.endTime;
+      }
+      await booking.updateStatus('completed', 'Selesai otomatis setelah waktu berakhir');
+      completed.push(booking);
+    } else {
+      await booking.updateStatus('no_show', 'Tidak check-in hingga waktu berakhir');
+      noShows.push(booking);
+    }
+  }
+
+  return { completed, noShows };
+};
+
+// Static method to cancel pending bookings that were never reviewed before they started
+bookingSchema.statics.expireStalePending = async function(now = new Date()) {
+  const bookings = await this.find({
+    status: 'pending',
+    startTime: { $lte: now }
+  });
+
+  for (const booking of bookings) {
+    await booking.updateStatus('cancelled', 'Kedaluwarsa: tidak ditinjau sebelum waktu mulai');
+  }
+
+  return bookings;
+};
+
 // Pre-populate middleware removed to avoid conflicts
 // Populate is done explicitly in routes
 
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const {
+  LIBRARY_TIMEZONE,
+  toLocalDateKey,
+  fromLocalDateTime,
+  addDaysToDateKey
+} = require('../utils/time');
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const closureSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Nama penutupan harus diisi'],
+    trim: true,
+    maxlength: [200, 'Nama penutupan tidak boleh lebih dari 200 karakter']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Keterangan tidak boleh lebih dari 500 karakter']
+  },
+  // Closure type - holiday (public holiday), special_hours (e.g. Ramadan), adhoc
+  type: {
+    type: String,
+    enum: {
+      values: ['holiday', 'special_hours', 'adhoc'],
+      message: 'Jenis penutupan harus berupa holiday, special_hours, atau adhoc'
+    },
+    default: 'adhoc'
+  },
+  // Local (library) dates, inclusive
+  startDate: {
+    type: String,
+    required: [true, 'Tanggal mulai harus diisi'],
+    match: [DATE_KEY_REGEX, 'Format tanggal harus YYYY-MM-DD']
+  },
+  endDate: {
+    type: String,
+    required: [true, 'Tanggal selesai harus diisi'],
+    match: [DATE_KEY_REGEX, 'Format tanggal harus YYYY-MM-DD']
+  },
+  // Full-day closure, otherwise closed between startTime and endTime on each day
+  allDay: {
+    type: Boolean,
+    default: true
+  },
+  startTime: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || TIME_REGEX.test(v);
+      },
+      message: 'Format jam tidak valid (HH:MM)'
+    }
+  },
+  endTime: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || TIME_REGEX.test(v);
+      },
+      message: 'Format jam tidak valid (HH:MM)'
+    }
+  },
+  // Null means library-wide
+  roomId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  // Repeat on the same dates every year (e.g. Independence Day)
+  recurringYearly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+closureSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+closureSchema.index({ roomId: 1 });
+
+// Pre-save validation
+closureSchema.pre('save', function(next) {
+  if (this.endDate < this.startDate) {
+    return next(new Error('Tanggal selesai harus setelah atau sama dengan tanggal mulai'));
+  }
+
+  // Yearly closures may span new year, but not more than a year
+  if (this.recurringYearly && addDaysToDateKey(this.startDate, 365) <= this.endDate) {
+    return next(new Error('Penutupan tahunan tidak boleh lebih dari satu tahun'));
+  }
+
+  if (!this.allDay) {
+    if (!this.startTime || !this.endTime) {
+      return next(new Error('Jam mulai dan selesai harus diisi untuk penutupan sebagian hari'));
+    }
+    if (this.startTime.padStart(5, '0') >= this.endTime.padStart(5, '0')) {
+      return next(new Error('Jam selesai penutupan harus setelah jam mulai'));
+    }
+  }
+
+  next();
+});
+
+// Instance method to check whether the closure applies to a local date
+closureSchema.methods.appliesToDate = function(dateKey) {
+  if (!this.recurringYearly) {
+    return dateKey >= this.startDate && dateKey <= this.endDate;
+  }
+
+  // Yearly closures compare month-day, starting from the first year
+  if (dateKey < this.startDate) {
+    return false;
+  }
+
+  const monthDay = dateKey.slice(5);
+  const startMonthDay = this.startDate.slice(5);
+  const endMonthDay = this.endDate.slice(5);
+  const spansNewYear = this.endDate.slice(0, 4) !== this.startDate.slice(0, 4);
+
+  if (spansNewYear) {
+    return monthDay >= startMonthDay || monthDay <= endMonthDay;
+  }
+  return monthDay >= startMonthDay && monthDay <= endMonthDay;
+};
+
+// Instance method to get the closed interval on a local date
+closureSchema.methods.getIntervalForDate = function(dateKey, timeZone = LIBRARY_TIMEZONE) {
+  if (this.allDay) {
+    return {
+      start: fromLocalDateTime(dateKey, '00:00', timeZone),
+      end: fromLocalDateTime(addDaysToDateKey(dateKey, 1), '00:00', timeZone)
+    };
+  }
+
+  return {
+    start: fromLocalDateTime(dateKey, this.startTime, timeZone),
+    end: fromLocalDateTime(dateKey, this.endTime, timeZone)
+  };
+};
+
+// Instance method to get this closure's concrete closed intervals overlapping a time range.
+// Closure dates are read in the given timezone (the room's, or the library's by default).
+closureSchema.methods.getIntervals = function(startTime, endTime, timeZone = LIBRARY_TIMEZONE) {
+  const startKey = toLocalDateKey(startTime, timeZone);
+  const endKey = toLocalDateKey(endTime, timeZone);
+  const intervals = [];
+
+  for (let dateKey = startKey; dateKey <= endKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+    if (!this.appliesToDate(dateKey)) continue;
+
+    const interval = this.getIntervalForDate(dateKey, timeZone);
+    if (interval.start < endTime && interval.end > startTime) {
+      intervals.push({
+        closure: this,
+        date: dateKey,
+        allDay: this.allDay,
+        start: interval.start,
+        end: interval.end
+      });
+    }
+  }
+
+  return intervals;
+};
+
+// Static method to get concrete closed intervals overlapping a time range.
+// Pass roomId to include that room's closures; library-wide closures always apply.
+closureSchema.statics.findIntervals = async function(startTime, endTime, roomId = null, timeZone = LIBRARY_TIMEZONE) {
+  const startKey = toLocalDateKey(startTime, timeZone);
+  const endKey = toLocalDateKey(endTime, timeZone);
+
+  const query = {
+    isActive: true,
+    roomId: roomId ? { $in: [null, roomId] } : null,
+    $or: [
+      { recurringYearly: true },
+      { startDate: { $lte: endKey }, endDate: { $gte: startKey } }
+    ]
+  };
+
+  const closures = await this.find(query);
+  const intervals = closures.flatMap(closure => closure.getIntervals(startTime, endTime, timeZone));
+
+  return intervals.sort((a, b) => a.start - b.start);
+};
+
+// Static method to find the first closure overlapping a time range
+closureSchema.statics.checkConflict = async function(startTime, endTime, roomId = null, timeZone = LIBRARY_TIMEZONE) {
+  const intervals = await this.findIntervals(startTime, endTime, roomId, timeZone);
+  return intervals.length > 0 ? intervals[0] : null;
+};
+
+// Static method to build a user-facing message for a closed interval
+closureSchema.statics.describeInterval = function(interval) {
+  const subject = interval.closure.roomId ? 'Ruangan tutup' : 'Perpustakaan tutup';
+  const hours = interval.allDay ? '' : ` pukul ${interval.closure.startTime} - ${interval.closure.endTime}`;
+  return `${subject} pada ${interval.date}${hours} (${interval.closure.title})`;
+};
+
+// Static method to serialise a closed interval for API responses
+closureSchema.statics.toResponse = function(interval) {
+  return {
+    id: interval.closure._id,
+    title: interval.closure.title,
+    type: interval.closure.type,
+    roomId: interval.closure.roomId,
+    date: interval.date,
+    allDay: interval.allDay,
+    startTime: interval.start,
+    endTime: interval.end
+  };
+};
+
+module.exports = mongoose.model('Closure', closureSchema);
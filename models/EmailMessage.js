@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Outgoing emails are kept for 90 days
+const MESSAGE_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// One delivery event of a message
+const deliveryLogSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  attempt: Number,
+  transport: String,
+  providerMessageId: String,
+  error: String,
+  note: String
+}, { _id: false });
+
+// Email outbox: every outgoing email is stored first and delivered with retries
+const emailMessageSchema = new mongoose.Schema({
+  // Kind of email, e.g. 'booking_notification', for filtering the outbox
+  type: {
+    type: String,
+    required: [true, 'Jenis email harus diisi'],
+    trim: true
+  },
+  from: {
+    type: String,
+    required: [true, 'Pengirim email harus diisi']
+  },
+  to: {
+    type: String,
+    required: [true, 'Penerima email harus diisi'],
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subjek email harus diisi']
+  },
+  // Cleared after delivery for messages with one-time links (sensitive)
+  html: {
+    type: String,
+    default: null
+  },
+  attachments: [{
+    _id: false,
+    filename: String,
+    content: String,
+    contentType: String
+  }],
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a process delivers the message; stale claims are released by the outbox job
+  sendingStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  log: [deliveryLogSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: MESSAGE_RETENTION_SECONDS });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
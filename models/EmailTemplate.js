@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Admin-edited version of a built-in email and text message template (see utils/emailTemplates.js).
+// Templates without a document here use the built-in text.
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Kunci template harus diisi'],
+    trim: true
+  },
+  language: {
+    type: String,
+    required: [true, 'Bahasa template harus diisi'],
+    enum: {
+      values: ['id', 'en'],
+      message: 'Bahasa template harus berupa id atau en'
+    }
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subjek email harus diisi'],
+    trim: true,
+    maxlength: [200, 'Subjek email tidak boleh lebih dari 200 karakter']
+  },
+  heading: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Judul email tidak boleh lebih dari 200 karakter']
+  },
+  body: {
+    type: String,
+    required: [true, 'Isi email harus diisi'],
+    maxlength: [20000, 'Isi email tidak boleh lebih dari 20000 karakter']
+  },
+  // SMS/WhatsApp version; empty keeps the built-in text message
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Teks pesan singkat tidak boleh lebih dari 1000 karakter']
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+emailTemplateSchema.index({ key: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
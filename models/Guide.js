@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const {
+  toLocalDateKey,
+  toLocalMinutes,
+  parseTimeToMinutes,
+  getDayOfWeek
+} = require('../utils/time');
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Values match LibraryTour.language and LibraryTour.ageGroup
+const LANGUAGES = ['indonesia', 'english', 'acehnese'];
+const AGE_GROUPS = ['children', 'teenagers', 'adults', 'seniors', 'mixed'];
+
+const guideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nama pemandu harus diisi'],
+    trim: true,
+    maxlength: [100, 'Nama pemandu tidak boleh lebih dari 100 karakter']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Linked user account, lets the guide see their own schedule
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  languages: {
+    type: [{
+      type: String,
+      enum: {
+        values: LANGUAGES,
+        message: 'Pilihan bahasa tidak valid'
+      }
+    }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'Pemandu harus menguasai minimal satu bahasa'
+    }
+  },
+  // Age groups the guide handles; empty means all age groups
+  ageGroups: [{
+    type: String,
+    enum: {
+      values: AGE_GROUPS,
+      message: 'Kelompok usia tidak valid'
+    }
+  }],
+  // Weekly availability in library local time (0 = Sunday ... 6 = Saturday)
+  weeklyAvailability: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: [true, 'Hari harus diisi'],
+      min: [0, 'Hari harus antara 0 (Minggu) dan 6 (Sabtu)'],
+      max: [6, 'Hari harus antara 0 (Minggu) dan 6 (Sabtu)']
+    },
+    start: {
+      type: String,
+      required: [true, 'Jam mulai harus diisi'],
+      match: [TIME_REGEX, 'Format jam tidak valid (HH:MM)']
+    },
+    end: {
+      type: String,
+      required: [true, 'Jam selesai harus diisi'],
+      match: [TIME_REGEX, 'Format jam tidak valid (HH:MM)']
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Catatan tidak boleh lebih dari 500 karakter']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+guideSchema.index({ isActive: 1, languages: 1 });
+guideSchema.index({ userId: 1 });
+
+// Pre-save validation
+guideSchema.pre('save', function(next) {
+  const invalidWindow = (this.weeklyAvailability || []).find(window =>
+    parseTimeToMinutes(window.start) >= parseTimeToMinutes(window.end)
+  );
+
+  if (invalidWindow) {
+    return next(new Error('Jam selesai ketersediaan pemandu harus setelah jam mulai'));
+  }
+
+  next();
+});
+
+// Instance method to check whether the guide speaks the tour's language and handles its age group
+guideSchema.methods.matchesTour = function(tour) {
+  if (!this.languages.includes(tour.language)) {
+    return false;
+  }
+  return this.ageGroups.length === 0 || this.ageGroups.includes(tour.ageGroup);
+};
+
+// Instance method to check the weekly availability for a tour (library local time)
+guideSchema.methods.isAvailableAt = function(startTime, duration) {
+  const dayOfWeek = getDayOfWeek(toLocalDateKey(startTime));
+  const startMinutes = toLocalMinutes(startTime);
+  const endMinutes = startMinutes + duration;
+
+  return this.weeklyAvailability.some(window =>
+    window.day === dayOfWeek &&
+    parseTimeToMinutes(window.start) <= startMinutes &&
+    parseTimeToMinutes(window.end) >= endMinutes
+  );
+};
+
+// Instance method to find a tour this guide is already assigned to within a time range
+guideSchema.methods.findOverlappingTour = async function(startTime, duration, excludeTourId = null) {
+  const LibraryTour = mongoose.model('LibraryTour');
+  const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+
+  const tours = await LibraryTour.findOverlapping(startTime, endTime, excludeTourId);
+  return tours.find(tour => tour.guideId && tour.guideId.equals(this._id)) || null;
+};
+
+// Instance method to explain why the guide can't take a tour, or null when they can
+guideSchema.methods.getAssignmentError = async function(tour) {
+  if (!this.isActive) {
+    return `Pemandu ${this.name} tidak aktif`;
+  }
+
+  if (!this.matchesTour(tour)) {
+    return `Pemandu ${this.name} tidak menangani bahasa atau kelompok usia tur ini`;
+  }
+
+  if (!this.isAvailableAt(tour.startTime, tour.duration)) {
+    return `Pemandu ${this.name} tidak tersedia pada jadwal tur ini`;
+  }
+
+  const overlappingTour = await this.findOverlappingTour(tour.startTime, tour.duration, tour._id);
+  if (overlappingTour) {
+    return `Pemandu ${this.name} sudah ditugaskan pada tur ${overlappingTour.groupName} di waktu yang sama`;
+  }
+
+  return null;
+};
+
+// Static method to suggest free guides for a tour, least busy first
+guideSchema.statics.findSuggestions = async function(tour) {
+  const LibraryTour = mongoose.model('LibraryTour');
+
+  const guides = await this.find({
+    isActive: true,
+    languages: tour.language
+  }).sort({ name: 1 });
+
+  const suggestions = [];
+
+  for (const guide of guides) {
+    const assignmentError = await guide.getAssignmentError(tour);
+    if (assignmentError) continue;
+
+    // Workload - upcoming tours already assigned to the guide
+    const upcomingTours = await LibraryTour.countDocuments({
+      guideId: guide._id,
+      status: { $in: ['pending', 'approved'] },
+      startTime: { $gte: new Date() }
+    });
+
+    suggestions.push({ guide, upcomingTours });
+  }
+
+  return suggestions.sort((a, b) => a.upcomingTours - b.upcomingTours);
+};
+
+module.exports = mongoose.model('Guide', guideSchema);
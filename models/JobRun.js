@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Run history is kept for 30 days
+const RUN_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Nama job harus diisi']
+  },
+  trigger: {
+    type: String,
+    enum: {
+      values: ['schedule', 'manual'],
+      message: 'Pemicu job harus berupa schedule atau manual'
+    },
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  // Summary returned by the job, e.g. { completed: 3 }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+});
+
+// Indexes for better performance
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_SECONDS });
+
+// Instance method to record the outcome of the run
+jobRunSchema.methods.finish = function(status, { result = null, error = null } = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.result = result;
+  this.error = error;
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -1,4 +1,51 @@
 const mongoose = require('mongoose');
+const {
+  toLocalMinutes,
+  parseTimeToMinutes,
+  fromLocalDateTime,
+  addDaysToDateKey
+} = require('../utils/time');
+const { approvalProgressDefinition, attachApprovalChain } = require('../utils/approval');
+const { documentReviewDefinition } = require('../utils/documents');
+const { notifyStatusChange } = require('../utils/notifications');
+const { publishRequestEvent } = require('../utils/realtime');
+const { emitRequestEvent } = require('../utils/webhooks');
+
+// Tour hours in library local time (LIBRARY_TIMEZONE)
+const TOUR_HOURS = { start: '08:00', end: '17:00' };
+const MAX_TOUR_DURATION = 180; // minutes
+const SLOT_STEP_MINUTES = 30;
+
+// How many tours may run at the same time (e.g. one per available guide) and,
+// optionally, how many tour visitors the library can host at once
+const TOUR_CAPACITY = {
+  maxConcurrentTours: parseInt(process.env.TOUR_MAX_CONCURRENT) || 1,
+  maxVisitors: parseInt(process.env.TOUR_MAX_VISITORS) || null
+};
+
+// Highest number of tours and visitors running at once between start and end.
+// Usage only increases when a tour starts, so checking the range start and
+// every tour start inside it is enough.
+const getPeakUsage = (tours, start, end) => {
+  const points = [start, ...tours.map(tour => tour.startTime).filter(time => time > start && time < end)];
+
+  return points.reduce((peak, point) => {
+    const active = tours.filter(tour => tour.startTime <= point && tour.endTime > point);
+    const visitors = active.reduce((sum, tour) => sum + tour.numberOfParticipants, 0);
+    return {
+      tours: active.length > peak.tours.length ? active : peak.tours,
+      visitors: Math.max(visitors, peak.visitors)
+    };
+  }, { tours: [], visitors: 0 });
+};
+
+// Whether another tour of the given size still fits next to the peak usage
+const exceedsCapacity = (peak, participants) => {
+  if (peak.tours.length + 1 > TOUR_CAPACITY.maxConcurrentTours) {
+    return true;
+  }
+  return Boolean(TOUR_CAPACITY.maxVisitors && peak.visitors + participants > TOUR_CAPACITY.maxVisitors);
+};
 
 const libraryTourSchema = new mongoose.Schema({
   userId: {
@@ -50,6 +97,8 @@ const libraryTourSchema = new mongoose.Schema({
       message: 'Path dokumen tidak valid'
     }
   },
+  // Review of the uploaded document (see utils/documents.js)
+  documentReview: documentReviewDefinition,
   // Additional tour details
   tourType: {
     type: String,
@@ -129,11 +178,35 @@ const libraryTourSchema = new mongoose.Schema({
       type: mongoose.Schema.ObjectId,
       ref: 'User'
     },
+    // Approval chain step decided with this change
+    approvalStep: {
+      type: String,
+      default: null
+    },
     note: {
       type: String,
       trim: true
     }
   }],
+  // Reminder emails before the start; the owner can opt out per request
+  remindersEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Reminders already sent, one entry per offset, so restarts don't send them again
+  remindersSent: [{
+    _id: false,
+    hoursBefore: Number,
+    sentAt: Date
+  }],
+  // Multi-step approval progress, set when an approval chain applies
+  approval: approvalProgressDefinition,
+  // Assigned guide record; assignedGuide keeps the guide's name for display
+  guideId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Guide',
+    default: null
+  },
   // Assigned guide
   assignedGuide: {
     type: String,
@@ -149,6 +222,7 @@ libraryTourSchema.index({ userId: 1 });
 libraryTourSchema.index({ status: 1 });
 libraryTourSchema.index({ tourDate: 1, startTime: 1 });
 libraryTourSchema.index({ tourDate: 1, startTime: 1, status: 1 }); // Compound index for conflict checking
+libraryTourSchema.index({ guideId: 1, startTime: 1 });
 
 // Virtual for end time calculation
 libraryTourSchema.virtual('endTime').get(function() {
@@ -165,100 +239,149 @@ libraryTourSchema.pre('save', function(next) {
     return next(new Error('Tidak dapat membuat jadwal tur untuk waktu yang sudah lewat'));
   }
   
-  // Validate that tour is within working hours (8 AM - 5 PM)
-  const startHour = this.startTime.getHours();
-  if (startHour < 8 || startHour >= 17) {
-    return next(new Error('Tur hanya dapat dijadwalkan antara jam 08:00 - 17:00'));
+  // Validate that tour is within tour hours
+  const tourHoursError = this.constructor.getTourHoursError(this.startTime, this.duration);
+  if (tourHoursError) {
+    return next(new Error(tourHoursError));
   }
-  
-  // Validate that end time doesn't exceed working hours
-  const endTime = new Date(this.startTime.getTime() + (this.duration * 60 * 1000));
-  if (endTime.getHours() >= 17) {
-    return next(new Error('Waktu tur tidak boleh melewati jam 17:00'));
-  }
-  
+
   next();
 });
 
-// Static method to check for conflicts
-libraryTourSchema.statics.checkConflict = async function(tourDate, startTime, duration = 60, excludeId = null) {
-  const endTime = new Date(startTime.getTime() + (duration * 60 * 1000));
+// Attach the approval chain matching the tour type and group size
+libraryTourSchema.pre('save', async function() {
+  if (this.isNew && this.status === 'pending') {
+    await attachApprovalChain(this, 'tour');
+  }
+  this.$locals.wasNew = this.isNew;
+});
+
+// Push new requests to real-time clients and webhooks
+libraryTourSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) {
+    doc.$locals.wasNew = false;
+    publishRequestEvent('tour', doc, 'created');
+    await emitRequestEvent('tour', doc, 'created');
+  }
+});
+
+// Static method to check a tour against tour hours (library local time)
+// Returns an error message, or null when the tour fits
+libraryTourSchema.statics.getTourHoursError = function(startTime, duration = 60) {
+  const openMinutes = parseTimeToMinutes(TOUR_HOURS.start);
+  const closeMinutes = parseTimeToMinutes(TOUR_HOURS.end);
+  const startMinutes = toLocalMinutes(startTime);
+
+  if (startMinutes < openMinutes || startMinutes >= closeMinutes) {
+    return `Tur hanya dapat dijadwalkan antara jam ${TOUR_HOURS.start} - ${TOUR_HOURS.end}`;
+  }
+
+  // Tours must end on the same day, no later than closing time
+  if (startMinutes + duration > closeMinutes) {
+    return `Waktu tur tidak boleh melewati jam ${TOUR_HOURS.end}`;
+  }
+
+  return null;
+};
 
+// Static method to find pending/approved tours overlapping a time range.
+// Pending tours hold their slot just like approved ones.
+// Tours are matched by their actual time range, independent of how tourDate was stored
+libraryTourSchema.statics.findOverlapping = function(startTime, endTime, excludeId = null) {
   const query = {
-    tourDate: {
-      $gte: new Date(tourDate.getFullYear(), tourDate.getMonth(), tourDate.getDate()),
-      $lt: new Date(tourDate.getFullYear(), tourDate.getMonth(), tourDate.getDate() + 1)
-    },
     status: { $in: ['pending', 'approved'] },
-    $or: [
-      {
-        startTime: { $lt: endTime },
-        $expr: {
-          $gt: [
-            { $add: ['$startTime', { $multiply: ['$duration', 60000] }] },
-            startTime
-          ]
-        }
-      }
-    ]
+    startTime: {
+      $lt: endTime,
+      $gt: new Date(startTime.getTime() - (MAX_TOUR_DURATION * 60 * 1000))
+    },
+    $expr: {
+      $gt: [
+        { $add: ['$startTime', { $multiply: ['$duration', 60000] }] },
+        startTime
+      ]
+    }
   };
 
   if (excludeId) {
     query._id = { $ne: excludeId };
   }
 
-  return this.findOne(query);
+  return this.find(query).sort({ startTime: 1 });
 };
 
-// Static method to get available slots for a date
-libraryTourSchema.statics.getAvailableSlots = async function(targetDate) {
+// Static method to check for conflicts
+// Returns an overlapping tour when the library's concurrent-tour capacity is exhausted
+libraryTourSchema.statics.checkConflict = async function(startTime, duration = 60, excludeId = null, participants = 0) {
+  const endTime = new Date(startTime.getTime() + (duration * 60 * 1000));
+  const tours = await this.findOverlapping(startTime, endTime, excludeId);
+
+  const peak = getPeakUsage(tours, startTime, endTime);
+  return exceedsCapacity(peak, participants) ? (peak.tours[0] || tours[0]) : null;
+};
+
+// Static method to check a group size against the visitor capacity
+// Returns an error message, or null when the group fits
+libraryTourSchema.statics.getGroupSizeError = function(participants) {
+  if (TOUR_CAPACITY.maxVisitors && participants > TOUR_CAPACITY.maxVisitors) {
+    return `Jumlah peserta tur maksimal ${TOUR_CAPACITY.maxVisitors} orang`;
+  }
+  return null;
+};
+
+// Static method to get the configured tour capacity
+libraryTourSchema.statics.getCapacity = function() {
+  return { ...TOUR_CAPACITY };
+};
+
+// Static method to get tour slots for a local date ('YYYY-MM-DD') for a tour of the
+// requested duration and group size. Slots start every 30 minutes within tour hours;
+// each slot is marked available or not, with a reason (closed, full, past).
+libraryTourSchema.statics.getAvailableSlots = async function(dateKey, { duration = 60, participants = 0 } = {}) {
   try {
-    // Create date range for the target date
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(8, 0, 0, 0);
-
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(17, 0, 0, 0);
-
-    const nextDay = new Date(targetDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(0, 0, 0, 0);
-
-    // Get all approved tours for the date
-    const tours = await this.find({
-      tourDate: {
-        $gte: new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate()),
-        $lt: new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate() + 1)
-      },
-      status: 'approved'
-    }).sort({ startTime: 1 });
+    // Tour hours of the target date in library local time
+    const startOfDay = fromLocalDateTime(dateKey, TOUR_HOURS.start);
+    const endOfDay = fromLocalDateTime(dateKey, TOUR_HOURS.end);
 
-    const availableSlots = [];
-    let currentTime = new Date(startOfDay);
+    // Pending and approved tours touching tour hours of the date
+    const tours = await this.findOverlapping(startOfDay, endOfDay);
 
-    while (currentTime < endOfDay) {
-      const slotEndTime = new Date(currentTime.getTime() + 60 * 60 * 1000); // 1 hour slots
+    // Library-wide closures for the date
+    const Closure = mongoose.model('Closure');
+    const closedIntervals = await Closure.findIntervals(startOfDay, endOfDay);
 
-      // Check if this slot conflicts with any approved tours
-      const hasConflict = tours.some(tour => {
-        const tourEndTime = new Date(tour.startTime.getTime() + tour.duration * 60 * 1000);
-        return (
-          (tour.startTime < slotEndTime && tourEndTime > currentTime)
-        );
-      });
+    const groupSizeError = this.getGroupSizeError(participants);
+    const now = new Date();
+    const slots = [];
+
+    for (
+      let slotStart = new Date(startOfDay);
+      slotStart.getTime() + duration * 60 * 1000 <= endOfDay.getTime();
+      slotStart = new Date(slotStart.getTime() + SLOT_STEP_MINUTES * 60 * 1000)
+    ) {
+      const slotEnd = new Date(slotStart.getTime() + duration * 60 * 1000);
+      const peak = getPeakUsage(tours, slotStart, slotEnd);
 
-      if (!hasConflict) {
-        availableSlots.push({
-          startTime: new Date(currentTime),
-          endTime: new Date(slotEndTime),
-          duration: 60
-        });
+      let reason = null;
+      if (slotStart < now) {
+        reason = 'past';
+      } else if (closedIntervals.some(interval => interval.start < slotEnd && interval.end > slotStart)) {
+        reason = 'closed';
+      } else if (groupSizeError || exceedsCapacity(peak, participants)) {
+        reason = 'full';
       }
 
-      currentTime = new Date(currentTime.getTime() + 60 * 60 * 1000); // Move to next hour
+      slots.push({
+        startTime: slotStart,
+        endTime: slotEnd,
+        duration,
+        available: !reason,
+        reason,
+        remainingTours: Math.max(0, TOUR_CAPACITY.maxConcurrentTours - peak.tours.length),
+        remainingVisitors: TOUR_CAPACITY.maxVisitors ? Math.max(0, TOUR_CAPACITY.maxVisitors - peak.visitors) : null
+      });
     }
 
-    return availableSlots;
+    return slots;
   } catch (error) {
     console.error('Error in getAvailableSlots:', error);
     throw error;
@@ -276,8 +399,9 @@ libraryTourSchema.statics.findByDateRange = async function(startDate, endDate) {
 };
 
 // Instance method to update status
-libraryTourSchema.methods.updateStatus = async function(newStatus, adminNote = '', adminId = null) {
+libraryTourSchema.methods.updateStatus = async function(newStatus, adminNote = '', adminId = null, approvalStep = null) {
   try {
+    const previousStatus = this.status;
     this.status = newStatus;
     this.adminNote = adminNote;
 
@@ -290,14 +414,50 @@ libraryTourSchema.methods.updateStatus = async function(newStatus, adminNote = '
     this.statusHistory.push({
       status: newStatus,
       changedBy: adminId,
+      approvalStep: approvalStep,
       note: adminNote
     });
 
-    return await this.save();
+    const saved = await this.save();
+    await notifyStatusChange('tour', this, newStatus, { changedBy: adminId, note: adminNote });
+    publishRequestEvent('tour', this, newStatus === 'cancelled' ? 'cancelled' : 'status_changed', { previousStatus, changedBy: adminId });
+    await emitRequestEvent('tour', this, newStatus, { previousStatus, changedBy: adminId });
+    return saved;
   } catch (error) {
     console.error('Error in updateStatus method:', error);
     throw error;
   }
 };
 
+// Static method to complete approved tours whose end time has passed
+libraryTourSchema.statics.completeOverdue = async function(now = new Date()) {
+  const tours = await this.find({
+    status: 'approved',
+    startTime: { $lte: now },
+    $expr: {
+      $lte: [{ $add: ['$startTime', { $multiply: ['$duration', 60 * 1000] }] }, now]
+    }
+  });
+
+  for (const tour of tours) {
+    await tour.updateStatus('completed', 'Selesai otomatis setelah waktu berakhir');
+  }
+
+  return tours;
+};
+
+// Static method to cancel pending tours that were never reviewed before they started
+libraryTourSchema.statics.expireStalePending = async function(now = new Date()) {
+  const tours = await this.find({
+    status: 'pending',
+    startTime: { $lte: now }
+  });
+
+  for (const tour of tours) {
+    await tour.updateStatus('cancelled', 'Kedaluwarsa: tidak ditinjau sebelum waktu mulai');
+  }
+
+  return tours;
+};
+
 module.exports = mongoose.model('LibraryTour', libraryTourSchema);
\ No newline at end of file
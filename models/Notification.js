@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Notifications are kept for 180 days
+const NOTIFICATION_RETENTION_SECONDS = 180 * 24 * 60 * 60;
+
+// In-app notification for one user (see utils/notifications.js)
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Penerima notifikasi harus diisi']
+  },
+  type: {
+    type: String,
+    required: [true, 'Jenis notifikasi harus diisi'],
+    enum: {
+      values: [
+        'booking_created',
+        'booking_status',
+        'booking_cancelled',
+        'booking_reminder',
+        'booking_document',
+        'booking_document_uploaded',
+        'tour_created',
+        'tour_status',
+        'tour_cancelled',
+        'tour_reminder',
+        'tour_document',
+        'tour_document_uploaded'
+      ],
+      message: 'Jenis notifikasi tidak valid'
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Judul notifikasi harus diisi'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Front-end path to open, e.g. /bookings/<id>
+  link: {
+    type: String,
+    default: null
+  },
+  bookingId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  tourId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LibraryTour',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_SECONDS });
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,6 +1,130 @@
   // models/room.js
 
   const mongoose = require('mongoose');
+  const {
+    LIBRARY_TIMEZONE,
+    isValidTimeZone,
+    toLocalDateKey,
+    toLocalMinutes,
+    parseTimeToMinutes,
+    formatMinutes,
+    fromLocalDateTime,
+    addDaysToDateKey,
+    getDayOfWeek
+  } = require('../utils/time');
+
+  const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  const DAY_NAMES = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+  // Break window inside a day's opening hours (e.g. Friday prayer)
+  const breakSchema = new mongoose.Schema({
+    start: {
+      type: String,
+      required: [true, 'Jam mulai istirahat harus diisi'],
+      match: [TIME_REGEX, 'Format jam istirahat tidak valid (HH:MM)']
+    },
+    end: {
+      type: String,
+      required: [true, 'Jam selesai istirahat harus diisi'],
+      match: [TIME_REGEX, 'Format jam istirahat tidak valid (HH:MM)']
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Keterangan istirahat tidak boleh lebih dari 100 karakter']
+    }
+  }, { _id: false });
+
+  // Opening hours for one weekday (0 = Sunday ... 6 = Saturday)
+  const dayScheduleSchema = new mongoose.Schema({
+    day: {
+      type: Number,
+      required: [true, 'Hari harus diisi'],
+      min: [0, 'Hari harus antara 0 (Minggu) dan 6 (Sabtu)'],
+      max: [6, 'Hari harus antara 0 (Minggu) dan 6 (Sabtu)']
+    },
+    isClosed: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_REGEX, 'Format jam operasional tidak valid (HH:MM)']
+    },
+    end: {
+      type: String,
+      match: [TIME_REGEX, 'Format jam operasional tidak valid (HH:MM)']
+    },
+    breaks: [breakSchema]
+  }, { _id: false });
+
+  // Remove busy intervals from a window, returning the remaining free parts
+  const subtractIntervals = (window, busyIntervals) => {
+    let free = [window];
+
+    busyIntervals.forEach(busy => {
+      free = free.flatMap(part => {
+        if (busy.end <= part.start || busy.start >= part.end) {
+          return [part];
+        }
+        const remaining = [];
+        if (busy.start > part.start) {
+          remaining.push({ start: part.start, end: busy.start });
+        }
+        if (busy.end < part.end) {
+          remaining.push({ start: busy.end, end: part.end });
+        }
+        return remaining;
+      });
+    });
+
+    return free;
+  };
+
+  // Validate a weekly schedule, throwing an Error with a user-facing message
+  const validateWeeklySchedule = function(weekly) {
+    const seenDays = new Set();
+
+    for (const daySchedule of weekly || []) {
+      const dayName = DAY_NAMES[daySchedule.day] || daySchedule.day;
+
+      if (seenDays.has(daySchedule.day)) {
+        throw new Error(`Jadwal hari ${dayName} diisi lebih dari sekali`);
+      }
+      seenDays.add(daySchedule.day);
+
+      if (daySchedule.isClosed) continue;
+
+      if (!daySchedule.start || !daySchedule.end) {
+        throw new Error(`Jam buka dan tutup hari ${dayName} harus diisi`);
+      }
+
+      const openMinutes = parseTimeToMinutes(daySchedule.start);
+      const closeMinutes = parseTimeToMinutes(daySchedule.end);
+      if (openMinutes >= closeMinutes) {
+        throw new Error(`Jam tutup hari ${dayName} harus setelah jam buka`);
+      }
+
+      const breaks = [...(daySchedule.breaks || [])]
+        .sort((a, b) => parseTimeToMinutes(a.start) - parseTimeToMinutes(b.start));
+      let previousBreakEnd = openMinutes;
+
+      for (const breakWindow of breaks) {
+        const breakStart = parseTimeToMinutes(breakWindow.start);
+        const breakEnd = parseTimeToMinutes(breakWindow.end);
+
+        if (breakStart >= breakEnd) {
+          throw new Error(`Jam selesai istirahat hari ${dayName} harus setelah jam mulai`);
+        }
+        if (breakStart < previousBreakEnd || breakEnd > closeMinutes) {
+          throw new Error(`Jam istirahat hari ${dayName} harus berada dalam jam operasional dan tidak saling tumpang tindih`);
+        }
+        previousBreakEnd = breakEnd;
+      }
+    }
+
+    return true;
+  };
 
   const roomSchema = new mongoose.Schema({
     roomName: {
@@ -39,6 +163,17 @@
       trim: true,
       maxlength: [200, 'Lokasi tidak boleh lebih dari 200 karakter']
     },
+    // IANA timezone for this room's schedule; empty means the library timezone
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function(v) {
+          return !v || isValidTimeZone(v);
+        },
+        message: 'Zona waktu tidak valid (contoh: Asia/Jakarta)'
+      }
+    },
     operatingHours: {
       start: {
         type: String,
@@ -59,6 +194,15 @@
           },
           message: 'Format jam operasional tidak valid (HH:MM)'
         }
+      },
+      // Per-weekday overrides; days not listed use start/end above
+      weekly: {
+        type: [dayScheduleSchema],
+        default: [],
+        validate: {
+          validator: validateWeeklySchedule,
+          message: props => props.reason ? props.reason.message : 'Jadwal operasional mingguan tidak valid'
+        }
       }
     }
   }, {
@@ -105,6 +249,186 @@
     return !conflictingBooking;
   };
 
+  // Instance method to get the timezone the room's schedule is expressed in
+  roomSchema.methods.getTimeZone = function() {
+    return this.timezone || LIBRARY_TIMEZONE;
+  };
+
+  // Instance method to get the opening hours for a local date ('YYYY-MM-DD')
+  roomSchema.methods.getScheduleForDate = function(dateKey) {
+    const dayOfWeek = getDayOfWeek(dateKey);
+    const operatingHours = this.operatingHours || {};
+    const daySchedule = (operatingHours.weekly || []).find(schedule => schedule.day === dayOfWeek);
+
+    if (daySchedule && daySchedule.isClosed) {
+      return {
+        date: dateKey,
+        day: dayOfWeek,
+        dayName: DAY_NAMES[dayOfWeek],
+        isOpen: false,
+        start: null,
+        end: null,
+        breaks: []
+      };
+    }
+
+    return {
+      date: dateKey,
+      day: dayOfWeek,
+      dayName: DAY_NAMES[dayOfWeek],
+      isOpen: true,
+      start: daySchedule ? daySchedule.start : (operatingHours.start || '08:00'),
+      end: daySchedule ? daySchedule.end : (operatingHours.end || '17:00'),
+      breaks: daySchedule && daySchedule.breaks
+        ? daySchedule.breaks
+          .map(breakWindow => ({ start: breakWindow.start, end: breakWindow.end, label: breakWindow.label }))
+          .sort((a, b) => parseTimeToMinutes(a.start) - parseTimeToMinutes(b.start))
+        : []
+    };
+  };
+
+  // Instance method to get the open windows of a local date in minutes since midnight,
+  // i.e. opening hours minus break windows
+  roomSchema.methods.getOpenWindows = function(dateKey) {
+    const schedule = this.getScheduleForDate(dateKey);
+    if (!schedule.isOpen) {
+      return [];
+    }
+
+    const windows = [];
+    let windowStart = parseTimeToMinutes(schedule.start);
+
+    schedule.breaks.forEach(breakWindow => {
+      const breakStart = parseTimeToMinutes(breakWindow.start);
+      if (breakStart > windowStart) {
+        windows.push({ start: windowStart, end: breakStart });
+      }
+      windowStart = Math.max(windowStart, parseTimeToMinutes(breakWindow.end));
+    });
+
+    const closeMinutes = parseTimeToMinutes(schedule.end);
+    if (closeMinutes > windowStart) {
+      windows.push({ start: windowStart, end: closeMinutes });
+    }
+
+    return windows;
+  };
+
+  // Instance method to describe a day's opening hours for messages
+  roomSchema.methods.getOperatingHoursLabel = function(dateKey) {
+    const schedule = this.getScheduleForDate(dateKey);
+    if (!schedule.isOpen) {
+      return `tutup pada hari ${schedule.dayName}`;
+    }
+
+    const breaks = schedule.breaks.map(breakWindow =>
+      `${breakWindow.start} - ${breakWindow.end}${breakWindow.label ? ` (${breakWindow.label})` : ''}`
+    );
+    return `${schedule.start} - ${schedule.end}${breaks.length > 0 ? `, istirahat ${breaks.join(', ')}` : ''}`;
+  };
+
+  // Instance method to check a booking against the weekly schedule (room local time).
+  // Returns an error message, or null when the booking fits inside an open window.
+  // Multi-day bookings must start and end inside open windows of their first and last day.
+  roomSchema.methods.getOperatingHoursError = function(startTime, endTime) {
+    const timeZone = this.getTimeZone();
+    const startKey = toLocalDateKey(startTime, timeZone);
+    const endKey = toLocalDateKey(endTime, timeZone);
+    const startMinutes = toLocalMinutes(startTime, timeZone);
+    const endMinutes = toLocalMinutes(endTime, timeZone);
+    const startSchedule = this.getScheduleForDate(startKey);
+
+    if (!startSchedule.isOpen) {
+      return `Ruangan tutup pada hari ${startSchedule.dayName}`;
+    }
+
+    if (startKey === endKey) {
+      const fits = this.getOpenWindows(startKey).some(window =>
+        startMinutes >= window.start && endMinutes <= window.end
+      );
+      return fits ? null : `Ruangan hanya beroperasi pada hari ${startSchedule.dayName} pukul ${this.getOperatingHoursLabel(startKey)}`;
+    }
+
+    const startFits = this.getOpenWindows(startKey).some(window =>
+      startMinutes >= window.start && startMinutes < window.end
+    );
+    if (!startFits) {
+      return `Ruangan hanya beroperasi pada hari ${startSchedule.dayName} pukul ${this.getOperatingHoursLabel(startKey)}`;
+    }
+
+    const endSchedule = this.getScheduleForDate(endKey);
+    if (!endSchedule.isOpen) {
+      return `Ruangan tutup pada hari ${endSchedule.dayName}`;
+    }
+
+    const endFits = this.getOpenWindows(endKey).some(window =>
+      endMinutes > window.start && endMinutes <= window.end
+    );
+    return endFits ? null : `Ruangan hanya beroperasi pada hari ${endSchedule.dayName} pukul ${this.getOperatingHoursLabel(endKey)}`;
+  };
+
+  // Instance method to find free windows between two local dates (inclusive).
+  // A window is free when the room is open, not closed by a closure and has no
+  // pending/approved booking; only windows of at least `duration` minutes are returned.
+  // fromTime/toTime ('HH:MM') narrow the search to part of each day.
+  roomSchema.methods.findFreeWindows = async function(startDateKey, endDateKey, { duration, fromTime = null, toTime = null, now = new Date() }) {
+    const Booking = mongoose.model('Booking');
+    const Closure = mongoose.model('Closure');
+    const timeZone = this.getTimeZone();
+
+    const rangeStart = fromLocalDateTime(startDateKey, '00:00', timeZone);
+    const rangeEnd = fromLocalDateTime(addDaysToDateKey(endDateKey, 1), '00:00', timeZone);
+
+    const bookings = await Booking.find({
+      roomId: this._id,
+      status: { $in: ['pending', 'approved'] },
+      startTime: { $lt: rangeEnd },
+      endTime: { $gt: rangeStart }
+    })
+    .select('startTime endTime')
+    .sort({ startTime: 1 });
+
+    const closedIntervals = await Closure.findIntervals(rangeStart, rangeEnd, this._id, timeZone);
+
+    const busy = [
+      ...bookings.map(booking => ({ start: booking.startTime, end: booking.endTime })),
+      ...closedIntervals.map(interval => ({ start: interval.start, end: interval.end })),
+      { start: rangeStart, end: now }
+    ];
+
+    const fromMinutes = fromTime ? parseTimeToMinutes(fromTime) : 0;
+    const toMinutes = toTime ? parseTimeToMinutes(toTime) : 24 * 60;
+    const freeWindows = [];
+
+    for (let dateKey = startDateKey; dateKey <= endDateKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+      this.getOpenWindows(dateKey).forEach(window => {
+        const windowStart = Math.max(window.start, fromMinutes);
+        const windowEnd = Math.min(window.end, toMinutes);
+        if (windowEnd - windowStart < duration) return;
+
+        subtractIntervals(
+          {
+            start: fromLocalDateTime(dateKey, formatMinutes(windowStart), timeZone),
+            end: fromLocalDateTime(dateKey, formatMinutes(windowEnd), timeZone)
+          },
+          busy
+        ).forEach(free => {
+          const freeMinutes = Math.floor((free.end - free.start) / (60 * 1000));
+          if (freeMinutes >= duration) {
+            freeWindows.push({
+              date: dateKey,
+              startTime: free.start,
+              endTime: free.end,
+              durationMinutes: freeMinutes
+            });
+          }
+        });
+      });
+    }
+
+    return freeWindows;
+  };
+
   // Pre-save middleware to ensure end time is after start time
   roomSchema.pre('save', function(next) {
     if (this.operatingHours && this.operatingHours.start && this.operatingHours.end) {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Persisted state of a background job, so schedules and locks survive restarts
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nama job harus diisi'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  intervalMinutes: {
+    type: Number,
+    required: [true, 'Interval job harus diisi'],
+    min: [1, 'Interval job minimal 1 menit']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Lease held by the process running the job; expired leases can be taken over
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+scheduledJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Static method to take the job lease; returns the job, or null when another run holds it
+scheduledJobSchema.statics.acquireLock = function(name, owner, leaseMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      name,
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      lockedUntil: new Date(now.getTime() + leaseMs),
+      lockedBy: owner
+    },
+    { new: true }
+  );
+};
+
+// Instance method to record a finished run, release the lease and schedule the next run
+scheduledJobSchema.methods.finishRun = function(status, error = null, now = new Date()) {
+  this.lastRunAt = now;
+  this.lastStatus = status;
+  this.lastError = error;
+  this.nextRunAt = new Date(now.getTime() + this.intervalMinutes * 60 * 1000);
+  this.lockedUntil = null;
+  this.lockedBy = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
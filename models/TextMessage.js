@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Outgoing text messages are kept for 90 days
+const MESSAGE_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// One delivery event of a message
+const deliveryLogSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  attempt: Number,
+  transport: String,
+  providerMessageId: String,
+  error: String,
+  note: String
+}, { _id: false });
+
+// SMS/WhatsApp outbox: every outgoing text message is stored first and delivered with retries
+const textMessageSchema = new mongoose.Schema({
+  // Template the message was rendered from, e.g. 'tour_reminder'
+  type: {
+    type: String,
+    required: [true, 'Jenis pesan harus diisi'],
+    trim: true
+  },
+  channel: {
+    type: String,
+    enum: {
+      values: ['sms', 'whatsapp'],
+      message: 'Kanal pesan harus berupa sms atau whatsapp'
+    },
+    required: [true, 'Kanal pesan harus diisi']
+  },
+  to: {
+    type: String,
+    required: [true, 'Nomor tujuan harus diisi'],
+    trim: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Isi pesan harus diisi']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a process delivers the message; stale claims are released by the outbox job
+  sendingStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  log: [deliveryLogSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+textMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+textMessageSchema.index({ to: 1, createdAt: -1 });
+textMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: MESSAGE_RETENTION_SECONDS });
+
+module.exports = mongoose.model('TextMessage', textMessageSchema);
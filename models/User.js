@@ -2,6 +2,42 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
+const {
+  ROLES,
+  ROOM_SCOPED_PERMISSIONS,
+  roleHasPermission,
+  getRolePermissions
+} = require('../utils/permissions');
+
+// Repeated no-shows or late cancellations within the window suspend booking rights
+const STRIKE_POLICY = {
+  limit: parseInt(process.env.STRIKE_LIMIT) || 3,
+  windowDays: parseInt(process.env.STRIKE_WINDOW_DAYS) || 90,
+  suspensionDays: parseInt(process.env.STRIKE_SUSPENSION_DAYS) || 14,
+  lateCancellationHours: parseInt(process.env.LATE_CANCELLATION_HOURS) || 24
+};
+
+// Notifications users can also receive by SMS or WhatsApp, and the available channels
+const NOTIFICATION_TYPES = [
+  'booking_notification',
+  'waitlist_promotion',
+  'tour_notification',
+  'booking_reminder',
+  'tour_reminder',
+  'document_revision'
+];
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const channelListDefinition = {
+  type: [{
+    type: String,
+    enum: {
+      values: NOTIFICATION_CHANNELS,
+      message: 'Kanal notifikasi harus berupa email, sms, atau whatsapp'
+    }
+  }],
+  default: ['email']
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,11 +63,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: {
-      values: ['user', 'admin'],
-      message: 'Role harus berupa user atau admin'
+      values: ROLES,
+      message: `Role harus berupa ${ROLES.join(', ')}`
     },
     default: 'user'
   },
+  // Rooms a room manager is responsible for
+  managedRooms: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Room'
+  }],
   originInstitution: {
     type: String,
     required: [true, 'Asal instansi harus diisi'],
@@ -48,6 +89,21 @@ const userSchema = new mongoose.Schema({
       message: 'Format nomor telepon Indonesia tidak valid'
     }
   },
+  // Language of emails and notifications
+  language: {
+    type: String,
+    enum: {
+      values: ['id', 'en'],
+      message: 'Bahasa harus berupa id atau en'
+    },
+    default: 'id'
+  },
+  // Channels per notification type, e.g. { tour_reminder: ['email', 'whatsapp'] };
+  // an empty list turns the notification off (in-app notifications are always kept)
+  notificationChannels: NOTIFICATION_TYPES.reduce((channels, type) => {
+    channels[type] = channelListDefinition;
+    return channels;
+  }, {}),
   isVerified: {
     type: Boolean,
     default: false
@@ -67,6 +123,41 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: {
     type: Date,
     default: null
+  },
+  // No-shows and late cancellations counted towards a booking suspension
+  strikes: [{
+    reason: {
+      type: String,
+      enum: ['no_show', 'late_cancellation']
+    },
+    bookingId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Booking',
+      default: null
+    },
+    tourId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'LibraryTour',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  bookingSuspendedUntil: {
+    type: Date,
+    default: null
+  },
+  lastSuspendedAt: {
+    type: Date,
+    default: null
+  },
+  // Secret token for the private iCalendar feed
+  calendarToken: {
+    type: String,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true
@@ -74,6 +165,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for better performance
 userSchema.index({ verificationToken: 1 });
+userSchema.index({ calendarToken: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -129,13 +221,101 @@ userSchema.methods.generateResetPasswordToken = function() {
   return resetToken;
 };
 
+// Generate private calendar feed token
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
+// Instance method to check a permission granted by the user's role
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Instance method to get the rooms a permission is limited to; null means all rooms
+userSchema.methods.getRoomScope = function(permission) {
+  if (this.role === 'room_manager' && ROOM_SCOPED_PERMISSIONS.includes(permission)) {
+    return this.managedRooms || [];
+  }
+  return null;
+};
+
+// Instance method to check a permission for a specific room (accepts an id or a populated room)
+userSchema.methods.hasRoomPermission = function(permission, roomId) {
+  if (!this.hasPermission(permission)) {
+    return false;
+  }
+
+  const scope = this.getRoomScope(permission);
+  if (!scope) {
+    return true;
+  }
+
+  const id = String(roomId && roomId._id ? roomId._id : roomId);
+  return scope.some(managedRoomId => String(managedRoomId) === id);
+};
+
+// Instance method to get strikes that count towards the next suspension
+// (inside the strike window and after the last suspension started)
+userSchema.methods.getRecentStrikes = function(now = new Date()) {
+  let since = new Date(now.getTime() - STRIKE_POLICY.windowDays * 24 * 60 * 60 * 1000);
+  if (this.lastSuspendedAt && this.lastSuspendedAt > since) {
+    since = this.lastSuspendedAt;
+  }
+  return (this.strikes || []).filter(strike => strike.createdAt > since);
+};
+
+// Instance method to check whether booking rights are suspended
+userSchema.methods.isBookingSuspended = function(now = new Date()) {
+  return Boolean(this.bookingSuspendedUntil && this.bookingSuspendedUntil > now);
+};
+
+// Instance method to record a strike ('no_show' or 'late_cancellation'), suspending
+// booking rights once the strike limit is reached
+userSchema.methods.addStrike = function(reason, { bookingId = null, tourId = null } = {}, now = new Date()) {
+  this.strikes.push({ reason, bookingId, tourId, createdAt: now });
+
+  if (!this.isBookingSuspended(now) && this.getRecentStrikes(now).length >= STRIKE_POLICY.limit) {
+    this.lastSuspendedAt = now;
+    this.bookingSuspendedUntil = new Date(now.getTime() + STRIKE_POLICY.suspensionDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Strikes must be recorded even if older profile data no longer passes validation
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to clear strikes and lift a suspension
+userSchema.methods.resetStrikes = function() {
+  this.strikes = [];
+  this.bookingSuspendedUntil = null;
+  this.lastSuspendedAt = null;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to get the channels chosen for a notification type
+userSchema.methods.getNotificationChannels = function(type) {
+  const channels = this.notificationChannels && this.notificationChannels[type];
+  return Array.isArray(channels) ? [...new Set(channels)] : ['email'];
+};
+
+// Static method to get the strike policy
+userSchema.statics.getStrikePolicy = function() {
+  return { ...STRIKE_POLICY };
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.verificationToken;
   delete user.resetPasswordToken;
+  delete user.calendarToken;
+  user.permissions = getRolePermissions(user.role);
   return user;
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+User.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+User.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
+module.exports = User;
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID harus diisi']
+  },
+  roomId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Room',
+    required: [true, 'Room ID harus diisi']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Waktu mulai harus diisi']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Waktu selesai harus diisi']
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['waiting', 'promoted', 'withdrawn', 'expired'],
+      message: 'Status harus berupa waiting, promoted, withdrawn, atau expired'
+    },
+    default: 'waiting'
+  },
+  // Booking details copied into the booking when the entry is promoted
+  activityName: {
+    type: String,
+    required: [true, 'Nama kegiatan harus diisi'],
+    trim: true,
+    maxlength: [200, 'Nama kegiatan tidak boleh lebih dari 200 karakter']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Tujuan Kegiatan Harus Diisi'],
+    trim: true,
+    maxlength: [500, 'Tujuan Kegiatan Max.500 Karakter'],
+  },
+  documentPath: {
+    type: String,
+    required: false
+  },
+  participantsCount: {
+    type: Number,
+    min: [1, 'Jumlah peserta minimal 1 orang'],
+    default: 1
+  },
+  contactPerson: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Nama penanggung jawab tidak boleh lebih dari 100 karakter']
+    },
+    phone: {
+      type: String,
+      validate: {
+        validator: function(v) {
+          return !v || /^(\+62|62|0)8[1-9][0-9]{6,9}$/.test(v);
+        },
+        message: 'Format nomor telepon tidak valid'
+      }
+    }
+  },
+  equipment: [{
+    type: String,
+    trim: true
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Catatan tidak boleh lebih dari 1000 karakter']
+  },
+  // Booking created when this entry was promoted
+  promotedBookingId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  promotedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+waitlistEntrySchema.index({ roomId: 1, status: 1, startTime: 1, createdAt: 1 }); // For promotion lookups
+
+// Pre-save validation
+waitlistEntrySchema.pre('save', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    return next(new Error('Waktu selesai harus setelah waktu mulai'));
+  }
+  next();
+});
+
+// Static method to find waiting entries overlapping a time range, oldest first
+waitlistEntrySchema.statics.findWaiting = function(roomId, startTime, endTime) {
+  return this.find({
+    roomId,
+    status: 'waiting',
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Events an endpoint can subscribe to
+const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.approved',
+  'booking.rejected',
+  'booking.cancelled',
+  'booking.completed',
+  'booking.no_show',
+  'tour.created',
+  'tour.approved',
+  'tour.rejected',
+  'tour.cancelled',
+  'tour.completed',
+  'room.activated',
+  'room.deactivated',
+  'user.registered'
+];
+
+// Outgoing webhook endpoint registered by an admin
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nama webhook harus diisi'],
+    trim: true,
+    maxlength: [100, 'Nama webhook maksimal 100 karakter']
+  },
+  url: {
+    type: String,
+    required: [true, 'URL webhook harus diisi'],
+    trim: true,
+    validate: {
+      validator: (value) => validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+      message: 'URL webhook harus berupa URL http atau https yang valid'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deskripsi webhook maksimal 500 karakter']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: 'Event webhook {VALUE} tidak dikenal'
+      }
+    }],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'Pilih minimal satu event webhook'
+    }
+  },
+  // Key for the HMAC signature of every delivery; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries are kept for 30 days
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One attempt or state change of a delivery
+const deliveryLogSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'delivered', 'failed']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  attempt: Number,
+  responseStatus: Number,
+  durationMs: Number,
+  error: String,
+  note: String
+}, { _id: false });
+
+// One event sent to one webhook endpoint, delivered with retries
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook harus diisi']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event webhook harus diisi']
+  },
+  // Event data sent as the "data" field of the request body
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'delivered', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a process delivers the event; stale claims are released by the delivery job
+  sendingStartedAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  log: [deliveryLogSchema]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for better performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
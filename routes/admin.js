@@ -4,32 +4,51 @@ const User = require('../models/User');
 const Room = require('../models/Room');
 const Booking = require('../models/Booking');
 const LibraryTour = require('../models/LibraryTour');
+const Closure = require('../models/Closure');
+const ApprovalChain = require('../models/ApprovalChain');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const EmailMessage = require('../models/EmailMessage');
+const EmailTemplate = require('../models/EmailTemplate');
+const TextMessage = require('../models/TextMessage');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  LIBRARY_TIMEZONE,
+  toLocalDateKey,
+  fromLocalDateTime,
+  addDaysToDateKey,
+  getPeriodStart
+} = require('../utils/time');
+const { ROLES, ROLE_LABELS, isValidRole, getRolePermissions } = require('../utils/permissions');
+const { getQuotaUsage } = require('../utils/quota');
+const { getJobDefinition, listJobs, runJob } = require('../utils/scheduler');
+const { resendEmail, resendTextMessage } = require('../utils/outbox');
+const { verifyMessageTransport, describeMessageTransport } = require('../utils/messageTransport');
+const { generateSecret, replayDelivery } = require('../utils/webhooks');
+const {
+  TEMPLATES,
+  LANGUAGES,
+  isValidTemplate,
+  hasTextVersion,
+  getPlaceholders,
+  validateTemplateText,
+  getTemplate,
+  renderTemplate
+} = require('../utils/emailTemplates');
 const { protect, authorize } = require('../middleware/auth');
 const { sendBookingNotification, sendTourNotification } = require('../utils/email');
+const { generateDocumentUrls } = require('../utils/documents');
 
 const router = express.Router();
 
-// Helper function to generate download URL
-const generateDownloadUrl = (req, documentPath) => {
-  if (!documentPath) return null;
-  const filename = documentPath.split('/').pop();
-  const type = 'documents'; // All documents are stored in documents folder
-  return `${req.protocol}://${req.get('host')}/download/uploads/${type}/${filename}`;
-};
-
-// Helper function to generate view URL (for inline viewing)
-const generateViewUrl = (req, documentPath) => {
-  if (!documentPath) return null;
-  return `${req.protocol}://${req.get('host')}/${documentPath}`;
-};
-
-// All routes in this file require admin authorization
-router.use(protect, authorize('admin'));
+// All routes in this file require login; each route checks the role or permission it needs
+router.use(protect);
 
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard 
-// @access  Private/Admin
-router.get('/dashboard', async (req, res) => {
+// @access  Private (dashboard:view)
+router.get('/dashboard', authorize('dashboard:view'), async (req, res) => {
   try {
     // Get current date for filtering
     const now = new Date();
@@ -54,6 +73,7 @@ router.get('/dashboard', async (req, res) => {
         approved: await Booking.countDocuments({ status: 'approved' }),
         rejected: await Booking.countDocuments({ status: 'rejected' }),
         completed: await Booking.countDocuments({ status: 'completed' }),
+        noShow: await Booking.countDocuments({ status: 'no_show' }),
         thisMonth: await Booking.countDocuments({ createdAt: { $gte: thirtyDaysAgo } })
       },
       tours: {
@@ -82,21 +102,11 @@ router.get('/dashboard', async (req, res) => {
     .sort({ createdAt: -1 })
     .limit(10);
 
-    // Get today's activities
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const dayAfterTomorrow = new Date(tomorrow);
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-    // Date strings for tour queries - adjust for Jakarta timezone
-    const jakartaNow = new Date(now.getTime() + (7 * 60 * 60 * 1000));
-    const todayDateStr = jakartaNow.toISOString().split('T')[0];
-    const tomorrowDateStr = new Date(jakartaNow.getTime() + (24 * 60 * 60 * 1000)).toISOString().split('T')[0];
-    const dayAfterTomorrowDateStr = new Date(jakartaNow.getTime() + (48 * 60 * 60 * 1000)).toISOString().split('T')[0];
-
-    // Update sevenDaysFromNow
+    // Get today's activities (day boundaries in library local time)
+    const todayKey = toLocalDateKey(now);
+    const today = fromLocalDateTime(todayKey);
+    const tomorrow = fromLocalDateTime(addDaysToDateKey(todayKey, 1));
+    const dayAfterTomorrow = fromLocalDateTime(addDaysToDateKey(todayKey, 2));
     const sevenDaysFromNow = new Date(now.getTime() + (7 * 24 * 60 * 60 * 1000));
 
     const todayBookings = await Booking.find({
@@ -112,11 +122,9 @@ router.get('/dashboard', async (req, res) => {
 
     const todayTours = await LibraryTour.find({
       status: 'approved',
-      $expr: {
-        $and: [
-          { $gte: [{ $dateToString: { format: '%Y-%m-%d', date: '$tourDate' } }, todayDateStr] },
-          { $lt: [{ $dateToString: { format: '%Y-%m-%d', date: '$tourDate' } }, tomorrowDateStr] }
-        ]
+      startTime: {
+        $gte: today,
+        $lt: tomorrow
       }
     })
     .populate('userId', 'name email originInstitution')
@@ -136,11 +144,9 @@ router.get('/dashboard', async (req, res) => {
 
     const tomorrowTours = await LibraryTour.find({
       status: 'approved',
-      $expr: {
-        $and: [
-          { $gte: [{ $dateToString: { format: '%Y-%m-%d', date: '$tourDate' } }, tomorrowDateStr] },
-          { $lt: [{ $dateToString: { format: '%Y-%m-%d', date: '$tourDate' } }, dayAfterTomorrowDateStr] }
-        ]
+      startTime: {
+        $gte: tomorrow,
+        $lt: dayAfterTomorrow
       }
     })
     .populate('userId', 'name email originInstitution')
@@ -161,11 +167,9 @@ router.get('/dashboard', async (req, res) => {
 
     const upcomingTours = await LibraryTour.find({
       status: 'approved',
-      $expr: {
-        $and: [
-          { $gte: [{ $dateToString: { format: '%Y-%m-%d', date: '$tourDate' } }, dayAfterTomorrowDateStr] },
-          { $lte: [{ $dateToString: { format: '%Y-%m-%d', date: '$tourDate' } }, sevenDaysFromNow.toISOString().split('T')[0]] }
-        ]
+      startTime: {
+        $gte: dayAfterTomorrow,
+        $lte: sevenDaysFromNow
       }
     })
     .populate('userId', 'name email originInstitution')
@@ -193,8 +197,7 @@ router.get('/dashboard', async (req, res) => {
     // Add document URLs to pending bookings
     const pendingBookingsWithUrls = pendingBookings.map(booking => ({
       ...booking.toObject(),
-      documentUrl: generateDownloadUrl(req, booking.documentPath),
-      documentViewUrl: generateViewUrl(req, booking.documentPath)
+      ...generateDocumentUrls(req, 'booking', booking)
     }));
 
     res.status(200).json({
@@ -235,8 +238,8 @@ router.get('/dashboard', async (req, res) => {
 
 // @desc    Get system statistics
 // @route   GET /api/admin/stats
-// @access  Private/Admin
-router.get('/stats', async (req, res) => {
+// @access  Private (dashboard:view)
+router.get('/stats', authorize('dashboard:view'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
 
@@ -244,23 +247,9 @@ router.get('/stats', async (req, res) => {
     let startDate, endDate, groupFormat;
     const now = new Date();
 
-    switch (period) {
-      case 'week':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7);
-        groupFormat = '%Y-%m-%d';
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-        groupFormat = '%Y-%m-%d';
-        break;
-      case 'year':
-        startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-        groupFormat = '%Y-%m';
-        break;
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-        groupFormat = '%Y-%m-%d';
-    }
+    // Periods and groups follow the library's local calendar
+    startDate = getPeriodStart(period, now);
+    groupFormat = period === 'year' ? '%Y-%m' : '%Y-%m-%d';
 
     endDate = now;
 
@@ -274,7 +263,7 @@ router.get('/stats', async (req, res) => {
       {
         $group: {
           _id: {
-            $dateToString: { format: groupFormat, date: '$createdAt' }
+            $dateToString: { format: groupFormat, date: '$createdAt', timezone: LIBRARY_TIMEZONE }
           },
           count: { $sum: 1 }
         }
@@ -295,7 +284,7 @@ router.get('/stats', async (req, res) => {
       {
         $group: {
           _id: {
-            date: { $dateToString: { format: groupFormat, date: '$startTime' } },
+            date: { $dateToString: { format: groupFormat, date: '$startTime', timezone: LIBRARY_TIMEZONE } },
             status: '$status'
           },
           count: { $sum: 1 },
@@ -331,7 +320,7 @@ router.get('/stats', async (req, res) => {
       {
         $group: {
           _id: {
-            date: { $dateToString: { format: groupFormat, date: '$createdAt' } },
+            date: { $dateToString: { format: groupFormat, date: '$createdAt', timezone: LIBRARY_TIMEZONE } },
             status: '$status'
           },
           count: { $sum: 1 },
@@ -531,8 +520,8 @@ router.get('/stats', async (req, res) => {
 
 // @desc    Get all users
 // @route   GET /api/admin/users
-// @access  Private/Admin
-router.get('/users', async (req, res) => {
+// @access  Private (users:view)
+router.get('/users', authorize('users:view'), async (req, res) => {
   try {
     const {
       search,
@@ -605,10 +594,14 @@ router.get('/users', async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/admin/users/:id
-// @access  Private/Admin
-router.get('/users/:id', async (req, res) => {
+// @access  Private (users:view)
+router.get('/users/:id', authorize('users:view'), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('managedRooms', 'roomName location')
+      .populate('strikes.bookingId', 'activityName startTime endTime status')
+      .populate('strikes.tourId', 'groupName startTime status');
 
     if (!user) {
       return res.status(404).json({
@@ -619,7 +612,8 @@ router.get('/users/:id', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: user
+      data: user,
+      quota: await getQuotaUsage(user)
     });
 
   } catch (error) {
@@ -639,12 +633,26 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
-// @desc    Update user status
+// @desc    Get available roles and their permissions
+// @route   GET /api/admin/roles
+// @access  Private (users:view)
+router.get('/roles', authorize('users:view'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map(role => ({
+      role,
+      label: ROLE_LABELS[role],
+      permissions: getRolePermissions(role)
+    }))
+  });
+});
+
+// @desc    Update user status, role and managed rooms
 // @route   PATCH /api/admin/users/:id/status
 // @access  Private/Admin
-router.patch('/users/:id/status', async (req, res) => {
+router.patch('/users/:id/status', authorize('admin'), async (req, res) => {
   try {
-    const { isVerified, role, isActive } = req.body;
+    const { isVerified, role, managedRooms, isActive } = req.body;
 
     const user = await User.findById(req.params.id);
 
@@ -661,8 +669,52 @@ router.patch('/users/:id/status', async (req, res) => {
       updateData.isVerified = isVerified;
     }
     if (role !== undefined) {
+      if (!isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role harus berupa ${ROLES.join(', ')}`
+        });
+      }
+
+      // Prevent admins from locking themselves out
+      if (user._id.equals(req.user._id) && role !== user.role) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tidak dapat mengubah role akun sendiri'
+        });
+      }
+
       updateData.role = role;
     }
+    if (managedRooms !== undefined) {
+      if (!Array.isArray(managedRooms)) {
+        return res.status(400).json({
+          success: false,
+          message: 'managedRooms harus berupa array ID ruangan'
+        });
+      }
+
+      const roomCount = await Room.countDocuments({ _id: { $in: managedRooms } });
+      if (roomCount !== new Set(managedRooms.map(String)).size) {
+        return res.status(400).json({
+          success: false,
+          message: 'Beberapa ruangan tidak ditemukan'
+        });
+      }
+
+      updateData.managedRooms = managedRooms;
+    }
+
+    // Room managers need at least one room to manage
+    const finalRole = updateData.role || user.role;
+    const finalRooms = updateData.managedRooms || user.managedRooms;
+    if (finalRole === 'room_manager' && finalRooms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pengelola ruangan harus ditugaskan minimal satu ruangan'
+      });
+    }
+
     if (isActive !== undefined) {
       updateData.isActive = isActive;
     }
@@ -699,10 +751,50 @@ router.patch('/users/:id/status', async (req, res) => {
   }
 });
 
+// @desc    Reset a user's strikes and lift the booking suspension
+// @route   DELETE /api/admin/users/:id/strikes
+// @access  Private/Admin
+router.delete('/users/:id/strikes', authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengguna tidak ditemukan'
+      });
+    }
+
+    await user.resetStrikes();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pelanggaran pengguna berhasil direset',
+      data: user,
+      quota: await getQuotaUsage(user)
+    });
+
+  } catch (error) {
+    console.error('Reset user strikes error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengguna tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mereset pelanggaran pengguna'
+    });
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', authorize('admin'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -744,4 +836,1573 @@ router.delete('/users/:id', async (req, res) => {
     });
   }
 });
-module.exports = router;
\ No newline at end of file
+
+// Helper function to find approved bookings and tours that fall inside a closure
+// (from now until the closure ends, or one year ahead for yearly closures)
+const findAffectedActivities = async (closure) => {
+  const now = new Date();
+  const rangeEnd = new Date(now);
+  rangeEnd.setFullYear(rangeEnd.getFullYear() + 1);
+
+  // Room closures are read in the room's timezone
+  const room = closure.roomId ? await Room.findById(closure.roomId) : null;
+  const intervals = closure.getIntervals(now, rangeEnd, room ? room.getTimeZone() : LIBRARY_TIMEZONE);
+  if (intervals.length === 0) {
+    return { bookings: [], tours: [] };
+  }
+
+  const firstStart = intervals[0].start;
+  const lastEnd = intervals[intervals.length - 1].end;
+  const overlapsClosure = (start, end) => intervals.some(interval => interval.start < end && interval.end > start);
+
+  const bookingQuery = {
+    status: 'approved',
+    startTime: { $lt: lastEnd },
+    endTime: { $gt: firstStart }
+  };
+  if (closure.roomId) {
+    bookingQuery.roomId = closure.roomId;
+  }
+
+  const bookings = (await Booking.find(bookingQuery)
+    .populate('userId', 'name email originInstitution phoneNumber')
+    .populate('roomId', 'roomName')
+    .sort({ startTime: 1 }))
+    .filter(booking => overlapsClosure(booking.startTime, booking.endTime));
+
+  // Room-specific closures don't affect library tours
+  let tours = [];
+  if (!closure.roomId) {
+    tours = (await LibraryTour.find({
+      status: 'approved',
+      startTime: { $lt: lastEnd, $gte: new Date(firstStart.getTime() - 180 * 60 * 1000) }
+    })
+    .populate('userId', 'name email originInstitution phoneNumber')
+    .sort({ startTime: 1 }))
+    .filter(tour => overlapsClosure(tour.startTime, tour.endTime));
+  }
+
+  return { bookings, tours };
+};
+
+// Helper function to pick closure fields from the request body
+const buildClosureData = (body) => {
+  const fields = ['title', 'reason', 'type', 'startDate', 'endDate', 'allDay', 'startTime', 'endTime', 'roomId', 'recurringYearly', 'isActive'];
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  // Single-day closures only need startDate
+  if (data.startDate && !data.endDate && body.endDate === undefined) {
+    data.endDate = data.startDate;
+  }
+  if (data.roomId === '') {
+    data.roomId = null;
+  }
+
+  return data;
+};
+
+// @desc    Get library closures
+// @route   GET /api/admin/closures
+// @access  Private (closures:view)
+router.get('/closures', authorize('closures:view'), async (req, res) => {
+  try {
+    const { roomId, year, includeInactive } = req.query;
+
+    const query = {};
+
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (roomId) {
+      query.roomId = roomId === 'library' ? null : roomId;
+    }
+
+    if (year) {
+      query.$or = [
+        { recurringYearly: true },
+        { startDate: { $lte: `${year}-12-31` }, endDate: { $gte: `${year}-01-01` } }
+      ];
+    }
+
+    const closures = await Closure.find(query)
+      .populate('roomId', 'roomName')
+      .populate('createdBy', 'name')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: closures.length,
+      data: closures
+    });
+
+  } catch (error) {
+    console.error('Get closures error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data penutupan'
+    });
+  }
+});
+
+// @desc    Create library closure
+// @route   POST /api/admin/closures
+// @access  Private/Admin
+router.post('/closures', authorize('admin'), async (req, res) => {
+  try {
+    const closureData = buildClosureData(req.body);
+
+    if (!closureData.title || !closureData.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nama penutupan dan tanggal mulai harus diisi'
+      });
+    }
+
+    if (closureData.roomId) {
+      const room = await Room.findById(closureData.roomId);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ruangan tidak ditemukan'
+        });
+      }
+    }
+
+    const closure = await Closure.create({
+      ...closureData,
+      createdBy: req.user._id
+    });
+
+    const affected = await findAffectedActivities(closure);
+
+    res.status(201).json({
+      success: true,
+      message: affected.bookings.length + affected.tours.length > 0
+        ? `Penutupan berhasil dibuat. Terdapat ${affected.bookings.length} booking dan ${affected.tours.length} tur yang sudah disetujui pada jadwal ini.`
+        : 'Penutupan berhasil dibuat',
+      data: closure,
+      affected
+    });
+
+  } catch (error) {
+    console.error('Create closure error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Data penutupan tidak valid'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error saat membuat penutupan'
+    });
+  }
+});
+
+// @desc    Update library closure
+// @route   PUT /api/admin/closures/:id
+// @access  Private/Admin
+router.put('/closures/:id', authorize('admin'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Penutupan tidak ditemukan'
+      });
+    }
+
+    closure.set(buildClosureData(req.body));
+    await closure.save();
+
+    const affected = await findAffectedActivities(closure);
+
+    res.status(200).json({
+      success: true,
+      message: 'Penutupan berhasil diupdate',
+      data: closure,
+      affected
+    });
+
+  } catch (error) {
+    console.error('Update closure error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Penutupan tidak ditemukan'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error saat mengupdate penutupan'
+    });
+  }
+});
+
+// @desc    Get approved bookings and tours affected by a closure
+// @route   GET /api/admin/closures/:id/affected
+// @access  Private (closures:view)
+router.get('/closures/:id/affected', authorize('closures:view'), async (req, res) => {
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Penutupan tidak ditemukan'
+      });
+    }
+
+    const affected = await findAffectedActivities(closure);
+
+    res.status(200).json({
+      success: true,
+      data: affected
+    });
+
+  } catch (error) {
+    console.error('Get closure affected activities error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Penutupan tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data terdampak'
+    });
+  }
+});
+
+// @desc    Delete library closure
+// @route   DELETE /api/admin/closures/:id
+// @access  Private/Admin
+router.delete('/closures/:id', authorize('admin'), async (req, res) => {
+  try {
+    const closure = await Closure.findByIdAndDelete(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Penutupan tidak ditemukan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Penutupan berhasil dihapus'
+    });
+
+  } catch (error) {
+    console.error('Delete closure error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Penutupan tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menghapus penutupan'
+    });
+  }
+});
+
+// Helper function to pick approval chain fields from the request body
+const buildApprovalChainData = (body) => {
+  const fields = ['name', 'description', 'targetType', 'roomId', 'tourType', 'minParticipants', 'steps', 'isActive'];
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  ['roomId', 'tourType', 'minParticipants'].forEach(field => {
+    if (data[field] === '') {
+      data[field] = null;
+    }
+  });
+
+  return data;
+};
+
+// Helper function to check that every step approver is an existing user
+const findMissingApprovers = async (steps = []) => {
+  const approverIds = [...new Set(steps.flatMap(step => (step.approvers || []).map(String)))];
+  if (approverIds.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ _id: { $in: approverIds } }).select('_id');
+  const foundIds = users.map(user => user._id.toString());
+
+  return approverIds.filter(id => !foundIds.includes(id));
+};
+
+// @desc    Get approval chains
+// @route   GET /api/admin/approval-chains
+// @access  Private (approvals:view)
+router.get('/approval-chains', authorize('approvals:view'), async (req, res) => {
+  try {
+    const { targetType, includeInactive } = req.query;
+
+    const query = {};
+
+    if (targetType) {
+      query.targetType = targetType;
+    }
+
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const chains = await ApprovalChain.find(query)
+      .populate('roomId', 'roomName')
+      .populate('steps.approvers', 'name email role')
+      .sort({ targetType: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: chains.length,
+      data: chains
+    });
+
+  } catch (error) {
+    console.error('Get approval chains error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil alur persetujuan'
+    });
+  }
+});
+
+// @desc    Create approval chain
+// @route   POST /api/admin/approval-chains
+// @access  Private/Admin
+router.post('/approval-chains', authorize('admin'), async (req, res) => {
+  try {
+    const chainData = buildApprovalChainData(req.body);
+
+    if (chainData.roomId) {
+      const room = await Room.findById(chainData.roomId);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ruangan tidak ditemukan'
+        });
+      }
+    }
+
+    const missingApprovers = await findMissingApprovers(chainData.steps);
+    if (missingApprovers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Beberapa approver tidak ditemukan',
+        missingApprovers
+      });
+    }
+
+    const chain = await ApprovalChain.create({
+      ...chainData,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alur persetujuan berhasil dibuat',
+      data: chain
+    });
+
+  } catch (error) {
+    console.error('Create approval chain error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error saat membuat alur persetujuan'
+    });
+  }
+});
+
+// @desc    Update approval chain
+// @route   PUT /api/admin/approval-chains/:id
+// @access  Private/Admin
+// Requests already in progress keep the steps they were created with
+router.put('/approval-chains/:id', authorize('admin'), async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findById(req.params.id);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alur persetujuan tidak ditemukan'
+      });
+    }
+
+    const chainData = buildApprovalChainData(req.body);
+
+    if (chainData.steps) {
+      const missingApprovers = await findMissingApprovers(chainData.steps);
+      if (missingApprovers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Beberapa approver tidak ditemukan',
+          missingApprovers
+        });
+      }
+    }
+
+    chain.set(chainData);
+    await chain.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Alur persetujuan berhasil diupdate',
+      data: chain
+    });
+
+  } catch (error) {
+    console.error('Update approval chain error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alur persetujuan tidak ditemukan'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error saat mengupdate alur persetujuan'
+    });
+  }
+});
+
+// @desc    Delete approval chain
+// @route   DELETE /api/admin/approval-chains/:id
+// @access  Private/Admin
+router.delete('/approval-chains/:id', authorize('admin'), async (req, res) => {
+  try {
+    // Pending requests keep walking through the steps copied at creation
+    const chain = await ApprovalChain.findByIdAndDelete(req.params.id);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alur persetujuan tidak ditemukan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Alur persetujuan berhasil dihapus'
+    });
+
+  } catch (error) {
+    console.error('Delete approval chain error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Alur persetujuan tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menghapus alur persetujuan'
+    });
+  }
+});
+
+// @desc    Get background jobs with their schedule and last run
+// @route   GET /api/admin/jobs
+// @access  Private (jobs:view)
+router.get('/jobs', authorize('jobs:view'), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data job'
+    });
+  }
+});
+
+// @desc    Get run history of a background job
+// @route   GET /api/admin/jobs/:name/runs
+// @access  Private (jobs:view)
+router.get('/jobs/:name/runs', authorize('jobs:view'), async (req, res) => {
+  try {
+    if (!getJobDefinition(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job tidak ditemukan'
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { jobName: req.params.name };
+    if (status) {
+      query.status = status;
+    }
+
+    // Pagination
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const runs = await JobRun.find(query)
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await JobRun.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      data: runs
+    });
+
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil riwayat job'
+    });
+  }
+});
+
+// @desc    Run a background job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private/Admin
+router.post('/jobs/:name/run', authorize('admin'), async (req, res) => {
+  try {
+    if (!getJobDefinition(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job tidak ditemukan'
+      });
+    }
+
+    // Make sure the job record exists, e.g. on serverless deployments without the scheduler
+    await listJobs();
+
+    const run = await runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job sedang berjalan, coba lagi nanti'
+      });
+    }
+
+    res.status(200).json({
+      success: run.status === 'success',
+      message: run.status === 'success'
+        ? 'Job berhasil dijalankan'
+        : `Job gagal: ${run.error}`,
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menjalankan job'
+    });
+  }
+});
+
+// @desc    Enable/disable a background job or change its interval
+// @route   PATCH /api/admin/jobs/:name
+// @access  Private/Admin
+router.patch('/jobs/:name', authorize('admin'), async (req, res) => {
+  try {
+    if (!getJobDefinition(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job tidak ditemukan'
+      });
+    }
+
+    await listJobs();
+    const job = await ScheduledJob.findOne({ name: req.params.name });
+    const { enabled, intervalMinutes } = req.body;
+
+    if (enabled !== undefined) {
+      job.enabled = Boolean(enabled);
+    }
+
+    if (intervalMinutes !== undefined) {
+      if (isNaN(parseInt(intervalMinutes))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Interval job harus berupa angka (menit)'
+        });
+      }
+
+      job.intervalMinutes = parseInt(intervalMinutes);
+      const lastRun = job.lastRunAt || new Date();
+      job.nextRunAt = new Date(lastRun.getTime() + job.intervalMinutes * 60 * 1000);
+    }
+
+    await job.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pengaturan job berhasil diupdate',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Update job error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengupdate job'
+    });
+  }
+});
+
+// @desc    Get outgoing emails (outbox and delivery status)
+// @route   GET /api/admin/emails
+// @access  Private/Admin
+router.get('/emails', authorize('admin'), async (req, res) => {
+  try {
+    const { status, type, to, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (to) {
+      query.to = { $regex: to, $options: 'i' };
+    }
+
+    // Pagination
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    // Message bodies are only returned by the detail route
+    const emails = await EmailMessage.find(query)
+      .select('-html -attachments.content')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await EmailMessage.countDocuments(query);
+
+    const statusCounts = await EmailMessage.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: emails.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      summary: statusCounts.reduce((summary, item) => {
+        summary[item._id] = item.count;
+        return summary;
+      }, { queued: 0, sending: 0, sent: 0, failed: 0 }),
+      data: emails
+    });
+
+  } catch (error) {
+    console.error('Get emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data email'
+    });
+  }
+});
+
+// @desc    Get an outgoing email with its content and delivery log
+// @route   GET /api/admin/emails/:id
+// @access  Private/Admin
+router.get('/emails/:id', authorize('admin'), async (req, res) => {
+  try {
+    const email = await EmailMessage.findById(req.params.id).select('-attachments.content');
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email tidak ditemukan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: email
+    });
+
+  } catch (error) {
+    console.error('Get email error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Email tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data email'
+    });
+  }
+});
+
+// @desc    Resend an outgoing email
+// @route   POST /api/admin/emails/:id/resend
+// @access  Private/Admin
+router.post('/emails/:id/resend', authorize('admin'), async (req, res) => {
+  try {
+    const email = await EmailMessage.findById(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email tidak ditemukan'
+      });
+    }
+
+    const { error, message } = await resendEmail(email, req.user);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: message.status === 'sent'
+        ? 'Email berhasil dikirim ulang'
+        : `Pengiriman ulang gagal dan dijadwalkan ulang: ${message.lastError}`,
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Resend email error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Email tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengirim ulang email'
+    });
+  }
+});
+
+// @desc    Get outgoing SMS/WhatsApp messages and their delivery status
+// @route   GET /api/admin/messages
+// @access  Private/Admin
+router.get('/messages', authorize('admin'), async (req, res) => {
+  try {
+    const { status, channel, type, to, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (channel) {
+      query.channel = channel;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (to) {
+      query.to = { $regex: to, $options: 'i' };
+    }
+
+    // Pagination
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const messages = await TextMessage.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await TextMessage.countDocuments(query);
+
+    const statusCounts = await TextMessage.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      summary: statusCounts.reduce((summary, item) => {
+        summary[item._id] = item.count;
+        return summary;
+      }, { queued: 0, sending: 0, sent: 0, failed: 0 }),
+      data: messages
+    });
+
+  } catch (error) {
+    console.error('Get text messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data pesan'
+    });
+  }
+});
+
+// @desc    Check the active SMS/WhatsApp transport
+// @route   GET /api/admin/messages/transport
+// @access  Private/Admin
+router.get('/messages/transport', authorize('admin'), async (req, res) => {
+  const config = describeMessageTransport();
+
+  try {
+    await verifyMessageTransport();
+
+    res.status(200).json({
+      success: true,
+      message: 'Transport pesan siap digunakan',
+      config
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Transport pesan tidak dapat digunakan: ${error.message}`,
+      config
+    });
+  }
+});
+
+// @desc    Resend an outgoing SMS/WhatsApp message
+// @route   POST /api/admin/messages/:id/resend
+// @access  Private/Admin
+router.post('/messages/:id/resend', authorize('admin'), async (req, res) => {
+  try {
+    const textMessage = await TextMessage.findById(req.params.id);
+
+    if (!textMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pesan tidak ditemukan'
+      });
+    }
+
+    const { error, message } = await resendTextMessage(textMessage, req.user);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: message.status === 'sent'
+        ? 'Pesan berhasil dikirim ulang'
+        : `Pengiriman ulang gagal dan dijadwalkan ulang: ${message.lastError}`,
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Resend text message error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pesan tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengirim ulang pesan'
+    });
+  }
+});
+
+// Respond 404 when the template key or language in the URL is unknown
+const checkTemplateParams = (req, res) => {
+  if (!isValidTemplate(req.params.key) || !LANGUAGES.includes(req.params.language)) {
+    res.status(404).json({
+      success: false,
+      message: 'Template email tidak ditemukan'
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Get email templates with their placeholders and customization status
+// @route   GET /api/admin/email-templates
+// @access  Private/Admin
+router.get('/email-templates', authorize('admin'), async (req, res) => {
+  try {
+    const customTemplates = await EmailTemplate.find().select('key language updatedAt updatedBy');
+
+    const templates = Object.keys(TEMPLATES).map(key => ({
+      key,
+      description: TEMPLATES[key].description,
+      placeholders: getPlaceholders(key),
+      hasTextMessage: hasTextVersion(key),
+      languages: LANGUAGES.reduce((languages, language) => {
+        const custom = customTemplates.find(template => template.key === key && template.language === language);
+        languages[language] = {
+          customized: Boolean(custom),
+          updatedAt: custom ? custom.updatedAt : null
+        };
+        return languages;
+      }, {})
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil template email'
+    });
+  }
+});
+
+// @desc    Get the current text of an email template
+// @route   GET /api/admin/email-templates/:key/:language
+// @access  Private/Admin
+router.get('/email-templates/:key/:language', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkTemplateParams(req, res)) {
+      return;
+    }
+
+    const template = await getTemplate(req.params.key, req.params.language);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        key: req.params.key,
+        language: req.params.language,
+        description: TEMPLATES[req.params.key].description,
+        placeholders: getPlaceholders(req.params.key),
+        hasTextMessage: hasTextVersion(req.params.key),
+        ...template
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil template email'
+    });
+  }
+});
+
+// @desc    Update the subject, heading, body and text message of an email template
+//          (an empty text keeps the built-in text message)
+// @route   PUT /api/admin/email-templates/:key/:language
+// @access  Private/Admin
+router.put('/email-templates/:key/:language', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkTemplateParams(req, res)) {
+      return;
+    }
+
+    const { key, language } = req.params;
+    const { subject, heading = '', body, text = '' } = req.body;
+
+    if (!subject || !body) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subjek dan isi email harus diisi'
+      });
+    }
+
+    if (text && !hasTextVersion(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template ini tidak dikirim sebagai SMS/WhatsApp'
+      });
+    }
+
+    const templateError = validateTemplateText(key, `${subject}\n${heading}\n${body}\n${text}`);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key, language },
+      { subject, heading, body, text, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Template email berhasil disimpan',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Update email template error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menyimpan template email'
+    });
+  }
+});
+
+// @desc    Reset an email template to the built-in text
+// @route   DELETE /api/admin/email-templates/:key/:language
+// @access  Private/Admin
+router.delete('/email-templates/:key/:language', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkTemplateParams(req, res)) {
+      return;
+    }
+
+    await EmailTemplate.deleteOne({ key: req.params.key, language: req.params.language });
+
+    res.status(200).json({
+      success: true,
+      message: 'Template email dikembalikan ke teks bawaan'
+    });
+
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengembalikan template email'
+    });
+  }
+});
+
+// @desc    Preview an email template with sample data
+//          (unsaved subject, heading, body and text in the request body are previewed instead)
+// @route   POST /api/admin/email-templates/:key/:language/preview
+// @access  Private/Admin
+router.post('/email-templates/:key/:language/preview', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkTemplateParams(req, res)) {
+      return;
+    }
+
+    const { key, language } = req.params;
+    const saved = await getTemplate(key, language);
+    const template = {
+      subject: req.body.subject !== undefined ? req.body.subject : saved.subject,
+      heading: req.body.heading !== undefined ? req.body.heading : saved.heading,
+      body: req.body.body !== undefined ? req.body.body : saved.body,
+      text: req.body.text ? req.body.text : saved.text
+    };
+
+    const templateError = validateTemplateText(key, `${template.subject}\n${template.heading}\n${template.body}\n${template.text || ''}`);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    const sample = TEMPLATES[key].sample;
+    const { subject, html, text } = renderTemplate(key, template, sample);
+
+    if (req.query.format === 'html') {
+      return res.status(200).type('html').send(html);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { subject, html, text, sample }
+    });
+
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat membuat pratinjau template email'
+    });
+  }
+});
+
+// Helper function to pick webhook fields from the request body
+const buildWebhookData = (body) => {
+  const fields = ['name', 'url', 'description', 'events', 'isActive'];
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  if (typeof data.events === 'string') {
+    data.events = data.events.split(',').map(event => event.trim()).filter(Boolean);
+  }
+
+  return data;
+};
+
+// @desc    Get webhook endpoints
+// @route   GET /api/admin/webhooks
+// @access  Private/Admin
+router.get('/webhooks', authorize('admin'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      events: Webhook.EVENTS,
+      data: webhooks
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data webhook'
+    });
+  }
+});
+
+// @desc    Register a webhook endpoint (the signing secret is only returned here and on rotation)
+// @route   POST /api/admin/webhooks
+// @access  Private/Admin
+router.post('/webhooks', authorize('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.create({
+      ...buildWebhookData(req.body),
+      secret: generateSecret(),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook berhasil didaftarkan. Simpan secret ini, secret tidak akan ditampilkan lagi.',
+      data: { ...webhook.toObject(), secret: webhook.secret }
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mendaftarkan webhook'
+    });
+  }
+});
+
+// @desc    Update a webhook endpoint
+// @route   PUT /api/admin/webhooks/:id
+// @access  Private/Admin
+router.put('/webhooks/:id', authorize('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    webhook.set(buildWebhookData(req.body));
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook berhasil diupdate',
+      data: webhook
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengupdate webhook'
+    });
+  }
+});
+
+// @desc    Generate a new signing secret for a webhook endpoint
+// @route   POST /api/admin/webhooks/:id/rotate-secret
+// @access  Private/Admin
+router.post('/webhooks/:id/rotate-secret', authorize('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Secret webhook berhasil diganti. Simpan secret ini, secret tidak akan ditampilkan lagi.',
+      data: { id: webhook._id, secret: webhook.secret }
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengganti secret webhook'
+    });
+  }
+});
+
+// @desc    Delete a webhook endpoint and its delivery log
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private/Admin
+router.delete('/webhooks/:id', authorize('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook berhasil dihapus'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menghapus webhook'
+    });
+  }
+});
+
+// @desc    Get the delivery log of a webhook endpoint
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @access  Private/Admin
+router.get('/webhooks/:id/deliveries', authorize('admin'), async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 20 } = req.query;
+
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    const query = { webhookId: webhook._id };
+    if (status) {
+      query.status = status;
+    }
+    if (event) {
+      query.event = event;
+    }
+
+    // Pagination
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    // Payloads are only returned by the detail route
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    const statusCounts = await WebhookDelivery.aggregate([
+      { $match: { webhookId: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      summary: statusCounts.reduce((summary, item) => {
+        summary[item._id] = item.count;
+        return summary;
+      }, { queued: 0, sending: 0, delivered: 0, failed: 0 }),
+      data: deliveries
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil log pengiriman webhook'
+    });
+  }
+});
+
+// @desc    Get a webhook delivery with its payload and attempts
+// @route   GET /api/admin/webhooks/:id/deliveries/:deliveryId
+// @access  Private/Admin
+router.get('/webhooks/:id/deliveries/:deliveryId', authorize('admin'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: req.params.id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengiriman webhook tidak ditemukan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengiriman webhook tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data pengiriman webhook'
+    });
+  }
+});
+
+// @desc    Replay a webhook delivery with the same ID and payload
+// @route   POST /api/admin/webhooks/:id/deliveries/:deliveryId/replay
+// @access  Private/Admin
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', authorize('admin'), async (req, res) => {
+  try {
+    const webhookDelivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: req.params.id });
+
+    if (!webhookDelivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengiriman webhook tidak ditemukan'
+      });
+    }
+
+    const { error, delivery } = await replayDelivery(webhookDelivery, req.user);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'delivered'
+        ? 'Webhook berhasil dikirim ulang'
+        : `Pengiriman ulang gagal: ${delivery.lastError}`,
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pengiriman webhook tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengirim ulang webhook'
+    });
+  }
+});
+
+module.exports = router;
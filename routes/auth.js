@@ -8,6 +8,8 @@ const {
   sendPasswordResetEmail, 
   sendWelcomeEmail 
 } = require('../utils/email');
+const { getRolePermissions } = require('../utils/permissions');
+const { emitUserRegistered } = require('../utils/webhooks');
 
 const router = express.Router();
 
@@ -48,8 +50,11 @@ const sendTokenResponse = (user, statusCode, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: getRolePermissions(user.role),
         originInstitution: user.originInstitution,
         phoneNumber: user.phoneNumber,
+        language: user.language,
+        notificationChannels: user.notificationChannels,
         isVerified: user.isVerified
       }
     });
@@ -60,7 +65,7 @@ const sendTokenResponse = (user, statusCode, res) => {
 // @access  Public
 router.post('/register', rateLimiter(15 * 60 * 1000, 5), async (req, res) => {
   try {
-    const { name, email, password, originInstitution, phoneNumber } = req.body;
+    const { name, email, password, originInstitution, phoneNumber, language } = req.body;
 
     if (!name || !email || !password || !originInstitution || !phoneNumber) {
       return res.status(400).json({
@@ -82,13 +87,16 @@ router.post('/register', rateLimiter(15 * 60 * 1000, 5), async (req, res) => {
       email: email.toLowerCase().trim(),
       password,
       originInstitution: originInstitution.trim(),
-      phoneNumber: phoneNumber.trim()
+      phoneNumber: phoneNumber.trim(),
+      language
     });
 
     // For now, auto-verify users since email service is not working
     user.isVerified = true;
     await user.save({ validateBeforeSave: false });
 
+    await emitUserRegistered(user);
+
     // TODO: Re-enable email verification when email service is configured
     // const verificationToken = user.generateVerificationToken();
     // await user.save({ validateBeforeSave: false });
@@ -184,8 +192,11 @@ router.get('/me', protect, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: getRolePermissions(user.role),
         originInstitution: user.originInstitution,
         phoneNumber: user.phoneNumber,
+        language: user.language,
+        notificationChannels: user.notificationChannels,
         isVerified: user.isVerified,
         createdAt: user.createdAt
       }
@@ -204,12 +215,34 @@ router.get('/me', protect, async (req, res) => {
 // @access  Private
 router.put('/profile', protect, async (req, res) => {
   try {
-    const { name, originInstitution, phoneNumber } = req.body;
+    const { name, originInstitution, phoneNumber, language, notificationChannels } = req.body;
 
     const fieldsToUpdate = {};
     if (name) fieldsToUpdate.name = name.trim();
     if (originInstitution) fieldsToUpdate.originInstitution = originInstitution.trim();
     if (phoneNumber) fieldsToUpdate.phoneNumber = phoneNumber.trim();
+    if (language) fieldsToUpdate.language = language;
+
+    // Channels per notification type, e.g. { tour_reminder: ['email', 'whatsapp'] }
+    if (notificationChannels !== undefined) {
+      if (!notificationChannels || typeof notificationChannels !== 'object' || Array.isArray(notificationChannels)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pilihan kanal notifikasi tidak valid'
+        });
+      }
+
+      for (const [type, channels] of Object.entries(notificationChannels)) {
+        if (!User.NOTIFICATION_TYPES.includes(type) || !Array.isArray(channels) ||
+            channels.some(channel => !User.NOTIFICATION_CHANNELS.includes(channel))) {
+          return res.status(400).json({
+            success: false,
+            message: `Pilihan kanal untuk notifikasi ${type} tidak valid`
+          });
+        }
+        fieldsToUpdate[`notificationChannels.${type}`] = [...new Set(channels)];
+      }
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -225,8 +258,11 @@ router.put('/profile', protect, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: getRolePermissions(user.role),
         originInstitution: user.originInstitution,
         phoneNumber: user.phoneNumber,
+        language: user.language,
+        notificationChannels: user.notificationChannels,
         isVerified: user.isVerified
       }
     });
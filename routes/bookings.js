@@ -1,24 +1,124 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Room = require('../models/Room');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Closure = require('../models/Closure');
 const { protect, authorize } = require('../middleware/auth');
 const {
   uploadDocument,
   handleUploadError,
   validateFileExists,
+  cleanupOnError,
   generateFileUrl,
   deleteFile
 } = require('../middleware/upload');
-const { sendBookingNotification } = require('../utils/email');
+const { sendBookingNotification, sendDocumentRevisionNotification } = require('../utils/email');
+const { parseRecurrenceRule, expandRecurrence } = require('../utils/recurrence');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { LIBRARY_TIMEZONE, getPeriodStart } = require('../utils/time');
+const { getApprovalDecision, decideApprovalStep, buildApprovalQueueQuery } = require('../utils/approval');
+const { createCheckInCode, parseCheckInCode } = require('../utils/checkin');
+const { getBookingQuotaError, getWaitlistQuotaError, isLateCancellation } = require('../utils/quota');
+const { notifyRequestCreated, notifyDocumentReview, notifyDocumentUploaded } = require('../utils/notifications');
+const {
+  getDocumentApprovalError,
+  canReviewDocument,
+  recordDocumentReview,
+  getUploadedDocumentReview,
+  generateDocumentUrls
+} = require('../utils/documents');
+const { getFileUrl } = require('../utils/storage');
 
 const router = express.Router();
 
-// Helper function to generate download URL
-const generateDownloadUrl = (req, documentPath) => {
-  if (!documentPath) return null;
-  const filename = documentPath.split('/').pop();
-  const type = 'documents'; // All documents are stored in documents folder
-  return `${req.protocol}://${req.get('host')}/download/uploads/${type}/${filename}`;
+// Helper function to delete a booking document unless another booking still uses it
+// (occurrences of a recurring series share the same uploaded document)
+const deleteDocumentIfUnused = async (documentPath, excludeId) => {
+  if (!documentPath) return;
+
+  const stillUsed = await Booking.exists({
+    documentPath,
+    _id: { $ne: excludeId }
+  });
+
+  if (!stillUsed) {
+    await deleteFile(documentPath);
+  }
+};
+
+// Helper function to find the bookings sharing a booking's document, the booking first
+// (occurrences of a recurring series share the document uploaded with the series)
+const findDocumentGroup = async (booking) => {
+  if (!booking.seriesId || !booking.documentPath) {
+    return [booking];
+  }
+
+  const siblings = await Booking.find({
+    seriesId: booking.seriesId,
+    documentPath: booking.documentPath,
+    _id: { $ne: booking._id }
+  });
+
+  return [booking, ...siblings];
+};
+
+// Helper function to limit a booking query to the rooms the user may access with a permission.
+// Room managers only see their managed rooms; a requested roomId outside them matches nothing.
+const applyRoomScope = (query, user, permission) => {
+  const roomScope = user.getRoomScope(permission);
+  if (!roomScope) {
+    return query;
+  }
+
+  query.roomId = {
+    $in: query.roomId
+      ? roomScope.filter(id => id.toString() === String(query.roomId))
+      : roomScope
+  };
+  return query;
+};
+
+// Helper function to check in ('check-in') or check out ('check-out') a booking.
+// Returns { statusCode, body } for the response.
+const applyCheckAction = async (booking, action, user, method) => {
+  if (action === 'check-in') {
+    const checkInError = booking.getCheckInError();
+    if (checkInError) {
+      return { statusCode: 400, body: { success: false, message: checkInError } };
+    }
+
+    await booking.checkIn(user._id, method);
+    return {
+      statusCode: 200,
+      body: { success: true, message: 'Check-in berhasil', data: booking }
+    };
+  }
+
+  const checkOutError = booking.getCheckOutError();
+  if (checkOutError) {
+    return { statusCode: 400, body: { success: false, message: checkOutError } };
+  }
+
+  await booking.checkOut(user._id, method);
+  return {
+    statusCode: 200,
+    body: { success: true, message: 'Check-out berhasil, booking selesai', data: booking }
+  };
+};
+
+// Helper function to validate an admin status transition, returns an error message or null
+const getStatusTransitionError = (booking, status) => {
+  if (status === 'completed' && booking.status !== 'approved') {
+    return 'Hanya booking dengan status approved yang dapat ditandai selesai';
+  }
+  if ((status === 'approved' || status === 'rejected') && booking.status !== 'pending') {
+    return 'Hanya booking dengan status pending yang dapat disetujui atau ditolak';
+  }
+  if (status === 'cancelled' && !['pending', 'approved'].includes(booking.status)) {
+    return 'Hanya booking dengan status pending atau approved yang dapat dibatalkan';
+  }
+  return null;
 };
 
 // @desc    Create new booking
@@ -35,7 +135,10 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       participantsCount,
       contactPerson,
       equipment,
-      notes
+      notes,
+      recurrence,
+      joinWaitlist,
+      remindersEnabled
     } = req.body;
 
     // Validate required fields
@@ -82,26 +185,6 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       });
     }
 
-    // Check for conflicts
-    const conflictingBooking = await Booking.checkConflict(
-      roomId,
-      bookingStartTime,
-      bookingEndTime
-    );
-
-    if (conflictingBooking) {
-      return res.status(400).json({
-        success: false,
-        message: 'Ruangan sudah dibooking pada waktu tersebut',
-        conflict: {
-          activityName: conflictingBooking.activityName,
-          startTime: conflictingBooking.startTime,
-          endTime: conflictingBooking.endTime,
-          bookedBy: conflictingBooking.userId.name
-        }
-      });
-    }
-
     // Validate capacity
     if (participantsCount && participantsCount > room.capacity) {
       return res.status(400).json({
@@ -110,25 +193,34 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       });
     }
 
-    // Check working hours only for single-day bookings (convert UTC to Jakarta time UTC+7)
-    const isMultiDay = bookingStartTime.toDateString() !== bookingEndTime.toDateString();
-
-    if (!isMultiDay) {
-      const startHour = (bookingStartTime.getUTCHours() + 7) % 24;
-      const endHour = (bookingEndTime.getUTCHours() + 7) % 24;
-      const roomStartHour = room.operatingHours && room.operatingHours.start ? parseInt(room.operatingHours.start.split(':')[0]) : 8;
-      const roomEndHour = room.operatingHours && room.operatingHours.end ? parseInt(room.operatingHours.end.split(':')[0]) : 17;
-
-      if (startHour < roomStartHour || endHour > roomEndHour) {
-        const startTimeStr = room.operatingHours && room.operatingHours.start ? room.operatingHours.start : '08:00';
-        const endTimeStr = room.operatingHours && room.operatingHours.end ? room.operatingHours.end : '17:00';
+    // Parse recurrence rule if provided
+    let recurrenceRule = null;
+    if (recurrence) {
+      try {
+        recurrenceRule = parseRecurrenceRule(recurrence);
+      } catch (error) {
         return res.status(400).json({
           success: false,
-          message: `Ruangan hanya beroperasi dari ${startTimeStr} - ${endTimeStr}`
+          message: error.message
         });
       }
     }
 
+    // Check suspension and booking quotas
+    const quotaError = await getBookingQuotaError(req.user, bookingStartTime, bookingEndTime);
+    if (quotaError) {
+      if (req.file) {
+        deleteFile(req.file.path).catch(err =>
+          console.error('Error deleting file:', err)
+        );
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: quotaError
+      });
+    }
+
     // Create booking data
     const bookingData = {
       userId: req.user._id,
@@ -138,8 +230,10 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       startTime: bookingStartTime,
       endTime: bookingEndTime,
       documentPath: req.file ? req.file.path : undefined, // Optional document
+      documentReview: req.file ? getUploadedDocumentReview({}, req.user._id) : undefined,
       participantsCount: participantsCount ? parseInt(participantsCount) : 1,
-      notes: notes ? notes.trim() : undefined
+      notes: notes ? notes.trim() : undefined,
+      remindersEnabled: remindersEnabled !== false && remindersEnabled !== 'false'
     };
 
     // Parse contact person if provided
@@ -160,7 +254,249 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       }
     }
 
+    if (!recurrenceRule) {
+      // Check operating hours
+      const operatingHoursError = room.getOperatingHoursError(bookingStartTime, bookingEndTime);
+      if (operatingHoursError) {
+        return res.status(400).json({
+          success: false,
+          message: operatingHoursError
+        });
+      }
+
+      // Check library closures
+      const closure = await Closure.checkConflict(bookingStartTime, bookingEndTime, room._id, room.getTimeZone());
+      if (closure) {
+        return res.status(400).json({
+          success: false,
+          message: Closure.describeInterval(closure),
+          closure: Closure.toResponse(closure)
+        });
+      }
+
+      // Check for conflicts
+      const conflictingBooking = await Booking.checkConflict(
+        roomId,
+        bookingStartTime,
+        bookingEndTime
+      );
+
+      if (conflictingBooking) {
+        const conflict = {
+          activityName: conflictingBooking.activityName,
+          startTime: conflictingBooking.startTime,
+          endTime: conflictingBooking.endTime,
+          bookedBy: conflictingBooking.userId.name
+        };
+
+        // Opt-in waitlist - queue the request until the slot is freed
+        if (joinWaitlist === true || joinWaitlist === 'true') {
+          const existingEntry = await WaitlistEntry.findOne({
+            userId: req.user._id,
+            roomId,
+            status: 'waiting',
+            startTime: { $lt: bookingEndTime },
+            endTime: { $gt: bookingStartTime }
+          });
+
+          if (existingEntry) {
+            if (req.file) {
+              deleteFile(req.file.path).catch(err =>
+                console.error('Error deleting file:', err)
+              );
+            }
+
+            return res.status(400).json({
+              success: false,
+              message: 'Anda sudah berada di daftar tunggu untuk ruangan dan waktu tersebut'
+            });
+          }
+
+          // Waiting entries count against the booking quota
+          const waitlistQuotaError = await getWaitlistQuotaError(req.user);
+          if (waitlistQuotaError) {
+            if (req.file) {
+              deleteFile(req.file.path).catch(err =>
+                console.error('Error deleting file:', err)
+              );
+            }
+
+            return res.status(403).json({
+              success: false,
+              message: waitlistQuotaError
+            });
+          }
+
+          const waitlistEntry = await WaitlistEntry.create(bookingData);
+
+          const position = await WaitlistEntry.countDocuments({
+            roomId,
+            status: 'waiting',
+            startTime: { $lt: bookingEndTime },
+            endTime: { $gt: bookingStartTime },
+            createdAt: { $lte: waitlistEntry.createdAt }
+          });
+
+          return res.status(202).json({
+            success: true,
+            waitlisted: true,
+            message: 'Ruangan sudah dibooking pada waktu tersebut. Anda telah masuk daftar tunggu.',
+            conflict,
+            data: {
+              ...waitlistEntry.toObject(),
+              position
+            }
+          });
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: 'Ruangan sudah dibooking pada waktu tersebut',
+          conflict,
+          canJoinWaitlist: true
+        });
+      }
+    }
+
+    // Recurring booking - expand the rule and create each available occurrence
+    if (recurrenceRule) {
+      let occurrences;
+      try {
+        occurrences = expandRecurrence(bookingStartTime, bookingEndTime, recurrenceRule, room.getTimeZone());
+      } catch (error) {
+        if (req.file) {
+          deleteFile(req.file.path).catch(err =>
+            console.error('Error deleting file:', err)
+          );
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const seriesId = new mongoose.Types.ObjectId();
+      const createdBookings = [];
+      const conflicts = [];
+
+      for (const [index, occurrence] of occurrences.entries()) {
+        if (occurrence.startTime < new Date()) {
+          conflicts.push({
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            reason: 'past',
+            message: 'Waktu sudah lewat'
+          });
+          continue;
+        }
+
+        const operatingHoursError = room.getOperatingHoursError(occurrence.startTime, occurrence.endTime);
+        if (operatingHoursError) {
+          conflicts.push({
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            reason: 'outside_operating_hours',
+            message: operatingHoursError
+          });
+          continue;
+        }
+
+        const closure = await Closure.checkConflict(occurrence.startTime, occurrence.endTime, room._id, room.getTimeZone());
+        if (closure) {
+          conflicts.push({
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            reason: 'closed',
+            message: Closure.describeInterval(closure),
+            closure: Closure.toResponse(closure)
+          });
+          continue;
+        }
+
+        // Quotas count the occurrences created so far
+        const occurrenceQuotaError = await getBookingQuotaError(req.user, occurrence.startTime, occurrence.endTime);
+        if (occurrenceQuotaError) {
+          conflicts.push({
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            reason: 'quota',
+            message: occurrenceQuotaError
+          });
+          continue;
+        }
+
+        const conflictingBooking = await Booking.checkConflict(
+          roomId,
+          occurrence.startTime,
+          occurrence.endTime
+        );
+
+        if (conflictingBooking) {
+          conflicts.push({
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            reason: 'conflict',
+            message: 'Ruangan sudah dibooking pada waktu tersebut',
+            conflict: {
+              activityName: conflictingBooking.activityName,
+              startTime: conflictingBooking.startTime,
+              endTime: conflictingBooking.endTime,
+              bookedBy: conflictingBooking.userId ? conflictingBooking.userId.name : null
+            }
+          });
+          continue;
+        }
+
+        const occurrenceBooking = await Booking.create({
+          ...bookingData,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          seriesId,
+          seriesIndex: index,
+          recurrence: recurrenceRule
+        });
+        createdBookings.push(occurrenceBooking);
+      }
+
+      if (createdBookings.length === 0) {
+        if (req.file) {
+          deleteFile(req.file.path).catch(err =>
+            console.error('Error deleting file:', err)
+          );
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: 'Tidak ada jadwal dalam pengulangan yang dapat dibooking',
+          conflicts
+        });
+      }
+
+      await notifyRequestCreated('booking', createdBookings[0], req.user, createdBookings.length);
+
+      return res.status(201).json({
+        success: true,
+        message: `${createdBookings.length} dari ${occurrences.length} jadwal berhasil diajukan. Menunggu persetujuan admin.`,
+        data: {
+          seriesId,
+          recurrence: recurrenceRule,
+          bookings: createdBookings.map(occurrenceBooking => ({
+            ...occurrenceBooking.toObject(),
+            ...generateDocumentUrls(req, 'booking', occurrenceBooking)
+          })),
+          conflicts
+        }
+      });
+    }
+
     const booking = await Booking.create(bookingData);
+    await notifyRequestCreated('booking', booking, req.user);
 
     // Populate the booking for response
     await booking.populate([
@@ -173,8 +509,7 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       message: 'Booking berhasil diajukan. Menunggu persetujuan admin.',
       data: {
         ...booking.toObject(),
-        documentUrl: generateDownloadUrl(req, booking.documentPath),
-        documentViewUrl: booking.documentPath ? `${req.protocol}://${req.get('host')}/${booking.documentPath}` : null
+        ...generateDocumentUrls(req, 'booking', booking)
       }
     });
 
@@ -245,9 +580,8 @@ router.get('/my-bookings', protect, async (req, res) => {
     // Add document URL to each booking
     const bookingsWithUrls = bookings.map(booking => ({
       ...booking.toObject(),
-      documentUrl: generateDownloadUrl(req, booking.documentPath),
-      documentViewUrl: `${req.protocol}://${req.get('host')}/${booking.documentPath}`,
-      roomImageUrl: booking.roomId && booking.roomId.image ? `${req.protocol}://${req.get('host')}/${booking.roomId.image}` : null
+      ...generateDocumentUrls(req, 'booking', booking),
+      roomImageUrl: booking.roomId ? getFileUrl(req, booking.roomId.image) : null
     }));
 
     res.status(200).json({
@@ -271,6 +605,210 @@ router.get('/my-bookings', protect, async (req, res) => {
   }
 });
 
+// @desc    Get user's waitlist entries
+// @route   GET /api/bookings/my-waitlist
+// @access  Private
+router.get('/my-waitlist', protect, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Expire entries whose slot has already passed
+    await WaitlistEntry.updateMany(
+      { userId: req.user._id, status: 'waiting', startTime: { $lt: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+
+    const query = { userId: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .sort({ startTime: 1 })
+      .populate('roomId', 'roomName capacity location image')
+      .populate('promotedBookingId', 'status startTime endTime');
+
+    // Add queue position for entries that are still waiting
+    const entriesWithPosition = await Promise.all(
+      entries.map(async (entry) => {
+        const entryObj = entry.toObject();
+        if (entry.status === 'waiting') {
+          entryObj.position = await WaitlistEntry.countDocuments({
+            roomId: entry.roomId._id,
+            status: 'waiting',
+            startTime: { $lt: entry.endTime },
+            endTime: { $gt: entry.startTime },
+            createdAt: { $lte: entry.createdAt }
+          });
+        }
+        return entryObj;
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      count: entriesWithPosition.length,
+      data: entriesWithPosition
+    });
+
+  } catch (error) {
+    console.error('Get my waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil daftar tunggu'
+    });
+  }
+});
+
+// @desc    Withdraw a waitlist entry
+// @route   PATCH /api/bookings/my-waitlist/:id/withdraw
+// @access  Private
+router.patch('/my-waitlist/:id/withdraw', protect, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Daftar tunggu tidak ditemukan'
+      });
+    }
+
+    // Check ownership
+    if (entry.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses untuk menarik daftar tunggu ini'
+      });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Hanya daftar tunggu dengan status waiting yang dapat ditarik'
+      });
+    }
+
+    entry.status = 'withdrawn';
+    await entry.save();
+
+    // The document was never attached to a booking, so it can go
+    if (entry.documentPath) {
+      deleteFile(entry.documentPath).catch(err =>
+        console.error('Error deleting document file:', err)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Berhasil keluar dari daftar tunggu',
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Withdraw waitlist error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Daftar tunggu tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menarik daftar tunggu'
+    });
+  }
+});
+
+// @desc    Get all occurrences of a recurring booking series
+// @route   GET /api/bookings/series/:seriesId
+// @access  Private
+router.get('/series/:seriesId', protect, async (req, res) => {
+  try {
+    const query = { seriesId: req.params.seriesId };
+
+    const bookings = await Booking.find(query)
+      .sort({ startTime: 1 })
+      .populate('roomId', 'roomName capacity location image');
+
+    // Users can only see their own series, staff the series in rooms they may view
+    const canView = bookings.length > 0 && (
+      bookings[0].userId.toString() === req.user._id.toString() ||
+      req.user.hasRoomPermission('bookings:view', bookings[0].roomId)
+    );
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Jadwal berulang tidak ditemukan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: {
+        seriesId: req.params.seriesId,
+        recurrence: bookings[0].recurrence,
+        bookings: bookings.map(booking => ({
+          ...booking.toObject(),
+          ...generateDocumentUrls(req, 'booking', booking)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get booking series error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Jadwal berulang tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil jadwal berulang'
+    });
+  }
+});
+
+// @desc    Get pending bookings waiting on the current user's approval step
+// @route   GET /api/bookings/approval-queue
+// @access  Private
+router.get('/approval-queue', protect, async (req, res) => {
+  try {
+    const managerFilter = req.user.hasPermission('bookings:approve')
+      ? applyRoomScope({}, req.user, 'bookings:approve')
+      : null;
+
+    const bookings = await Booking.find(buildApprovalQueueQuery(req.user, managerFilter))
+      .populate('userId', 'name email originInstitution')
+      .populate('roomId', 'roomName capacity location')
+      .sort({ startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: bookings.map(booking => ({
+        ...booking.toObject(),
+        currentStep: booking.approval.steps[booking.approval.currentStep],
+        ...generateDocumentUrls(req, 'booking', booking)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get booking approval queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil antrean persetujuan booking'
+    });
+  }
+});
+
 // @desc    Get single booking
 // @route   GET /api/bookings/:id
 // @access  Private
@@ -285,8 +823,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check if user owns this booking or is admin
-    if (booking.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this booking or may view bookings of its room
+    if (booking.userId._id.toString() !== req.user._id.toString() && !req.user.hasRoomPermission('bookings:view', booking.roomId)) {
       return res.status(403).json({
         success: false,
         message: 'Tidak memiliki akses ke booking ini'
@@ -297,9 +835,8 @@ router.get('/:id', protect, async (req, res) => {
       success: true,
       data: {
         ...booking.toObject(),
-        documentUrl: generateDownloadUrl(req, booking.documentPath),
-        documentViewUrl: booking.documentPath ? `${req.protocol}://${req.get('host')}/${booking.documentPath}` : null,
-        roomImageUrl: booking.roomId && booking.roomId.image ? `${req.protocol}://${req.get('host')}/${booking.roomId.image}` : null
+        ...generateDocumentUrls(req, 'booking', booking),
+        roomImageUrl: booking.roomId ? getFileUrl(req, booking.roomId.image) : null
       }
     });
 
@@ -388,12 +925,11 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
     // Handle document update
     if (req.file) {
       // Delete old document
-      if (booking.documentPath) {
-        deleteFile(booking.documentPath).catch(err => 
-          console.error('Error deleting old document:', err)
-        );
-      }
+      deleteDocumentIfUnused(booking.documentPath, booking._id).catch(err =>
+        console.error('Error deleting old document:', err)
+      );
       updateData.documentPath = req.file.path;
+      updateData.documentReview = getUploadedDocumentReview(booking, req.user._id);
     }
 
     // Handle time updates
@@ -423,23 +959,23 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
         });
       }
 
-      // Check working hours only for single-day bookings (convert UTC to Jakarta time UTC+7)
-      const isMultiDayUpdate = newStartTime.toDateString() !== newEndTime.toDateString();
-
-      if (!isMultiDayUpdate) {
-        const newStartHour = (newStartTime.getUTCHours() + 7) % 24;
-        const newEndHour = (newEndTime.getUTCHours() + 7) % 24;
-        const roomStartHour = room.operatingHours && room.operatingHours.start ? parseInt(room.operatingHours.start.split(':')[0]) : 8;
-        const roomEndHour = room.operatingHours && room.operatingHours.end ? parseInt(room.operatingHours.end.split(':')[0]) : 17;
-
-        if (newStartHour < roomStartHour || newEndHour > roomEndHour) {
-          const startTimeStr = room.operatingHours && room.operatingHours.start ? room.operatingHours.start : '08:00';
-          const endTimeStr = room.operatingHours && room.operatingHours.end ? room.operatingHours.end : '17:00';
-          return res.status(400).json({
-            success: false,
-            message: `Ruangan hanya beroperasi dari ${startTimeStr} - ${endTimeStr}`
-          });
-        }
+      // Check operating hours
+      const operatingHoursError = room.getOperatingHoursError(newStartTime, newEndTime);
+      if (operatingHoursError) {
+        return res.status(400).json({
+          success: false,
+          message: operatingHoursError
+        });
+      }
+
+      // Check library closures
+      const closure = await Closure.checkConflict(newStartTime, newEndTime, room._id, room.getTimeZone());
+      if (closure) {
+        return res.status(400).json({
+          success: false,
+          message: Closure.describeInterval(closure),
+          closure: Closure.toResponse(closure)
+        });
       }
 
       // Check for conflicts (excluding current booking)
@@ -464,81 +1000,486 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
 
       updateData.startTime = newStartTime;
       updateData.endTime = newEndTime;
+      // Reminders follow the new start time
+      updateData.remindersSent = [];
+    }
+
+    // Parse contact person if provided
+    if (contactPerson !== undefined) {
+      try {
+        updateData.contactPerson = JSON.parse(contactPerson);
+      } catch (error) {
+        // Ignore parsing error
+      }
+    }
+
+    // Parse equipment if provided
+    if (equipment !== undefined) {
+      try {
+        updateData.equipment = JSON.parse(equipment);
+      } catch (error) {
+        updateData.equipment = equipment.split(',').map(e => e.trim());
+      }
+    }
+
+    const updatedBooking = await Booking.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking berhasil diupdate',
+      data: {
+        ...updatedBooking.toObject(),
+        ...generateDocumentUrls(req, 'booking', updatedBooking)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update booking error:', error);
+    
+    // Delete uploaded file if update fails
+    if (req.file) {
+      deleteFile(req.file.path).catch(err => 
+        console.error('Error deleting file:', err)
+      );
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengupdate booking'
+    });
+  }
+});
+
+// @desc    Cancel booking
+// @route   PATCH /api/bookings/:id/cancel
+// @access  Private
+router.patch('/:id/cancel', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    // Check ownership
+    if (booking.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses untuk membatalkan booking ini'
+      });
+    }
+
+    // Check if booking can be cancelled
+    if (booking.status === 'cancelled' || booking.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking sudah dibatalkan atau ditolak'
+      });
+    }
+
+    // Check if booking time has passed
+    if (booking.startTime < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tidak dapat membatalkan booking yang sudah dimulai'
+      });
+    }
+
+    // Cancelling an approved booking shortly before it starts counts as a strike
+    const lateCancellation = booking.status === 'approved' && isLateCancellation(booking.startTime);
+
+    // Update status to cancelled
+    await booking.updateStatus('cancelled', 'Dibatalkan oleh user', req.user._id);
+
+    if (lateCancellation) {
+      await req.user.addStrike('late_cancellation', { bookingId: booking._id });
+    }
+
+    // Hand the freed slot to the next user on the waitlist
+    try {
+      await promoteWaitlist(booking);
+    } catch (waitlistError) {
+      console.error('Failed to promote waitlist:', waitlistError);
+      // Don't fail the request if waitlist promotion fails
+    }
+
+    res.status(200).json({
+      success: true,
+      message: lateCancellation
+        ? 'Booking berhasil dibatalkan. Pembatalan mendadak dicatat sebagai pelanggaran.'
+        : 'Booking berhasil dibatalkan',
+      data: booking,
+      strike: lateCancellation
+    });
+
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat membatalkan booking'
+    });
+  }
+});
+
+// @desc    Turn reminder emails for a booking on or off
+// @route   PATCH /api/bookings/:id/reminders
+// @access  Private (owner)
+router.patch('/:id/reminders', protect, async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Field enabled harus berupa true atau false'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    if (booking.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses ke booking ini'
+      });
+    }
+
+    booking.remindersEnabled = req.body.enabled;
+    await booking.save();
+
+    res.status(200).json({
+      success: true,
+      message: booking.remindersEnabled
+        ? 'Pengingat booking diaktifkan'
+        : 'Pengingat booking dinonaktifkan',
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Update booking reminders error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengupdate pengingat booking'
+    });
+  }
+});
+
+// @desc    Review the document of a booking: accept it or request a replacement
+//          (applies to every occurrence of a series sharing the document)
+// @route   PATCH /api/bookings/:id/document/review
+// @access  Private (admins, room managers, current approval step approvers)
+router.patch('/:id/document/review', protect, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (!['accepted', 'needs_revision'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status dokumen harus berupa accepted atau needs_revision'
+      });
+    }
+
+    if (status === 'needs_revision' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Catatan perbaikan harus diisi saat meminta dokumen pengganti'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    const isManager = req.user.hasRoomPermission('bookings:approve', booking.roomId);
+    if (!canReviewDocument(booking, req.user, isManager)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk meninjau dokumen booking ini'
+      });
+    }
+
+    if (!booking.documentPath) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking ini tidak memiliki dokumen'
+      });
+    }
+
+    const group = await findDocumentGroup(booking);
+    for (const groupBooking of group) {
+      recordDocumentReview(groupBooking, status, note, req.user._id);
+      await groupBooking.save();
+    }
+
+    await notifyDocumentReview('booking', booking, status, note);
+
+    if (status === 'needs_revision') {
+      await booking.populate([
+        { path: 'userId', select: 'name email' },
+        { path: 'roomId', select: 'roomName location timezone' }
+      ]);
+
+      try {
+        await sendDocumentRevisionNotification('booking', booking);
+      } catch (emailError) {
+        console.error('Failed to send document revision notification:', emailError);
+        // Don't fail the request if the notification fails
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'accepted'
+        ? 'Dokumen booking diterima'
+        : 'Permintaan dokumen pengganti telah dikirim ke pengguna',
+      data: booking,
+      updatedBookings: group.length
+    });
+
+  } catch (error) {
+    console.error('Review booking document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat meninjau dokumen booking'
+    });
+  }
+});
+
+// @desc    Upload a replacement document without editing the rest of the booking
+//          (applies to every occurrence of a series sharing the document)
+// @route   PUT /api/bookings/:id/document
+// @access  Private (owner)
+router.put('/:id/document', protect, uploadDocument, handleUploadError, validateFileExists, cleanupOnError, generateFileUrl, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    if (booking.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses ke booking ini'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(booking.status) || booking.endTime < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dokumen hanya dapat diganti untuk booking pending atau disetujui yang belum berakhir'
+      });
+    }
+
+    const previousDocumentPath = booking.documentPath;
+    const group = await findDocumentGroup(booking);
+
+    for (const groupBooking of group) {
+      groupBooking.documentReview = getUploadedDocumentReview(groupBooking, req.user._id);
+      groupBooking.documentPath = req.file.path;
+      await groupBooking.save();
+    }
+
+    deleteDocumentIfUnused(previousDocumentPath, booking._id).catch(err =>
+      console.error('Error deleting old document:', err)
+    );
+
+    await notifyDocumentUploaded('booking', booking, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dokumen pengganti berhasil diunggah dan menunggu peninjauan',
+      data: {
+        ...booking.toObject(),
+        ...generateDocumentUrls(req, 'booking', booking)
+      },
+      updatedBookings: group.length
+    });
+
+  } catch (error) {
+    console.error('Replace booking document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
     }
 
-    // Parse contact person if provided
-    if (contactPerson !== undefined) {
-      try {
-        updateData.contactPerson = JSON.parse(contactPerson);
-      } catch (error) {
-        // Ignore parsing error
-      }
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengunggah dokumen pengganti'
+    });
+  }
+});
+
+// @desc    Get the QR check-in code of a booking, shown by the owner and scanned by the front desk
+// @route   GET /api/bookings/:id/check-in-code
+// @access  Private (owner or front desk)
+router.get('/:id/check-in-code', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
     }
 
-    // Parse equipment if provided
-    if (equipment !== undefined) {
-      try {
-        updateData.equipment = JSON.parse(equipment);
-      } catch (error) {
-        updateData.equipment = equipment.split(',').map(e => e.trim());
-      }
+    if (booking.userId._id.toString() !== req.user._id.toString() && !req.user.hasRoomPermission('bookings:checkin', booking.roomId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses ke booking ini'
+      });
     }
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    if (booking.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Kode check-in hanya tersedia untuk booking yang disetujui'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Booking berhasil diupdate',
       data: {
-        ...updatedBooking.toObject(),
-        documentUrl: generateDownloadUrl(req, updatedBooking.documentPath),
-        documentViewUrl: updatedBooking.documentPath ? `${req.protocol}://${req.get('host')}/${updatedBooking.documentPath}` : null
+        bookingId: booking._id,
+        code: createCheckInCode(booking._id.toString()),
+        checkInWindow: booking.getCheckInWindow(),
+        actualStartTime: booking.actualStartTime
       }
     });
 
   } catch (error) {
-    console.error('Update booking error:', error);
-    
-    // Delete uploaded file if update fails
-    if (req.file) {
-      deleteFile(req.file.path).catch(err => 
-        console.error('Error deleting file:', err)
-      );
-    }
-    
+    console.error('Get check-in code error:', error);
+
     if (error.name === 'CastError') {
       return res.status(404).json({
         success: false,
         message: 'Booking tidak ditemukan'
       });
     }
-    
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil kode check-in'
+    });
+  }
+});
+
+// @desc    Check in or check out by scanning the QR code the booking owner shows at the front desk
+// @route   POST /api/bookings/check-in/scan
+// @access  Private (bookings:checkin)
+router.post('/check-in/scan', protect, authorize('bookings:checkin'), async (req, res) => {
+  try {
+    const { code, action = 'check-in' } = req.body;
+
+    if (!['check-in', 'check-out'].includes(action)) {
       return res.status(400).json({
         success: false,
-        message: messages.join(', ')
+        message: 'Aksi harus berupa check-in atau check-out'
+      });
+    }
+
+    const bookingId = parseCheckInCode(code);
+    const booking = bookingId && mongoose.Types.ObjectId.isValid(bookingId)
+      ? await Booking.findById(bookingId)
+      : null;
+
+    if (!booking) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kode QR tidak valid'
+      });
+    }
+
+    if (!req.user.hasRoomPermission('bookings:checkin', booking.roomId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses untuk check-in booking ini'
       });
     }
 
+    const result = await applyCheckAction(booking, action, req.user, 'qr');
+    res.status(result.statusCode).json(result.body);
+
+  } catch (error) {
+    console.error('Scan check-in code error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error saat mengupdate booking'
+      message: 'Server error saat memproses kode QR'
     });
   }
 });
 
-// @desc    Cancel booking
-// @route   PATCH /api/bookings/:id/cancel
-// @access  Private
-router.patch('/:id/cancel', protect, async (req, res) => {
+// @desc    Check in a booking at the front desk
+// @route   POST /api/bookings/:id/check-in
+// @access  Private (bookings:checkin)
+router.post('/:id/check-in', protect, authorize('bookings:checkin'), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
 
@@ -549,44 +1490,72 @@ router.patch('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (booking.userId._id.toString() !== req.user._id.toString()) {
+    if (!req.user.hasRoomPermission('bookings:checkin', booking.roomId)) {
       return res.status(403).json({
         success: false,
-        message: 'Tidak memiliki akses untuk membatalkan booking ini'
+        message: 'Tidak memiliki akses untuk check-in booking ini'
       });
     }
 
-    // Check if booking can be cancelled
-    if (booking.status === 'cancelled' || booking.status === 'rejected') {
-      return res.status(400).json({
+    const result = await applyCheckAction(booking, 'check-in', req.user, 'desk');
+    res.status(result.statusCode).json(result.body);
+
+  } catch (error) {
+    console.error('Check-in booking error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
         success: false,
-        message: 'Booking sudah dibatalkan atau ditolak'
+        message: 'Booking tidak ditemukan'
       });
     }
 
-    // Check if booking time has passed
-    if (booking.startTime < new Date()) {
-      return res.status(400).json({
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat check-in booking'
+    });
+  }
+});
+
+// @desc    Check out a booking (front desk or the booking owner)
+// @route   POST /api/bookings/:id/check-out
+// @access  Private
+router.post('/:id/check-out', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
         success: false,
-        message: 'Tidak dapat membatalkan booking yang sudah dimulai'
+        message: 'Booking tidak ditemukan'
       });
     }
 
-    // Update status to cancelled
-    await booking.updateStatus('cancelled', 'Dibatalkan oleh user', req.user._id);
+    const isDeskStaff = req.user.hasRoomPermission('bookings:checkin', booking.roomId);
 
-    res.status(200).json({
-      success: true,
-      message: 'Booking berhasil dibatalkan',
-      data: booking
-    });
+    if (booking.userId._id.toString() !== req.user._id.toString() && !isDeskStaff) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses untuk check-out booking ini'
+      });
+    }
+
+    const result = await applyCheckAction(booking, 'check-out', req.user, isDeskStaff ? 'desk' : 'self');
+    res.status(result.statusCode).json(result.body);
 
   } catch (error) {
-    console.error('Cancel booking error:', error);
+    console.error('Check-out booking error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error saat membatalkan booking'
+      message: 'Server error saat check-out booking'
     });
   }
 });
@@ -613,20 +1582,18 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check if booking can be deleted (cancelled, rejected, or completed)
-    if (!['cancelled', 'rejected', 'completed'].includes(booking.status)) {
+    // Check if booking can be deleted (cancelled, rejected, completed, or no-show)
+    if (!['cancelled', 'rejected', 'completed', 'no_show'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
         message: 'Hanya booking yang dibatalkan, ditolak, atau sudah selesai yang dapat dihapus'
       });
     }
 
-    // Delete associated document file if exists
-    if (booking.documentPath) {
-      deleteFile(booking.documentPath).catch(err =>
-        console.error('Error deleting document file:', err)
-      );
-    }
+    // Delete associated document file if no other occurrence uses it
+    deleteDocumentIfUnused(booking.documentPath, booking._id).catch(err =>
+      console.error('Error deleting document file:', err)
+    );
 
     // Delete the booking
     await Booking.findByIdAndDelete(req.params.id);
@@ -645,10 +1612,10 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Get all bookings (Admin only)
+// @desc    Get all bookings (Admin, auditors, room managers for their rooms)
 // @route   GET /api/bookings
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (bookings:view)
+router.get('/', protect, authorize('bookings:view'), async (req, res) => {
   try {
     const {
       search,
@@ -678,6 +1645,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
       query.userId = userId;
     }
 
+    applyRoomScope(query, req.user, 'bookings:view');
+
     // Date range filter
     if (startDate || endDate) {
       query.startTime = {};
@@ -726,8 +1695,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
     // Add URLs to response
     const bookingsWithUrls = bookings.map(booking => ({
       ...booking.toObject(),
-      documentUrl: generateDownloadUrl(req, booking.documentPath),
-      roomImageUrl: booking.roomId && booking.roomId.image ? `${req.protocol}://${req.get('host')}/${booking.roomId.image}` : null
+      ...generateDocumentUrls(req, 'booking', booking),
+      roomImageUrl: booking.roomId ? getFileUrl(req, booking.roomId.image) : null
     }));
 
     res.status(200).json({
@@ -751,12 +1720,12 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Update booking status (Admin only)
+// @desc    Update booking status (Admin, room manager, or the approver of the current approval step)
 // @route   PATCH /api/bookings/:id/status
-// @access  Private/Admin
-router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
+// @access  Private
+router.patch('/:id/status', protect, async (req, res) => {
   try {
-    const { status, adminNote } = req.body;
+    const { status, adminNote, scope = 'occurrence' } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -765,10 +1734,17 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    if (!['approved', 'rejected', 'completed'].includes(status)) {
+    if (!['approved', 'rejected', 'completed', 'cancelled'].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Status harus berupa approved, rejected, atau completed'
+        message: 'Status harus berupa approved, rejected, completed, atau cancelled'
+      });
+    }
+
+    if (!['occurrence', 'series'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope harus berupa occurrence atau series'
       });
     }
 
@@ -781,16 +1757,187 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    // Approval chain approvers decide their own step, everything else is for
+    // admins and the managers of the booked room
+    const isManager = req.user.hasRoomPermission('bookings:approve', booking.roomId);
+    const accessCheck = getApprovalDecision(booking, status, req.user, isManager);
+    if (accessCheck.error) {
+      return res.status(403).json({
+        success: false,
+        message: accessCheck.error
+      });
+    }
+
+    let actionMessage;
+    switch (status) {
+      case 'approved':
+        actionMessage = 'disetujui';
+        break;
+      case 'rejected':
+        actionMessage = 'ditolak';
+        break;
+      case 'completed':
+        actionMessage = 'ditandai selesai';
+        break;
+      case 'cancelled':
+        actionMessage = 'dibatalkan';
+        break;
+      default:
+        actionMessage = 'diupdate';
+    }
+
+    // Apply to every occurrence of a recurring series
+    if (scope === 'series') {
+      if (!booking.seriesId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking ini bukan bagian dari jadwal berulang'
+        });
+      }
+
+      const seriesQuery = { seriesId: booking.seriesId };
+      // Only completion may touch occurrences that already started
+      if (status !== 'completed') {
+        seriesQuery.startTime = { $gte: new Date() };
+      }
+
+      const occurrences = await Booking.find(seriesQuery).sort({ startTime: 1 });
+      const updated = [];
+      const advanced = [];
+      const skipped = [];
+
+      for (const occurrence of occurrences) {
+        const decision = getApprovalDecision(occurrence, status, req.user, isManager);
+        if (decision.error) {
+          skipped.push({
+            id: occurrence._id,
+            startTime: occurrence.startTime,
+            status: occurrence.status,
+            reason: decision.error
+          });
+          continue;
+        }
+
+        const transitionError = getStatusTransitionError(occurrence, status) ||
+          (status === 'approved' ? getDocumentApprovalError('booking', occurrence) : null);
+        if (transitionError) {
+          skipped.push({
+            id: occurrence._id,
+            startTime: occurrence.startTime,
+            status: occurrence.status,
+            reason: transitionError
+          });
+          continue;
+        }
+
+        if (status === 'approved') {
+          const conflictingBooking = await Booking.checkConflict(
+            occurrence.roomId,
+            occurrence.startTime,
+            occurrence.endTime,
+            occurrence._id
+          );
+
+          // Other occurrences of the same series are not treated as conflicts
+          if (conflictingBooking && String(conflictingBooking.seriesId) !== String(booking.seriesId)) {
+            skipped.push({
+              id: occurrence._id,
+              startTime: occurrence.startTime,
+              status: occurrence.status,
+              reason: 'Ada konflik jadwal',
+              conflict: {
+                activityName: conflictingBooking.activityName,
+                startTime: conflictingBooking.startTime,
+                endTime: conflictingBooking.endTime
+              }
+            });
+            continue;
+          }
+        }
+
+        // Intermediate approval steps keep the occurrence pending
+        if (decision.step && !(await decideApprovalStep(occurrence, req.user, status, adminNote || ''))) {
+          advanced.push(occurrence);
+          continue;
+        }
+
+        await occurrence.updateStatus(status, adminNote || '', req.user._id, decision.step ? decision.step.name : null);
+        updated.push(occurrence);
+      }
+
+      // Hand the freed slots to users on the waitlist
+      if (status === 'rejected' || status === 'cancelled') {
+        for (const occurrence of updated) {
+          try {
+            await promoteWaitlist(occurrence);
+          } catch (waitlistError) {
+            console.error('Failed to promote waitlist:', waitlistError);
+          }
+        }
+      }
+
+      if (updated.length === 0 && advanced.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tidak ada jadwal dalam seri yang dapat diupdate',
+          data: { seriesId: booking.seriesId, updated: [], advanced: [], skipped }
+        });
+      }
+
+      if (updated.length === 0) {
+        return res.status(200).json({
+          success: true,
+          message: `${advanced.length} jadwal dalam seri lanjut ke tahap persetujuan berikutnya`,
+          data: {
+            seriesId: booking.seriesId,
+            updated,
+            advanced,
+            skipped
+          }
+        });
+      }
+
+      // Send a single notification for the whole series
+      const notifiedBooking = updated[0];
+      await notifiedBooking.populate([
+        { path: 'userId', select: 'name email' },
+        { path: 'roomId', select: 'roomName timezone' }
+      ]);
+
+      try {
+        await sendBookingNotification(notifiedBooking, status);
+      } catch (emailError) {
+        console.error('Failed to send booking notification:', emailError);
+        // Don't fail the request if email fails
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `${updated.length} jadwal dalam seri berhasil ${actionMessage}`,
+        data: {
+          seriesId: booking.seriesId,
+          updated,
+          advanced,
+          skipped
+        }
+      });
+    }
+
     // Check if status update is valid based on current status
-    if (status === 'completed' && booking.status !== 'approved') {
+    const transitionError = getStatusTransitionError(booking, status);
+    if (transitionError) {
       return res.status(400).json({
         success: false,
-        message: 'Hanya booking dengan status approved yang dapat ditandai selesai'
+        message: transitionError
       });
-    } else if ((status === 'approved' || status === 'rejected') && booking.status !== 'pending') {
+    }
+
+    // Approval may require an accepted document (DOCUMENT_REQUIRED_FOR_APPROVAL)
+    const documentError = status === 'approved' ? getDocumentApprovalError('booking', booking) : null;
+    if (documentError) {
       return res.status(400).json({
         success: false,
-        message: 'Hanya booking dengan status pending yang dapat disetujui atau ditolak'
+        message: documentError
       });
     }
 
@@ -816,13 +1963,34 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
       }
     }
 
+    // Record the approval step; the booking stays pending until the final step passes
+    const approvalStep = accessCheck.step;
+    if (approvalStep && !(await decideApprovalStep(booking, req.user, status, adminNote || ''))) {
+      const nextStep = booking.approval.steps[booking.approval.currentStep];
+      return res.status(200).json({
+        success: true,
+        message: `Tahap "${approvalStep.name}" berhasil disetujui, menunggu tahap "${nextStep.name}"`,
+        data: booking
+      });
+    }
+
     // Update booking status
-    await booking.updateStatus(status, adminNote || '', req.user._id);
+    await booking.updateStatus(status, adminNote || '', req.user._id, approvalStep ? approvalStep.name : null);
+
+    // Hand the freed slot to the next user on the waitlist
+    if (status === 'rejected' || status === 'cancelled') {
+      try {
+        await promoteWaitlist(booking);
+      } catch (waitlistError) {
+        console.error('Failed to promote waitlist:', waitlistError);
+        // Don't fail the request if waitlist promotion fails
+      }
+    }
 
     // Populate booking with user and room data for email notification
     await booking.populate([
       { path: 'userId', select: 'name email' },
-      { path: 'roomId', select: 'roomName' }
+      { path: 'roomId', select: 'roomName timezone' }
     ]);
 
     // Send notification email
@@ -833,21 +2001,6 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
       // Don't fail the request if email fails
     }
 
-    let actionMessage;
-    switch (status) {
-      case 'approved':
-        actionMessage = 'disetujui';
-        break;
-      case 'rejected':
-        actionMessage = 'ditolak';
-        break;
-      case 'completed':
-        actionMessage = 'ditandai selesai';
-        break;
-      default:
-        actionMessage = 'diupdate';
-    }
-
     res.status(200).json({
       success: true,
       message: `Booking berhasil ${actionMessage}`,
@@ -873,8 +2026,8 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get booking statistics (Admin only)
 // @route   GET /api/bookings/stats
-// @access  Private/Admin
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private (dashboard:view)
+router.get('/admin/stats', protect, authorize('dashboard:view'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
 
@@ -882,19 +2035,8 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
     let startDate, endDate;
     const now = new Date();
 
-    switch (period) {
-      case 'week':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7);
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-        break;
-      case 'year':
-        startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-        break;
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-    }
+    // Periods follow the library's local calendar
+    startDate = getPeriodStart(period, now);
 
     endDate = now;
 
@@ -919,7 +2061,9 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
       pending: 0,
       approved: 0,
       rejected: 0,
-      cancelled: 0
+      cancelled: 0,
+      completed: 0,
+      no_show: 0
     };
 
     statsResult.forEach(stat => {
@@ -975,7 +2119,7 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
       {
         $group: {
           _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
+            $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: LIBRARY_TIMEZONE }
           },
           count: { $sum: 1 }
         }
@@ -1029,12 +2173,10 @@ router.delete('/admin/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Delete associated document file if exists
-    if (booking.documentPath) {
-      deleteFile(booking.documentPath).catch(err =>
-        console.error('Error deleting document file:', err)
-      );
-    }
+    // Delete associated document file if no other occurrence uses it
+    deleteDocumentIfUnused(booking.documentPath, booking._id).catch(err =>
+      console.error('Error deleting document file:', err)
+    );
 
     // Delete the booking
     await Booking.findByIdAndDelete(req.params.id);
@@ -1053,10 +2195,10 @@ router.delete('/admin/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get upcoming bookings (Admin only)
+// @desc    Get upcoming bookings (Admin, auditors, front desk, room managers for their rooms)
 // @route   GET /api/bookings/upcoming
-// @access  Private/Admin
-router.get('/admin/upcoming', protect, authorize('admin'), async (req, res) => {
+// @access  Private (bookings:view or bookings:checkin)
+router.get('/admin/upcoming', protect, authorize('bookings:view', 'bookings:checkin'), async (req, res) => {
   try {
     const { days = 7 } = req.query;
 
@@ -1064,20 +2206,23 @@ router.get('/admin/upcoming', protect, authorize('admin'), async (req, res) => {
     const endDate = new Date();
     endDate.setDate(endDate.getDate() + parseInt(days));
 
-    const upcomingBookings = await Booking.find({
+    const query = {
       status: 'approved',
       startTime: {
         $gte: startDate,
         $lte: endDate
       }
-    })
+    };
+    applyRoomScope(query, req.user, 'bookings:view');
+
+    const upcomingBookings = await Booking.find(query)
     .populate('userId', 'name email originInstitution phoneNumber')
     .populate('roomId', 'roomName capacity location')
     .sort({ startTime: 1 });
 
     const bookingsWithUrls = upcomingBookings.map(booking => ({
       ...booking.toObject(),
-      documentUrl: generateDownloadUrl(req, booking.documentPath)
+      ...generateDocumentUrls(req, 'booking', booking)
     }));
 
     res.status(200).json({
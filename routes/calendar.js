@@ -0,0 +1,115 @@
+// routes/calendar.js - Private iCalendar feeds for users
+const express = require('express');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const LibraryTour = require('../models/LibraryTour');
+const { protect } = require('../middleware/auth');
+const { bookingToEvent, tourToEvent, buildCalendar, sendCalendar, getFeedStartDate } = require('../utils/ical');
+
+const router = express.Router();
+
+// Helper function to generate the private feed URL
+const generateFeedUrl = (req, token) => {
+  return `${req.protocol}://${req.get('host')}/calendar/feed/${token}.ics`;
+};
+
+// @desc    Get (or create) the user's private calendar feed URL
+// @route   GET /api/calendar/token
+// @access  Private
+router.get('/token', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        feedUrl: generateFeedUrl(req, user.calendarToken)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil link kalender'
+    });
+  }
+});
+
+// @desc    Regenerate the private calendar feed URL (revokes the old one)
+// @route   POST /api/calendar/token/regenerate
+// @access  Private
+router.post('/token/regenerate', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    user.generateCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Link kalender berhasil dibuat ulang. Link lama tidak berlaku lagi.',
+      data: {
+        feedUrl: generateFeedUrl(req, user.calendarToken)
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat membuat ulang link kalender'
+    });
+  }
+});
+
+// @desc    Private iCalendar feed with the user's bookings and tours
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (token protected)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kalender tidak ditemukan'
+      });
+    }
+
+    const since = getFeedStartDate();
+
+    const bookings = await Booking.find({
+      userId: user._id,
+      startTime: { $gte: since }
+    })
+    .populate('roomId', 'roomName location')
+    .sort({ startTime: 1 });
+
+    const tours = await LibraryTour.find({
+      userId: user._id,
+      tourDate: { $gte: since }
+    }).sort({ startTime: 1 });
+
+    const calendar = buildCalendar(`PerpusBooking - ${user.name}`, [
+      ...bookings.map(bookingToEvent),
+      ...tours.map(tourToEvent)
+    ]);
+
+    sendCalendar(res, 'my-schedule.ics', calendar);
+
+  } catch (error) {
+    console.error('Get user ical feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil kalender'
+    });
+  }
+});
+
+module.exports = router;
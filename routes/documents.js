@@ -0,0 +1,176 @@
+// routes/documents.js - Access-controlled downloads of booking and tour documents
+const express = require('express');
+const path = require('path');
+const Booking = require('../models/Booking');
+const LibraryTour = require('../models/LibraryTour');
+const { protect } = require('../middleware/auth');
+const {
+  DOCUMENT_KINDS,
+  DOCUMENT_URL_TTL_MINUTES,
+  canAccessDocument,
+  generateDocumentUrls,
+  verifyDocumentSignature
+} = require('../utils/documents');
+const { parseReference, readFile } = require('../utils/storage');
+
+const router = express.Router();
+
+const MODELS = {
+  booking: Booking,
+  tour: LibraryTour
+};
+
+const NOT_FOUND_MESSAGES = {
+  booking: 'Booking tidak ditemukan',
+  tour: 'Tur tidak ditemukan'
+};
+
+// Stored document file, or null when it is missing or not in the documents folder
+const readDocumentFile = async (documentPath) => {
+  const reference = parseReference(documentPath);
+  if (!reference || !reference.key.startsWith('documents/')) {
+    return null;
+  }
+  return readFile(documentPath);
+};
+
+// Load the request named by :kind and :id; sends 404 and returns null when there is none
+const findRequest = async (req, res) => {
+  const { kind, id } = req.params;
+
+  if (!DOCUMENT_KINDS.includes(kind)) {
+    res.status(404).json({
+      success: false,
+      message: 'Dokumen tidak ditemukan'
+    });
+    return null;
+  }
+
+  const request = await MODELS[kind].findById(id);
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      message: NOT_FOUND_MESSAGES[kind]
+    });
+    return null;
+  }
+
+  return request;
+};
+
+// @desc    Get fresh signed URLs to the document of a booking or tour
+// @route   GET /api/documents/:kind/:id   (kind: booking | tour)
+// @access  Private (owner, admins, room managers / tour coordinators, reviewers)
+router.get('/:kind/:id', protect, async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    if (!canAccessDocument(req.params.kind, request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses ke dokumen ini'
+      });
+    }
+
+    if (!request.documentPath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dokumen tidak ditemukan'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...generateDocumentUrls(req, req.params.kind, request),
+        expiresAt: new Date(Date.now() + DOCUMENT_URL_TTL_MINUTES * 60 * 1000)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get document URL error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Dokumen tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil dokumen'
+    });
+  }
+});
+
+// @desc    Download or open a document through a signed URL
+// @route   GET /api/documents/:kind/:id/file?expires=&signature=[&inline=1]
+// @access  Public (valid, unexpired signature)
+router.get('/:kind/:id/file', async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    if (!verifyDocumentSignature(req.params.kind, request, req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tautan dokumen tidak valid atau sudah kedaluwarsa'
+      });
+    }
+
+    const file = await readDocumentFile(request.documentPath);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File tidak ditemukan'
+      });
+    }
+
+    const filename = path.posix.basename(request.documentPath);
+    const disposition = req.query.inline === '1' ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.type(path.extname(filename));
+    if (file.size) {
+      res.setHeader('Content-Length', file.size);
+    }
+
+    const fileStream = file.stream;
+    fileStream.on('error', (error) => {
+      console.error('File streaming error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Error saat mengunduh file'
+        });
+      } else {
+        res.end();
+      }
+    });
+    fileStream.pipe(res);
+
+  } catch (error) {
+    console.error('Download document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Dokumen tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengunduh dokumen'
+    });
+  }
+});
+
+module.exports = router;
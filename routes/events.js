@@ -0,0 +1,27 @@
+// routes/events.js - Real-time event stream (Server-Sent Events)
+const express = require('express');
+const { protect, protectStream, authorize } = require('../middleware/auth');
+const { addClient, getClientCount } = require('../utils/realtime');
+
+const router = express.Router();
+
+// @desc    Subscribe to real-time booking, tour and room events
+//          Events: booking.created, booking.status_changed, booking.cancelled,
+//          tour.created, tour.status_changed, tour.cancelled, room.status_changed
+// @route   GET /api/events?token=<jwt>
+// @access  Private (token in the Authorization header or the token query parameter)
+router.get('/', protectStream, (req, res) => {
+  addClient(req, res);
+});
+
+// @desc    Get the number of connected real-time clients
+// @route   GET /api/events/clients
+// @access  Private/Admin
+router.get('/clients', protect, authorize('admin'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { clients: getClientCount() }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+// routes/guides.js - Tour guide management routes
+const express = require('express');
+const Guide = require('../models/Guide');
+const User = require('../models/User');
+const LibraryTour = require('../models/LibraryTour');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to pick guide fields from the request body
+const buildGuideData = (body) => {
+  const fields = ['name', 'email', 'phone', 'userId', 'languages', 'ageGroups', 'weeklyAvailability', 'notes', 'isActive'];
+  const data = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  if (data.userId === '') {
+    data.userId = null;
+  }
+
+  return data;
+};
+
+// Helper function to get a guide's tours within a date range
+const getGuideSchedule = (guideId, from, to) => {
+  const query = {
+    guideId,
+    status: { $in: ['pending', 'approved', 'completed'] },
+    startTime: { $gte: from }
+  };
+
+  if (to) {
+    query.startTime.$lte = to;
+  }
+
+  return LibraryTour.find(query)
+    .select('groupName numberOfParticipants tourDate startTime duration tourType ageGroup language status contactPerson specialRequests')
+    .sort({ startTime: 1 });
+};
+
+// @desc    Get own tour schedule (for guides with a linked account)
+// @route   GET /api/guides/me/schedule
+// @access  Private
+router.get('/me/schedule', protect, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const guide = await Guide.findOne({ userId: req.user._id });
+
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Akun Anda tidak terdaftar sebagai pemandu tur'
+      });
+    }
+
+    const tours = await getGuideSchedule(
+      guide._id,
+      startDate ? new Date(startDate) : new Date(),
+      endDate ? new Date(endDate) : null
+    );
+
+    res.status(200).json({
+      success: true,
+      count: tours.length,
+      data: {
+        guide,
+        tours
+      }
+    });
+
+  } catch (error) {
+    console.error('Get own guide schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil jadwal pemandu'
+    });
+  }
+});
+
+// Staff only routes below: viewing needs guides:view, changes need guides:manage
+router.use(protect, authorize('guides:view'));
+
+// @desc    Get all guides
+// @route   GET /api/guides
+// @access  Private (guides:view)
+router.get('/', async (req, res) => {
+  try {
+    const { language, ageGroup, includeInactive } = req.query;
+
+    const query = {};
+
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    if (language) {
+      query.languages = language;
+    }
+
+    if (ageGroup) {
+      query.$or = [
+        { ageGroups: ageGroup },
+        { ageGroups: { $size: 0 } }
+      ];
+    }
+
+    const guides = await Guide.find(query)
+      .populate('userId', 'name email')
+      .sort({ name: 1 });
+
+    // Add workload (upcoming assigned tours) for each guide
+    const guidesWithWorkload = await Promise.all(
+      guides.map(async (guide) => {
+        const guideObj = guide.toObject();
+        guideObj.upcomingTours = await LibraryTour.countDocuments({
+          guideId: guide._id,
+          status: { $in: ['pending', 'approved'] },
+          startTime: { $gte: new Date() }
+        });
+        return guideObj;
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      count: guides.length,
+      data: guidesWithWorkload
+    });
+
+  } catch (error) {
+    console.error('Get guides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data pemandu'
+    });
+  }
+});
+
+// @desc    Create guide
+// @route   POST /api/guides
+// @access  Private (guides:manage)
+router.post('/', authorize('guides:manage'), async (req, res) => {
+  try {
+    const guideData = buildGuideData(req.body);
+
+    if (guideData.userId) {
+      const user = await User.findById(guideData.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pengguna tidak ditemukan'
+        });
+      }
+    }
+
+    const guide = await Guide.create(guideData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pemandu berhasil ditambahkan',
+      data: guide
+    });
+
+  } catch (error) {
+    console.error('Create guide error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error saat menambahkan pemandu'
+    });
+  }
+});
+
+// @desc    Get guide with schedule
+// @route   GET /api/guides/:id
+// @access  Private (guides:view)
+router.get('/:id', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const guide = await Guide.findById(req.params.id).populate('userId', 'name email');
+
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    const tours = await getGuideSchedule(
+      guide._id,
+      startDate ? new Date(startDate) : new Date(),
+      endDate ? new Date(endDate) : null
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        guide,
+        tours
+      }
+    });
+
+  } catch (error) {
+    console.error('Get guide error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil data pemandu'
+    });
+  }
+});
+
+// @desc    Update guide
+// @route   PUT /api/guides/:id
+// @access  Private (guides:manage)
+router.put('/:id', authorize('guides:manage'), async (req, res) => {
+  try {
+    const guide = await Guide.findById(req.params.id);
+
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    guide.set(buildGuideData(req.body));
+    await guide.save();
+
+    // Keep the display name on assigned tours in sync
+    if (req.body.name !== undefined) {
+      await LibraryTour.updateMany(
+        { guideId: guide._id },
+        { assignedGuide: guide.name }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pemandu berhasil diupdate',
+      data: guide
+    });
+
+  } catch (error) {
+    console.error('Update guide error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error saat mengupdate pemandu'
+    });
+  }
+});
+
+// @desc    Delete guide
+// @route   DELETE /api/guides/:id
+// @access  Private (guides:manage)
+router.delete('/:id', authorize('guides:manage'), async (req, res) => {
+  try {
+    const guide = await Guide.findById(req.params.id);
+
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    // Guides with upcoming tours must be reassigned first
+    const upcomingTours = await LibraryTour.countDocuments({
+      guideId: guide._id,
+      status: { $in: ['pending', 'approved'] },
+      startTime: { $gte: new Date() }
+    });
+
+    if (upcomingTours > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Pemandu masih ditugaskan pada ${upcomingTours} tur mendatang. Tugaskan ulang tur tersebut atau nonaktifkan pemandu.`
+      });
+    }
+
+    await Guide.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pemandu berhasil dihapus'
+    });
+
+  } catch (error) {
+    console.error('Delete guide error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menghapus pemandu'
+    });
+  }
+});
+
+module.exports = router;
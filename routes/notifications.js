@@ -0,0 +1,154 @@
+// routes/notifications.js - In-app notification center
+const express = require('express');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Get the current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    // Pagination
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      data: notifications
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil notifikasi'
+    });
+  }
+});
+
+// @desc    Get the number of unread notifications (front-end badge)
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil jumlah notifikasi'
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+router.patch('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} notifikasi ditandai sudah dibaca`,
+      data: { updated: modifiedCount, unreadCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menandai notifikasi'
+    });
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notifikasi tidak ditemukan'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifikasi ditandai sudah dibaca',
+      data: notification,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notifikasi tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menandai notifikasi'
+    });
+  }
+});
+
+module.exports = router;
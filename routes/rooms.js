@@ -1,6 +1,7 @@
 const express = require('express');
 const Room = require('../models/Room');
 const Booking = require('../models/Booking');
+const Closure = require('../models/Closure');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { 
   uploadRoomImage, 
@@ -8,9 +9,23 @@ const {
   generateFileUrl, 
   deleteFile 
 } = require('../middleware/upload');
+const { publicBookingToEvent, buildCalendar, sendCalendar, getFeedStartDate, PUBLIC_FEED_QUERY } = require('../utils/ical');
+const { getFileUrl } = require('../utils/storage');
+const { publishRoomEvent } = require('../utils/realtime');
+const { emitRoomEvent } = require('../utils/webhooks');
+const {
+  toLocalDateKey,
+  fromLocalDateTime,
+  addDaysToDateKey,
+  getMonthRange
+} = require('../utils/time');
 
 const router = express.Router();
 
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MAX_FREE_SLOT_SEARCH_DAYS = 31;
+
 // @desc    Get all rooms
 // @route   GET /api/rooms
 // @access  Public
@@ -29,8 +44,8 @@ router.get('/', optionalAuth, async (req, res) => {
     // Build query
     const query = {};
     
-    // Only show active rooms for non-admin users
-    if (!includeInactive || (req.user && req.user.role !== 'admin')) {
+    // Only show active rooms unless the user manages rooms
+    if (!includeInactive || !req.user || !req.user.hasPermission('rooms:manage')) {
       query.isActive = true;
     }
 
@@ -82,7 +97,7 @@ router.get('/', optionalAuth, async (req, res) => {
         .limit(5);
 
         roomObj.upcomingBookings = upcomingBookings;
-        roomObj.imageUrl = room.image ? `${req.protocol}://${req.get('host')}/${room.image}` : null;
+        roomObj.imageUrl = getFileUrl(req, room.image);
         
         return roomObj;
       })
@@ -109,6 +124,127 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @desc    Find free time windows across all active rooms
+// @route   GET /api/rooms/free-slots
+// @access  Public
+router.get('/free-slots', async (req, res) => {
+  try {
+    const {
+      startDate,
+      endDate,
+      duration,
+      capacity,
+      facilities,
+      fromTime,
+      toTime,
+      limit = 10
+    } = req.query;
+
+    if (!startDate || !duration) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tanggal mulai dan durasi harus diisi'
+      });
+    }
+
+    const lastDate = endDate || startDate;
+    if (!DATE_KEY_REGEX.test(startDate) || !DATE_KEY_REGEX.test(lastDate) || lastDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rentang tanggal tidak valid (format YYYY-MM-DD)'
+      });
+    }
+
+    if (addDaysToDateKey(startDate, MAX_FREE_SLOT_SEARCH_DAYS) <= lastDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Rentang pencarian maksimal ${MAX_FREE_SLOT_SEARCH_DAYS} hari`
+      });
+    }
+
+    // Duration in minutes, same limit as single-day bookings
+    const durationMinutes = parseInt(duration);
+    if (isNaN(durationMinutes) || durationMinutes < 1 || durationMinutes > 12 * 60) {
+      return res.status(400).json({
+        success: false,
+        message: 'Durasi harus antara 1 - 720 menit'
+      });
+    }
+
+    if ((fromTime && !TIME_REGEX.test(fromTime)) || (toTime && !TIME_REGEX.test(toTime))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format jam tidak valid (HH:MM)'
+      });
+    }
+
+    const minCapacity = capacity ? parseInt(capacity) : 1;
+
+    // Parse required facilities (JSON array or comma separated)
+    let requiredFacilities = [];
+    if (facilities) {
+      try {
+        requiredFacilities = JSON.parse(facilities);
+      } catch (error) {
+        requiredFacilities = facilities.split(',');
+      }
+      requiredFacilities = requiredFacilities.map(f => String(f).trim().toLowerCase()).filter(Boolean);
+    }
+
+    const rooms = (await Room.findAvailable()).filter(room => {
+      if (room.capacity < minCapacity) return false;
+      const roomFacilities = (room.facilities || []).map(f => f.toLowerCase());
+      return requiredFacilities.every(facility => roomFacilities.includes(facility));
+    });
+
+    const candidates = [];
+
+    for (const room of rooms) {
+      const freeWindows = await room.findFreeWindows(startDate, lastDate, {
+        duration: durationMinutes,
+        fromTime,
+        toTime
+      });
+
+      if (freeWindows.length === 0) continue;
+
+      candidates.push({
+        room: {
+          id: room._id,
+          roomName: room.roomName,
+          capacity: room.capacity,
+          location: room.location,
+          facilities: room.facilities,
+          timezone: room.getTimeZone(),
+          imageUrl: getFileUrl(req, room.image)
+        },
+        spareCapacity: room.capacity - minCapacity,
+        earliestStart: freeWindows[0].startTime,
+        freeWindows
+      });
+    }
+
+    // Closest capacity fit first, then earliest availability
+    candidates.sort((a, b) => (a.spareCapacity - b.spareCapacity) || (a.earliestStart - b.earliestStart));
+
+    const results = candidates.slice(0, parseInt(limit) || 10);
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      total: candidates.length,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Find free slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mencari slot kosong'
+    });
+  }
+});
+
 // @desc    Get single room
 // @route   GET /api/rooms/:id
 // @access  Public
@@ -123,8 +259,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if room is active (unless user is admin)
-    if (!room.isActive && (!req.user || req.user.role !== 'admin')) {
+    // Check if room is active (unless the user manages this room)
+    if (!room.isActive && (!req.user || !req.user.hasRoomPermission('rooms:manage', room._id))) {
       return res.status(404).json({
         success: false,
         message: 'Ruangan tidak tersedia'
@@ -149,7 +285,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     const roomObj = room.toObject();
     roomObj.bookings = bookings;
-    roomObj.imageUrl = room.image ? `${req.protocol}://${req.get('host')}/${room.image}` : null;
+    roomObj.imageUrl = getFileUrl(req, room.image);
 
     res.status(200).json({
       success: true,
@@ -195,6 +331,17 @@ router.post('/:id/check-availability', async (req, res) => {
       });
     }
 
+    // Check library closures
+    const closure = await Closure.checkConflict(new Date(startTime), new Date(endTime), room._id, room.getTimeZone());
+    if (closure) {
+      return res.status(200).json({
+        success: true,
+        available: false,
+        message: Closure.describeInterval(closure),
+        closure: Closure.toResponse(closure)
+      });
+    }
+
     // Check for conflicting bookings
     const conflictingBooking = await Booking.checkConflict(
       req.params.id,
@@ -237,15 +384,6 @@ router.post('/:id/check-availability', async (req, res) => {
 router.get('/:id/calendar', async (req, res) => {
   try {
     const { month, year } = req.query;
-    
-    // Default to current month if not provided
-    const currentDate = new Date();
-    const targetMonth = month ? parseInt(month) - 1 : currentDate.getMonth(); // month is 0-indexed
-    const targetYear = year ? parseInt(year) : currentDate.getFullYear();
-
-    // Get first and last day of the month
-    const startDate = new Date(targetYear, targetMonth, 1);
-    const endDate = new Date(targetYear, targetMonth + 1, 0, 23, 59, 59);
 
     const room = await Room.findById(req.params.id);
     if (!room || !room.isActive) {
@@ -255,33 +393,57 @@ router.get('/:id/calendar', async (req, res) => {
       });
     }
 
+    // Months and days follow the room's local calendar, not the server's
+    const timeZone = room.getTimeZone();
+
+    // Default to current month if not provided
+    const [currentYear, currentMonth] = toLocalDateKey(new Date(), timeZone).split('-').map(Number);
+    const targetMonth = month ? parseInt(month) : currentMonth;
+    const targetYear = year ? parseInt(year) : currentYear;
+
+    // Get first and last day of the month
+    const { firstDay, nextMonth } = getMonthRange(targetYear, targetMonth);
+    const startDate = fromLocalDateTime(firstDay, '00:00', timeZone);
+    const endDate = fromLocalDateTime(nextMonth, '00:00', timeZone);
+
     // Get all bookings for the month
     const bookings = await Booking.find({
       roomId: req.params.id,
       status: { $in: ['pending', 'approved'] },
       startTime: {
         $gte: startDate,
-        $lte: endDate
+        $lt: endDate
       }
     })
     .select('startTime endTime activityName status')
     .sort({ startTime: 1 });
 
+    // Get closures affecting this room for the month
+    const closedIntervals = await Closure.findIntervals(startDate, endDate, room._id, timeZone);
+
     // Create calendar data
     const calendar = [];
-    const daysInMonth = endDate.getDate();
 
-    for (let day = 1; day <= daysInMonth; day++) {
-      const dayDate = new Date(targetYear, targetMonth, day);
-      const dayBookings = bookings.filter(booking => {
-        const bookingDate = new Date(booking.startTime);
-        return bookingDate.getDate() === day;
-      });
+    for (let dayKey = firstDay, day = 1; dayKey < nextMonth; dayKey = addDaysToDateKey(dayKey, 1), day++) {
+      const dayDate = fromLocalDateTime(dayKey, '00:00', timeZone);
+      const dayBookings = bookings.filter(booking => toLocalDateKey(booking.startTime, timeZone) === dayKey);
+
+      const dayClosures = closedIntervals.filter(interval => interval.date === dayKey);
+      const daySchedule = room.getScheduleForDate(dayKey);
 
       calendar.push({
         date: dayDate,
         day: day,
         hasBookings: dayBookings.length > 0,
+        isClosed: !daySchedule.isOpen || dayClosures.some(interval => interval.allDay),
+        openHours: {
+          isOpen: daySchedule.isOpen,
+          dayName: daySchedule.dayName,
+          start: daySchedule.start,
+          end: daySchedule.end,
+          breaks: daySchedule.breaks
+        },
+        closures: dayClosures.map(Closure.toResponse),
         bookings: dayBookings.map(booking => ({
           startTime: booking.startTime,
           endTime: booking.endTime,
@@ -297,9 +459,10 @@ router.get('/:id/calendar', async (req, res) => {
         room: {
           id: room._id,
           name: room.roomName,
-          capacity: room.capacity
+          capacity: room.capacity,
+          timezone: timeZone
         },
-        month: targetMonth + 1,
+        month: targetMonth,
         year: targetYear,
         calendar
       }
@@ -314,6 +477,53 @@ router.get('/:id/calendar', async (req, res) => {
   }
 });
 
+// @desc    Get room iCalendar feed (approved bookings)
+// @route   GET /api/rooms/:id/calendar.ics
+// @access  Public
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ruangan tidak ditemukan atau tidak aktif'
+      });
+    }
+
+    const since = getFeedStartDate();
+
+    const bookings = await Booking.find({
+      roomId: room._id,
+      startTime: { $gte: since },
+      ...PUBLIC_FEED_QUERY
+    })
+    .populate('roomId', 'roomName location')
+    .sort({ startTime: 1 });
+
+    const calendar = buildCalendar(
+      `PerpusBooking - ${room.roomName}`,
+      bookings.map(publicBookingToEvent)
+    );
+
+    sendCalendar(res, `room-${room._id}.ics`, calendar);
+
+  } catch (error) {
+    console.error('Get room ical feed error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Ruangan tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil kalender ruangan'
+    });
+  }
+});
+
 // Admin only routes below
 // @desc    Create new room
 // @route   POST /api/rooms
@@ -326,7 +536,8 @@ router.post('/', protect, authorize('admin'), uploadRoomImage, handleUploadError
       capacity,
       facilities,
       location,
-      operatingHours
+      operatingHours,
+      timezone
     } = req.body;
 
     // Validate required fields
@@ -355,7 +566,8 @@ if (existingRoom) {
       description: description.trim(),
       capacity: parseInt(capacity),
       image: req.file ? req.file.path : null,
-      location: location ? location.trim() : undefined
+      location: location ? location.trim() : undefined,
+      timezone: timezone ? timezone.trim() : null
     };
 
     // Parse facilities if provided
@@ -380,7 +592,7 @@ if (existingRoom) {
 
     // Add image URL to response
     const roomObj = room.toObject();
-    roomObj.imageUrl = room.image ? `${req.protocol}://${req.get('host')}/${room.image}` : null;
+    roomObj.imageUrl = getFileUrl(req, room.image);
 
     res.status(201).json({
       success: true,
@@ -415,8 +627,8 @@ if (existingRoom) {
 
 // @desc    Update room
 // @route   PUT /api/rooms/:id
-// @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), uploadRoomImage, handleUploadError, generateFileUrl, async (req, res) => {
+// @access  Private (rooms:manage, room managers for their rooms)
+router.put('/:id', protect, authorize('rooms:manage'), uploadRoomImage, handleUploadError, generateFileUrl, async (req, res) => {
   try {
     const room = await Room.findById(req.params.id);
 
@@ -427,6 +639,18 @@ router.put('/:id', protect, authorize('admin'), uploadRoomImage, handleUploadErr
       });
     }
 
+    if (!req.user.hasRoomPermission('rooms:manage', room._id)) {
+      if (req.file) {
+        deleteFile(req.file.path).catch(err =>
+          console.error('Error deleting file:', err)
+        );
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk mengelola ruangan ini'
+      });
+    }
+
     const {
       roomName,
       description,
@@ -434,6 +658,7 @@ router.put('/:id', protect, authorize('admin'), uploadRoomImage, handleUploadErr
       facilities,
       location,
       operatingHours,
+      timezone,
       isActive
     } = req.body;
 
@@ -445,6 +670,7 @@ router.put('/:id', protect, authorize('admin'), uploadRoomImage, handleUploadErr
     if (capacity) updateData.capacity = parseInt(capacity);
     if (location !== undefined) updateData.location = location ? location.trim() : '';
     if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+    if (timezone !== undefined) updateData.timezone = timezone ? timezone.trim() : null;
 
     // Handle image update
     if (req.file) {
@@ -499,9 +725,14 @@ const updatedRoom = await Room.findByIdAndUpdate(
   }
 );
 
+    if (updatedRoom.isActive !== room.isActive) {
+      publishRoomEvent(updatedRoom);
+      await emitRoomEvent(updatedRoom);
+    }
+
     // Add image URL to response
     const roomObj = updatedRoom.toObject();
-    roomObj.imageUrl = updatedRoom.image ? `${req.protocol}://${req.get('host')}/${updatedRoom.image}` : null;
+    roomObj.imageUrl = getFileUrl(req, updatedRoom.image);
 
     res.status(200).json({
       success: true,
@@ -608,8 +839,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Toggle room status (activate/deactivate)
 // @route   PATCH /api/rooms/:id/toggle-status
-// @access  Private/Admin
-router.patch('/:id/toggle-status', protect, authorize('admin'), async (req, res) => {
+// @access  Private (rooms:manage, room managers for their rooms)
+router.patch('/:id/toggle-status', protect, authorize('rooms:manage'), async (req, res) => {
   try {
     const room = await Room.findById(req.params.id);
 
@@ -620,8 +851,17 @@ router.patch('/:id/toggle-status', protect, authorize('admin'), async (req, res)
       });
     }
 
+    if (!req.user.hasRoomPermission('rooms:manage', room._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk mengelola ruangan ini'
+      });
+    }
+
     room.isActive = !room.isActive;
     await room.save();
+    publishRoomEvent(room);
+    await emitRoomEvent(room);
 
     res.status(200).json({
       success: true,
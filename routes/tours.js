@@ -1,22 +1,53 @@
 // routes/tours.js - Library tour management routes
 const express = require('express');
 const LibraryTour = require('../models/LibraryTour');
+const Guide = require('../models/Guide');
+const Closure = require('../models/Closure');
 const { protect, authorize } = require('../middleware/auth');
 const {
   uploadDocument,
   handleUploadError,
+  validateFileExists,
+  cleanupOnError,
   generateFileUrl,
   deleteFile
 } = require('../middleware/upload');
-const { sendTourNotification } = require('../utils/email');
+const { sendTourNotification, sendDocumentRevisionNotification } = require('../utils/email');
+const { getTourQuotaError, isLateCancellation } = require('../utils/quota');
+const { notifyRequestCreated, notifyDocumentReview, notifyDocumentUploaded } = require('../utils/notifications');
+const { getApprovalDecision, decideApprovalStep, buildApprovalQueueQuery } = require('../utils/approval');
+const {
+  getDocumentApprovalError,
+  canReviewDocument,
+  recordDocumentReview,
+  getUploadedDocumentReview,
+  generateDocumentUrls
+} = require('../utils/documents');
+const { publicTourToEvent, buildCalendar, sendCalendar, getFeedStartDate, PUBLIC_FEED_QUERY } = require('../utils/ical');
+const {
+  LIBRARY_TIMEZONE,
+  toLocalDateKey,
+  toLocalMinutes,
+  formatMinutes,
+  fromLocalDateTime,
+  addDaysToDateKey,
+  getMonthRange,
+  getPeriodStart
+} = require('../utils/time');
 
 const router = express.Router();
 
-// Helper function to generate download URL
-const generateDownloadUrl = (req, documentPath) => {
-  if (!documentPath) return null;
-  return `${req.protocol}://${req.get('host')}/${documentPath}`;
-};
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Helper function to format a guide suggestion for API responses
+const formatGuideSuggestion = ({ guide, upcomingTours }) => ({
+  id: guide._id,
+  name: guide.name,
+  languages: guide.languages,
+  ageGroups: guide.ageGroups,
+  upcomingTours
+});
 
 // @desc    Create new tour request
 // @route   POST /api/tours
@@ -33,7 +64,8 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       contactPerson,
       specialRequests,
       ageGroup = 'mixed',
-      language = 'indonesia'
+      language = 'indonesia',
+      remindersEnabled
     } = req.body;
 
     // Validate required fields
@@ -62,22 +94,17 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       });
     }
 
-    // Parse dates - ensure we handle timezone correctly
-    // Create date in local timezone to avoid UTC conversion issues
-    const [year, month, day] = tourDate.split('-').map(Number);
-    const [hours, minutes] = startTime.split(':').map(Number);
-
-    // Create date object in local timezone
-    const tourDateTime = new Date(year, month - 1, day, hours, minutes);
-
-    // Validate date
-    if (isNaN(tourDateTime.getTime())) {
+    // Validate date (YYYY-MM-DD) and time (HH:MM)
+    if (!DATE_KEY_REGEX.test(tourDate) || !TIME_REGEX.test(startTime)) {
       return res.status(400).json({
         success: false,
         message: 'Format tanggal atau waktu tidak valid'
       });
     }
 
+    // Date and time are library local time, independent of the server timezone
+    const tourDateTime = fromLocalDateTime(tourDate, startTime);
+
     // Check if tour date is in the future
     if (tourDateTime < new Date()) {
       return res.status(400).json({
@@ -95,6 +122,29 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       });
     }
 
+    const groupSizeError = LibraryTour.getGroupSizeError(participantsCount);
+    if (groupSizeError) {
+      return res.status(400).json({
+        success: false,
+        message: groupSizeError
+      });
+    }
+
+    // Check suspension and tour quotas
+    const quotaError = await getTourQuotaError(req.user);
+    if (quotaError) {
+      if (req.file) {
+        deleteFile(req.file.path).catch(err =>
+          console.error('Error deleting file:', err)
+        );
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: quotaError
+      });
+    }
+
     // Validate duration
     const tourDuration = parseInt(duration);
     if (tourDuration < 30 || tourDuration > 180) {
@@ -104,11 +154,35 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       });
     }
 
+    // Check tour hours
+    const tourHoursError = LibraryTour.getTourHoursError(tourDateTime, tourDuration);
+    if (tourHoursError) {
+      return res.status(400).json({
+        success: false,
+        message: tourHoursError
+      });
+    }
+
+    // Check library closures
+    const closure = await Closure.checkConflict(
+      tourDateTime,
+      new Date(tourDateTime.getTime() + tourDuration * 60 * 1000)
+    );
+
+    if (closure) {
+      return res.status(400).json({
+        success: false,
+        message: Closure.describeInterval(closure),
+        closure: Closure.toResponse(closure)
+      });
+    }
+
     // Check for conflicts
     const conflictingTour = await LibraryTour.checkConflict(
-      new Date(tourDate),
       tourDateTime,
-      tourDuration
+      tourDuration,
+      null,
+      participantsCount
     );
 
     if (conflictingTour) {
@@ -123,8 +197,8 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       });
     }
 
-    // Create tour data - store tourDate as date-only (no time) to avoid timezone issues
-    const tourDateOnly = new Date(year, month - 1, day); // Year, month (0-based), day
+    // Create tour data - store tourDate as local midnight of the tour day
+    const tourDateOnly = fromLocalDateTime(tourDate);
 
     const tourData = {
       userId: req.user._id,
@@ -138,10 +212,13 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       specialRequests: specialRequests ? specialRequests.trim() : undefined,
       ageGroup,
       language,
-      documentPath: req.file ? req.file.path : undefined
+      documentPath: req.file ? req.file.path : undefined,
+      documentReview: req.file ? getUploadedDocumentReview({}, req.user._id) : undefined,
+      remindersEnabled: remindersEnabled !== false && remindersEnabled !== 'false'
     };
 
     const tour = await LibraryTour.create(tourData);
+    await notifyRequestCreated('tour', tour, req.user);
 
     // Populate the tour for response
     await tour.populate('userId', 'name email originInstitution');
@@ -151,7 +228,7 @@ router.post('/', protect, uploadDocument, handleUploadError, generateFileUrl, as
       message: 'Pengajuan tur perpustakaan berhasil diajukan. Menunggu persetujuan admin.',
       data: {
         ...tour.toObject(),
-        documentUrl: generateDownloadUrl(req, tour.documentPath)
+        ...generateDocumentUrls(req, 'tour', tour)
       }
     });
 
@@ -232,12 +309,12 @@ router.get('/my-tours', protect, async (req, res) => {
   }
 });
 
-// @desc    Get available tour slots for a date
+// @desc    Get tour slots for a date that fit the requested duration and group size
 // @route   GET /api/tours/available-slots
 // @access  Public
 router.get('/available-slots', async (req, res) => {
   try {
-    const { date } = req.query;
+    const { date, duration = 60, participants = 1 } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -246,34 +323,57 @@ router.get('/available-slots', async (req, res) => {
       });
     }
 
-    const targetDate = new Date(date);
+    // Plain dates are library local dates; full timestamps are converted to one
+    const parsedDate = new Date(date);
 
-    if (isNaN(targetDate.getTime())) {
+    if (!DATE_KEY_REGEX.test(date) && isNaN(parsedDate.getTime())) {
       return res.status(400).json({
         success: false,
         message: 'Format tanggal tidak valid'
       });
     }
 
-    // Check if date is in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    targetDate.setHours(0, 0, 0, 0);
+    const dateKey = DATE_KEY_REGEX.test(date) ? date : toLocalDateKey(parsedDate);
+    const targetDate = fromLocalDateTime(dateKey);
 
-    if (targetDate < today) {
+    // Check if date is in the past
+    if (dateKey < toLocalDateKey(new Date())) {
       return res.status(400).json({
         success: false,
         message: 'Tidak dapat mencari slot untuk tanggal yang sudah lewat'
       });
     }
 
-    const availableSlots = await LibraryTour.getAvailableSlots(targetDate);
+    const tourDuration = parseInt(duration);
+    if (isNaN(tourDuration) || tourDuration < 30 || tourDuration > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Durasi tur harus antara 30-180 menit'
+      });
+    }
+
+    const participantsCount = parseInt(participants);
+    if (isNaN(participantsCount) || participantsCount < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Jumlah peserta minimal 1 orang'
+      });
+    }
+
+    const slots = await LibraryTour.getAvailableSlots(dateKey, {
+      duration: tourDuration,
+      participants: participantsCount
+    });
 
     res.status(200).json({
       success: true,
       data: {
         date: targetDate,
-        availableSlots
+        duration: tourDuration,
+        participants: participantsCount,
+        capacity: LibraryTour.getCapacity(),
+        availableSlots: slots.filter(slot => slot.available),
+        slots
       }
     });
 
@@ -293,33 +393,36 @@ router.get('/calendar', async (req, res) => {
   try {
     const { month, year } = req.query;
 
-    // Default to current month if not provided
-    const currentDate = new Date();
-    const targetMonth = month ? parseInt(month) - 1 : currentDate.getMonth();
-    const targetYear = year ? parseInt(year) : currentDate.getFullYear();
+    // Default to current month if not provided (library local calendar)
+    const [currentYear, currentMonth] = toLocalDateKey(new Date()).split('-').map(Number);
+    const targetMonth = month ? parseInt(month) : currentMonth;
+    const targetYear = year ? parseInt(year) : currentYear;
 
     // Get first and last day of the month
-    const startDate = new Date(targetYear, targetMonth, 1);
-    const endDate = new Date(targetYear, targetMonth + 1, 0, 23, 59, 59);
+    const { firstDay, nextMonth } = getMonthRange(targetYear, targetMonth);
+    const startDate = fromLocalDateTime(firstDay);
+    const endDate = fromLocalDateTime(nextMonth);
 
     // Get all tours for the month
-    const tours = await LibraryTour.findByDateRange(startDate, endDate);
+    const tours = await LibraryTour.findByDateRange(startDate, new Date(endDate.getTime() - 1));
+
+    // Get library-wide closures for the month
+    const closedIntervals = await Closure.findIntervals(startDate, endDate);
 
     // Create calendar data
     const calendar = [];
-    const daysInMonth = endDate.getDate();
 
-    for (let day = 1; day <= daysInMonth; day++) {
-      const dayDate = new Date(targetYear, targetMonth, day);
-      const dayTours = tours.filter(tour => {
-        const tourDate = new Date(tour.tourDate);
-        return tourDate.getDate() === day;
-      });
+    for (let dayKey = firstDay, day = 1; dayKey < nextMonth; dayKey = addDaysToDateKey(dayKey, 1), day++) {
+      const dayDate = fromLocalDateTime(dayKey);
+      const dayTours = tours.filter(tour => toLocalDateKey(tour.startTime) === dayKey);
+
+      const dayClosures = closedIntervals.filter(interval => interval.date === dayKey);
+      const isClosed = dayClosures.some(interval => interval.allDay);
 
       // Count available slots for the day
       const bookedSlots = dayTours.length;
-      const maxSlotsPerDay = 9; // 8 AM - 5 PM, 1-hour slots
-      const availableSlots = Math.max(0, maxSlotsPerDay - bookedSlots);
+      const maxSlotsPerDay = 9 * LibraryTour.getCapacity().maxConcurrentTours; // 8 AM - 5 PM, 1-hour slots per parallel tour
+      const availableSlots = isClosed ? 0 : Math.max(0, maxSlotsPerDay - bookedSlots);
 
       calendar.push({
         date: dayDate,
@@ -328,6 +431,8 @@ router.get('/calendar', async (req, res) => {
         availableSlots,
         bookedSlots,
         isFullyBooked: availableSlots === 0,
+        isClosed,
+        closures: dayClosures.map(Closure.toResponse),
         tours: dayTours.map(tour => ({
           id: tour._id,
           groupName: tour.groupName,
@@ -341,8 +446,9 @@ router.get('/calendar', async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        month: targetMonth + 1,
+        month: targetMonth,
         year: targetYear,
+        timezone: LIBRARY_TIMEZONE,
         calendar
       }
     });
@@ -356,6 +462,61 @@ router.get('/calendar', async (req, res) => {
   }
 });
 
+// @desc    Get tour iCalendar feed (approved tours)
+// @route   GET /api/tours/calendar.ics
+// @access  Public
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const since = getFeedStartDate();
+
+    const tours = await LibraryTour.find({
+      tourDate: { $gte: since },
+      ...PUBLIC_FEED_QUERY
+    }).sort({ startTime: 1 });
+
+    const calendar = buildCalendar('PerpusBooking - Tur Perpustakaan', tours.map(publicTourToEvent));
+
+    sendCalendar(res, 'library-tours.ics', calendar);
+
+  } catch (error) {
+    console.error('Get tour ical feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil kalender tur'
+    });
+  }
+});
+
+// @desc    Get pending tours waiting on the current user's approval step
+// @route   GET /api/tours/approval-queue
+// @access  Private
+router.get('/approval-queue', protect, async (req, res) => {
+  try {
+    const managerFilter = req.user.hasPermission('tours:approve') ? {} : null;
+
+    const tours = await LibraryTour.find(buildApprovalQueueQuery(req.user, managerFilter))
+      .populate('userId', 'name email originInstitution')
+      .sort({ startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: tours.length,
+      data: tours.map(tour => ({
+        ...tour.toObject(),
+        currentStep: tour.approval.steps[tour.approval.currentStep],
+        ...generateDocumentUrls(req, 'tour', tour)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get tour approval queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengambil antrean persetujuan tur'
+    });
+  }
+});
+
 // @desc    Get single tour
 // @route   GET /api/tours/:id
 // @access  Private
@@ -370,8 +531,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check if user owns this tour or is admin
-    if (tour.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this tour or may view all tours
+    if (tour.userId._id.toString() !== req.user._id.toString() && !req.user.hasPermission('tours:view')) {
       return res.status(403).json({
         success: false,
         message: 'Tidak memiliki akses ke tur ini'
@@ -461,7 +622,6 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
     if (specialRequests !== undefined) updateData.specialRequests = specialRequests ? specialRequests.trim() : undefined;
     if (ageGroup) updateData.ageGroup = ageGroup;
     if (language) updateData.language = language;
-    if (req.body.assignedGuide !== undefined) updateData.assignedGuide = req.body.assignedGuide ? req.body.assignedGuide.trim() : undefined;
 
     // Handle contact person update
     if (contactPerson !== undefined) {
@@ -484,26 +644,36 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
         );
       }
       updateData.documentPath = req.file.path;
+      updateData.documentReview = getUploadedDocumentReview(tour, req.user._id);
     }
 
-    // Handle date/time updates
-    if (tourDate || startTime) {
-      // Parse dates - ensure we handle timezone correctly
-      const [year, month, day] = (tourDate || tour.tourDate.toISOString().split('T')[0]).split('-').map(Number);
-      const [hours, minutes] = (startTime || tour.startTime.toISOString().split('T')[1].substring(0, 5)).split(':').map(Number);
+    if (updateData.numberOfParticipants) {
+      const groupSizeError = LibraryTour.getGroupSizeError(updateData.numberOfParticipants);
+      if (groupSizeError) {
+        return res.status(400).json({
+          success: false,
+          message: groupSizeError
+        });
+      }
+    }
 
-      // Create date object in local timezone
-      const newTourDateTime = new Date(year, month - 1, day, hours, minutes);
-      const newTourDateOnly = new Date(year, month - 1, day); // Date-only for tourDate
+    // Handle date/time updates; duration and group size changes need the same checks
+    if (tourDate || startTime || updateData.duration || updateData.numberOfParticipants) {
+      // Missing parts fall back to the current schedule in library local time
+      const newDateKey = tourDate || toLocalDateKey(tour.startTime);
+      const newTime = startTime || formatMinutes(toLocalMinutes(tour.startTime));
 
       // Validate dates
-      if (isNaN(newTourDateTime.getTime())) {
+      if (!DATE_KEY_REGEX.test(newDateKey) || !TIME_REGEX.test(newTime)) {
         return res.status(400).json({
           success: false,
           message: 'Format tanggal atau waktu tidak valid'
         });
       }
 
+      const newTourDateTime = fromLocalDateTime(newDateKey, newTime);
+      const newTourDateOnly = fromLocalDateTime(newDateKey); // Local midnight for tourDate
+
       if (newTourDateTime < new Date()) {
         return res.status(400).json({
           success: false,
@@ -511,12 +681,36 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
         });
       }
 
+      // Check tour hours
+      const newDuration = updateData.duration || tour.duration;
+      const tourHoursError = LibraryTour.getTourHoursError(newTourDateTime, newDuration);
+      if (tourHoursError) {
+        return res.status(400).json({
+          success: false,
+          message: tourHoursError
+        });
+      }
+
+      // Check library closures
+      const closure = await Closure.checkConflict(
+        newTourDateTime,
+        new Date(newTourDateTime.getTime() + newDuration * 60 * 1000)
+      );
+
+      if (closure) {
+        return res.status(400).json({
+          success: false,
+          message: Closure.describeInterval(closure),
+          closure: Closure.toResponse(closure)
+        });
+      }
+
       // Check for conflicts (excluding current tour)
       const conflictingTour = await LibraryTour.checkConflict(
-        newTourDateOnly,
         newTourDateTime,
-        updateData.duration || tour.duration,
-        tour._id
+        newDuration,
+        tour._id,
+        updateData.numberOfParticipants || tour.numberOfParticipants
       );
 
       if (conflictingTour) {
@@ -533,6 +727,28 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
 
       updateData.tourDate = newTourDateOnly;
       updateData.startTime = newTourDateTime;
+      // Reminders follow the new start time
+      updateData.remindersSent = [];
+    }
+
+    // An assigned guide must still match the new schedule, language and age group;
+    // otherwise the guide is released and a new one is assigned by staff or at approval
+    let guideReleased = false;
+    if (tour.guideId && (updateData.startTime || updateData.duration || updateData.language || updateData.ageGroup)) {
+      const guide = await Guide.findById(tour.guideId);
+      const assignmentError = !guide || await guide.getAssignmentError({
+        _id: tour._id,
+        startTime: updateData.startTime || tour.startTime,
+        duration: updateData.duration || tour.duration,
+        language: updateData.language || tour.language,
+        ageGroup: updateData.ageGroup || tour.ageGroup
+      });
+
+      if (assignmentError) {
+        updateData.guideId = null;
+        updateData.$unset = { assignedGuide: 1 };
+        guideReleased = true;
+      }
     }
 
     const updatedTour = await LibraryTour.findByIdAndUpdate(
@@ -546,8 +762,11 @@ router.put('/:id', protect, uploadDocument, handleUploadError, generateFileUrl,
 
     res.status(200).json({
       success: true,
-      message: 'Tur berhasil diupdate',
-      data: updatedTour
+      message: guideReleased
+        ? 'Tur berhasil diupdate. Pemandu dilepas karena tidak sesuai dengan perubahan tur'
+        : 'Tur berhasil diupdate',
+      data: updatedTour,
+      guideReleased
     });
 
   } catch (error) {
@@ -613,13 +832,23 @@ router.patch('/:id/cancel', protect, async (req, res) => {
       });
     }
 
+    // Cancelling an approved tour shortly before it starts counts as a strike
+    const lateCancellation = tour.status === 'approved' && isLateCancellation(tour.startTime);
+
     // Update status to cancelled
     await tour.updateStatus('cancelled', 'Dibatalkan oleh user', req.user._id);
 
+    if (lateCancellation) {
+      await req.user.addStrike('late_cancellation', { tourId: tour._id });
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Tur berhasil dibatalkan',
-      data: tour
+      message: lateCancellation
+        ? 'Tur berhasil dibatalkan. Pembatalan mendadak dicatat sebagai pelanggaran.'
+        : 'Tur berhasil dibatalkan',
+      data: tour,
+      strike: lateCancellation
     });
 
   } catch (error) {
@@ -633,10 +862,228 @@ router.patch('/:id/cancel', protect, async (req, res) => {
 
 
 // Admin only routes below
-// @desc    Get all tours (Admin only)
+// @desc    Turn reminder emails for a tour on or off
+// @route   PATCH /api/tours/:id/reminders
+// @access  Private (owner)
+router.patch('/:id/reminders', protect, async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Field enabled harus berupa true atau false'
+      });
+    }
+
+    const tour = await LibraryTour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    if (tour.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses ke tur ini'
+      });
+    }
+
+    tour.remindersEnabled = req.body.enabled;
+    await tour.save();
+
+    res.status(200).json({
+      success: true,
+      message: tour.remindersEnabled
+        ? 'Pengingat tur diaktifkan'
+        : 'Pengingat tur dinonaktifkan',
+      data: tour
+    });
+
+  } catch (error) {
+    console.error('Update tour reminders error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengupdate pengingat tur'
+    });
+  }
+});
+
+// @desc    Review the document of a tour: accept it or request a replacement
+// @route   PATCH /api/tours/:id/document/review
+// @access  Private (admins, tour coordinators, current approval step approvers)
+router.patch('/:id/document/review', protect, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (!['accepted', 'needs_revision'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status dokumen harus berupa accepted atau needs_revision'
+      });
+    }
+
+    if (status === 'needs_revision' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Catatan perbaikan harus diisi saat meminta dokumen pengganti'
+      });
+    }
+
+    const tour = await LibraryTour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    if (!canReviewDocument(tour, req.user, req.user.hasPermission('tours:approve'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Anda tidak memiliki akses untuk meninjau dokumen tur ini'
+      });
+    }
+
+    if (!tour.documentPath) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tur ini tidak memiliki dokumen'
+      });
+    }
+
+    recordDocumentReview(tour, status, note, req.user._id);
+    await tour.save();
+
+    await notifyDocumentReview('tour', tour, status, note);
+
+    if (status === 'needs_revision') {
+      await tour.populate('userId', 'name email');
+
+      try {
+        await sendDocumentRevisionNotification('tour', tour);
+      } catch (emailError) {
+        console.error('Failed to send document revision notification:', emailError);
+        // Don't fail the request if the notification fails
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'accepted'
+        ? 'Dokumen tur diterima'
+        : 'Permintaan dokumen pengganti telah dikirim ke pengguna',
+      data: tour
+    });
+
+  } catch (error) {
+    console.error('Review tour document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat meninjau dokumen tur'
+    });
+  }
+});
+
+// @desc    Upload a replacement document without editing the rest of the tour
+// @route   PUT /api/tours/:id/document
+// @access  Private (owner)
+router.put('/:id/document', protect, uploadDocument, handleUploadError, validateFileExists, cleanupOnError, generateFileUrl, async (req, res) => {
+  try {
+    const tour = await LibraryTour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    if (tour.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tidak memiliki akses ke tur ini'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(tour.status) || tour.endTime < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dokumen hanya dapat diganti untuk tur pending atau disetujui yang belum berakhir'
+      });
+    }
+
+    const previousDocumentPath = tour.documentPath;
+
+    tour.documentReview = getUploadedDocumentReview(tour, req.user._id);
+    tour.documentPath = req.file.path;
+    await tour.save();
+
+    if (previousDocumentPath) {
+      deleteFile(previousDocumentPath).catch(err =>
+        console.error('Error deleting old document:', err)
+      );
+    }
+
+    await notifyDocumentUploaded('tour', tour, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dokumen pengganti berhasil diunggah dan menunggu peninjauan',
+      data: {
+        ...tour.toObject(),
+        ...generateDocumentUrls(req, 'tour', tour)
+      }
+    });
+
+  } catch (error) {
+    console.error('Replace tour document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mengunggah dokumen pengganti'
+    });
+  }
+});
+
+// @desc    Get all tours (Admin, tour coordinators, auditors)
 // @route   GET /api/tours
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (tours:view)
+router.get('/', protect, authorize('tours:view'), async (req, res) => {
   try {
     const {
       search,
@@ -763,32 +1210,14 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
     // Execute aggregation
     const tours = await LibraryTour.aggregate(pipeline);
 
-    console.log('Raw aggregation results count:', tours.length);
-    if (tours.length > 0) {
-      console.log('First tour documentPath:', tours[0].documentPath);
-      console.log('First tour keys:', Object.keys(tours[0]));
-    }
-
     // Add document URLs to tours
     const toursWithUrls = tours.map(tour => ({
       ...tour,
-      documentUrl: generateDownloadUrl(req, tour.documentPath),
+      ...generateDocumentUrls(req, 'tour', tour),
       // Ensure documentPath is preserved for download functionality
       documentPath: tour.documentPath || null
     }));
 
-    console.log('Processed tours count:', toursWithUrls.length);
-    const toursWithDocs = toursWithUrls.filter(t => t.documentUrl);
-    console.log('Tours with documentUrl after processing:', toursWithDocs.length);
-    if (toursWithDocs.length > 0) {
-      console.log('Sample processed tour:', {
-        id: toursWithDocs[0]._id,
-        groupName: toursWithDocs[0].groupName,
-        documentPath: toursWithDocs[0].documentPath,
-        documentUrl: toursWithDocs[0].documentUrl
-      });
-    }
-
     res.status(200).json({
       success: true,
       count: toursWithUrls.length,
@@ -810,12 +1239,12 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Update tour status (Admin only)
+// @desc    Update tour status (Admin, tour coordinator, or the approver of the current approval step)
 // @route   PATCH /api/tours/:id/status
-// @access  Private/Admin
-router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
+// @access  Private
+router.patch('/:id/status', protect, async (req, res) => {
   try {
-    const { status, adminNote, assignedGuide } = req.body;
+    const { status, adminNote, guideId, autoAssignGuide } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -840,6 +1269,16 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    // Approval chain approvers decide their own step, everything else is for
+    // admins and tour coordinators
+    const accessCheck = getApprovalDecision(tour, status, req.user, req.user.hasPermission('tours:approve'));
+    if (accessCheck.error) {
+      return res.status(403).json({
+        success: false,
+        message: accessCheck.error
+      });
+    }
+
     // Check if status update is valid based on current status
     if (status === 'completed' && tour.status !== 'approved') {
       return res.status(400).json({
@@ -853,13 +1292,24 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    // Approval may require an accepted document (DOCUMENT_REQUIRED_FOR_APPROVAL)
+    const documentError = status === 'approved' ? getDocumentApprovalError('tour', tour) : null;
+    if (documentError) {
+      return res.status(400).json({
+        success: false,
+        message: documentError
+      });
+    }
+
+    let guideSuggestions = [];
+
     // If approving, check for conflicts one more time
     if (status === 'approved') {
       const conflictingTour = await LibraryTour.checkConflict(
-        tour.tourDate,
         tour.startTime,
         tour.duration,
-        tour._id
+        tour._id,
+        tour.numberOfParticipants
       );
 
       if (conflictingTour) {
@@ -873,15 +1323,55 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
           }
         });
       }
+    }
+
+    // Record the approval step; the tour stays pending until the final step passes
+    const approvalStep = accessCheck.step;
+    if (approvalStep && !(await decideApprovalStep(tour, req.user, status, adminNote || ''))) {
+      const nextStep = tour.approval.steps[tour.approval.currentStep];
+      return res.status(200).json({
+        success: true,
+        message: `Tahap "${approvalStep.name}" berhasil disetujui, menunggu tahap "${nextStep.name}"`,
+        data: tour,
+        guideSuggestions: []
+      });
+    }
+
+    if (status === 'approved') {
+      // Assign a guide: the one chosen by the admin, otherwise keep the guide assigned
+      // while the tour was pending, otherwise the least busy free guide who matches
+      if (guideId) {
+        const guide = await Guide.findById(guideId);
+
+        if (!guide) {
+          return res.status(404).json({
+            success: false,
+            message: 'Pemandu tidak ditemukan'
+          });
+        }
+
+        const assignmentError = await guide.getAssignmentError(tour);
+        if (assignmentError) {
+          return res.status(400).json({
+            success: false,
+            message: assignmentError
+          });
+        }
+
+        tour.guideId = guide._id;
+        tour.assignedGuide = guide.name;
+      } else if (!tour.guideId) {
+        guideSuggestions = await Guide.findSuggestions(tour);
 
-      // Assign guide if provided
-      if (assignedGuide) {
-        tour.assignedGuide = assignedGuide.trim();
+        if (autoAssignGuide !== false && autoAssignGuide !== 'false' && guideSuggestions.length > 0) {
+          tour.guideId = guideSuggestions[0].guide._id;
+          tour.assignedGuide = guideSuggestions[0].guide.name;
+        }
       }
     }
 
     // Update tour status
-    await tour.updateStatus(status, adminNote || '', req.user._id);
+    await tour.updateStatus(status, adminNote || '', req.user._id, approvalStep ? approvalStep.name : null);
 
     // Populate userId before sending email notification
     await tour.populate('userId', 'name email originInstitution');
@@ -901,7 +1391,8 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
     res.status(200).json({
       success: true,
       message: `Tur berhasil ${status === 'approved' ? 'disetujui' : status === 'rejected' ? 'ditolak' : 'ditandai selesai'}`,
-      data: tour
+      data: tour,
+      guideSuggestions: guideSuggestions.map(formatGuideSuggestion)
     });
 
   } catch (error) {
@@ -921,10 +1412,129 @@ router.patch('/:id/status', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get tour statistics (Admin only)
+// @desc    Suggest free guides matching a tour
+// @route   GET /api/tours/:id/guide-suggestions
+// @access  Private (tours:approve)
+router.get('/:id/guide-suggestions', protect, authorize('tours:approve'), async (req, res) => {
+  try {
+    const tour = await LibraryTour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    const suggestions = await Guide.findSuggestions(tour);
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions.map(formatGuideSuggestion)
+    });
+
+  } catch (error) {
+    console.error('Get guide suggestions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat mencari pemandu'
+    });
+  }
+});
+
+// @desc    Assign or remove the guide of a tour
+// @route   PATCH /api/tours/:id/guide
+// @access  Private (guides:manage)
+router.patch('/:id/guide', protect, authorize('guides:manage'), async (req, res) => {
+  try {
+    const { guideId } = req.body;
+
+    const tour = await LibraryTour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur tidak ditemukan'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(tour.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pemandu hanya dapat diatur untuk tur yang pending atau disetujui'
+      });
+    }
+
+    // Empty guideId removes the current guide
+    if (!guideId) {
+      tour.guideId = null;
+      tour.assignedGuide = undefined;
+      await tour.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Pemandu berhasil dilepas dari tur',
+        data: tour
+      });
+    }
+
+    const guide = await Guide.findById(guideId);
+
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pemandu tidak ditemukan'
+      });
+    }
+
+    const assignmentError = await guide.getAssignmentError(tour);
+    if (assignmentError) {
+      return res.status(400).json({
+        success: false,
+        message: assignmentError
+      });
+    }
+
+    tour.guideId = guide._id;
+    tour.assignedGuide = guide.name;
+    await tour.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Pemandu ${guide.name} berhasil ditugaskan`,
+      data: tour
+    });
+
+  } catch (error) {
+    console.error('Assign tour guide error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tur atau pemandu tidak ditemukan'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saat menugaskan pemandu'
+    });
+  }
+});
+
+// @desc    Get tour statistics (Admin, tour coordinators, auditors)
 // @route   GET /api/tours/stats
-// @access  Private/Admin
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private (dashboard:view or tours:view)
+router.get('/admin/stats', protect, authorize('dashboard:view', 'tours:view'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
 
@@ -932,19 +1542,8 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
     let startDate, endDate;
     const now = new Date();
 
-    switch (period) {
-      case 'week':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7);
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-        break;
-      case 'year':
-        startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-        break;
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-    }
+    // Periods follow the library's local calendar
+    startDate = getPeriodStart(period, now);
 
     endDate = now;
 
@@ -1016,7 +1615,7 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
       {
         $group: {
           _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
+            $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: LIBRARY_TIMEZONE }
           },
           count: { $sum: 1 },
           participants: { $sum: '$numberOfParticipants' }
@@ -1063,10 +1662,10 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get upcoming tours (Admin only)
+// @desc    Get upcoming tours (Admin, tour coordinators, auditors, front desk)
 // @route   GET /api/tours/upcoming
-// @access  Private/Admin
-router.get('/admin/upcoming', protect, authorize('admin'), async (req, res) => {
+// @access  Private (tours:view or tours:checkin)
+router.get('/admin/upcoming', protect, authorize('tours:view', 'tours:checkin'), async (req, res) => {
   try {
     const { days = 7 } = req.query;
 
@@ -49,7 +49,17 @@ const seedData = async () => {
         description: 'Ruang seminar berkapasitas besar dengan fasilitas lengkap',
         operatingHours: {
           start: '08:00',
-          end: '17:00'
+          end: '17:00',
+          weekly: [
+            { day: 0, isClosed: true },
+            {
+              day: 5,
+              start: '08:00',
+              end: '17:00',
+              breaks: [{ start: '11:30', end: '13:30', label: 'Salat Jumat' }]
+            },
+            { day: 6, start: '09:00', end: '14:00' }
+          ]
         },
         facilities: ['Proyektor', 'Sound System', 'AC', 'WiFi'],
         image: 'uploads/rooms/sample1.jpg',
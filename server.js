@@ -12,9 +12,11 @@ const roomRoutes = require('./routes/rooms');
 const bookingRoutes = require('./routes/bookings');
 const tourRoutes = require('./routes/tours');
 const adminRoutes = require('./routes/admin');
-
-// Import upload middleware
-const { uploadDocument, handleUploadError, generateFileUrl } = require('./middleware/upload');
+const calendarRoutes = require('./routes/calendar');
+const guideRoutes = require('./routes/guides');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const documentRoutes = require('./routes/documents');
 
 // Load environment variables
 dotenv.config();
@@ -81,9 +83,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/', limiter);
 app.use('/auth/', authLimiter);
 
-// Serve uploaded files statically with caching
-const uploadsPath = path.join(__dirname, 'uploads');
-app.use('/uploads', express.static(uploadsPath, {
+// Serve room images stored on local disk (see utils/storage.js) statically with caching;
+// booking and tour documents are only available through signed URLs (see routes/documents.js)
+const roomImagesPath = path.join(__dirname, 'uploads', 'rooms');
+app.use('/uploads/rooms', express.static(roomImagesPath, {
   maxAge: '1d', // Cache for 1 day
   etag: true,
   setHeaders: (res, path) => {
@@ -95,64 +98,17 @@ app.use('/uploads', express.static(uploadsPath, {
   }
 }));
 
-// Download route for secure file access
-app.get('/download/uploads/:type/:filename', (req, res) => {
-  const { type, filename } = req.params;
-  const filePath = path.join(__dirname, 'uploads', type, filename);
-
-  // Check if file exists
-  if (!require('fs').existsSync(filePath)) {
-    return res.status(404).json({
-      success: false,
-      message: 'File tidak ditemukan'
-    });
-  }
-
-  // Set appropriate headers for download
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.setHeader('Content-Type', 'application/octet-stream');
-
-  // Stream the file
-  const fileStream = require('fs').createReadStream(filePath);
-  fileStream.pipe(res);
-
-  fileStream.on('error', (error) => {
-    console.error('File streaming error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error saat mengunduh file'
-    });
-  });
-});
-
 // Routes
 app.use('/auth', authRoutes);
 app.use('/rooms', roomRoutes);
 app.use('/bookings', bookingRoutes);
 app.use('/tours', tourRoutes);
 app.use('/admin', adminRoutes);
-
-// Upload route
-app.post('/upload', uploadDocument, handleUploadError, generateFileUrl, (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({
-      success: false,
-      message: 'No file uploaded'
-    });
-  }
-
-  res.json({
-    success: true,
-    message: 'File uploaded successfully',
-    file: {
-      filename: req.file.filename,
-      originalname: req.file.originalname,
-      path: req.file.path,
-      url: req.file.url,
-      size: req.file.size
-    }
-  });
-});
+app.use('/calendar', calendarRoutes);
+app.use('/guides', guideRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/events', eventRoutes);
+app.use('/documents', documentRoutes);
 
 // Test route
 app.get('/test', (req, res) => {
@@ -166,6 +122,7 @@ app.get('/', (req, res)=> {
 app.get('/test-email', async (req, res) => {
   try {
     const { testEmailConnection } = require('./utils/email');
+    const { describeTransport } = require('./utils/mailTransport');
     const isConnected = await testEmailConnection();
 
     if (isConnected) {
@@ -173,10 +130,7 @@ app.get('/test-email', async (req, res) => {
         success: true,
         message: 'Email connection successful',
         config: {
-          host: process.env.EMAIL_HOST,
-          port: process.env.EMAIL_PORT,
-          user: process.env.EMAIL_USER ? '***configured***' : 'not set',
-          from: process.env.EMAIL_FROM,
+          ...describeTransport(),
           clientUrl: process.env.CLIENT_URL
         }
       });
@@ -185,10 +139,7 @@ app.get('/test-email', async (req, res) => {
         success: false,
         message: 'Email connection failed',
         config: {
-          host: process.env.EMAIL_HOST,
-          port: process.env.EMAIL_PORT,
-          user: process.env.EMAIL_USER ? '***configured***' : 'not set',
-          from: process.env.EMAIL_FROM,
+          ...describeTransport(),
           clientUrl: process.env.CLIENT_URL
         }
       });
@@ -210,6 +161,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/perpusboo
 })
 .then(() => {
   console.log('Connected to MongoDB');
+
+  // Serverless deployments have no long-running process for timers;
+  // jobs can still be triggered manually from the admin API
+  if (!process.env.VERCEL) {
+    const { startScheduler } = require('./utils/scheduler');
+    startScheduler().catch(error => console.error('Failed to start scheduler:', error));
+  }
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -0,0 +1,169 @@
+// utils/approval.js - Multi-step approval chains for bookings and tours
+const mongoose = require('mongoose');
+const ApprovalChain = require('../models/ApprovalChain');
+
+// Approval progress stored on a booking or tour (snapshot of the chain at creation)
+const approvalProgressDefinition = {
+  chainId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApprovalChain',
+    default: null
+  },
+  chainName: String,
+  currentStep: {
+    type: Number,
+    default: 0
+  },
+  steps: [{
+    _id: false,
+    name: String,
+    approvers: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    decidedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    note: String
+  }]
+};
+
+/**
+ * Attach the matching approval chain to a new booking ('booking') or tour ('tour').
+ * Requests without a matching chain keep the single admin approval.
+ */
+const attachApprovalChain = async (request, targetType) => {
+  if (request.approval && request.approval.chainId) {
+    return;
+  }
+
+  const chain = await ApprovalChain.findForRequest(targetType, request);
+
+  if (chain) {
+    request.approval = chain.toApproval();
+  }
+};
+
+// Current undecided approval step, or null when there is no chain or all steps passed
+const getCurrentApprovalStep = (request) => {
+  if (!request.approval || !request.approval.chainId) {
+    return null;
+  }
+  return request.approval.steps[request.approval.currentStep] || null;
+};
+
+// Listed approvers decide their step; steps without approvers are decided by
+// anyone who manages the request (admins, or the matching room manager / tour coordinator)
+const canDecideStep = (step, user, isManager = user.role === 'admin') => {
+  if (!step.approvers || step.approvers.length === 0) {
+    return isManager;
+  }
+  return step.approvers.some(approverId => approverId.equals(user._id));
+};
+
+/**
+ * Check whether a user may set a status on a request and find the approval step it decides.
+ * Approving or rejecting a pending request with a chain needs the current step's approver;
+ * managers may still reject at any step. Every other status change is for managers only.
+ * isManager tells whether the user manages the request (see canDecideStep).
+ * Returns { error, step } where step is null when no chain step is involved.
+ */
+const getApprovalDecision = (request, status, user, isManager = user.role === 'admin') => {
+  const step = request.status === 'pending' && ['approved', 'rejected'].includes(status)
+    ? getCurrentApprovalStep(request)
+    : null;
+
+  if (!step) {
+    return isManager
+      ? { error: null, step: null }
+      : { error: 'Anda tidak memiliki akses untuk mengubah status ini', step: null };
+  }
+
+  if (canDecideStep(step, user, isManager) || (status === 'rejected' && isManager)) {
+    return { error: null, step };
+  }
+
+  return {
+    error: `Tahap persetujuan "${step.name}" tidak ditugaskan kepada Anda`,
+    step: null
+  };
+};
+
+/**
+ * Record a decision ('approved' or 'rejected') on the current step.
+ * Returns true when the request is fully decided, i.e. it was rejected or the
+ * final step was approved; the caller then updates the request status.
+ * Intermediate approvals are written to statusHistory and saved here.
+ */
+const decideApprovalStep = async (request, user, decision, note = '') => {
+  const step = getCurrentApprovalStep(request);
+
+  step.status = decision;
+  step.decidedBy = user._id;
+  step.decidedAt = new Date();
+  step.note = note;
+
+  if (decision === 'rejected') {
+    return true;
+  }
+
+  request.approval.currentStep += 1;
+  if (request.approval.currentStep >= request.approval.steps.length) {
+    return true;
+  }
+
+  const nextStep = request.approval.steps[request.approval.currentStep];
+  request.statusHistory.push({
+    status: request.status,
+    changedAt: new Date(),
+    changedBy: user._id,
+    approvalStep: step.name,
+    note: note || `Tahap "${step.name}" disetujui, menunggu "${nextStep.name}"`
+  });
+
+  await request.save();
+  return false;
+};
+
+// Query for pending requests whose current step waits on the given user.
+// managerFilter limits the requests the user manages (e.g. { roomId: { $in: [...] } }),
+// whose steps without approvers also wait on them; null when they manage none.
+const buildApprovalQueueQuery = (user, managerFilter = null) => {
+  const currentApprovers = {
+    $let: {
+      vars: { step: { $arrayElemAt: ['$approval.steps', '$approval.currentStep'] } },
+      in: { $ifNull: ['$$step.approvers', []] }
+    }
+  };
+
+  const conditions = [{ $expr: { $in: [user._id, currentApprovers] } }];
+  if (managerFilter) {
+    conditions.push({
+      ...managerFilter,
+      $expr: { $eq: [{ $size: currentApprovers }, 0] }
+    });
+  }
+
+  return {
+    status: 'pending',
+    'approval.chainId': { $ne: null },
+    $or: conditions
+  };
+};
+
+module.exports = {
+  approvalProgressDefinition,
+  attachApprovalChain,
+  getCurrentApprovalStep,
+  canDecideStep,
+  getApprovalDecision,
+  decideApprovalStep,
+  buildApprovalQueueQuery
+};
@@ -0,0 +1,93 @@
+// utils/checkin.js - Booking check-in codes and automatic no-show / completion handling
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { promoteWaitlist } = require('./waitlist');
+const { sendBookingNotification } = require('./email');
+
+// Signature tying a check-in code to one booking ID; refuses to sign without JWT_SECRET,
+// so codes can never be forged with a default secret
+const signBookingId = (bookingId) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET harus diatur untuk membuat kode check-in');
+  }
+
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`check-in:${bookingId}`)
+    .digest('hex')
+    .slice(0, 16);
+};
+
+// Code encoded in the booking's QR code: '<bookingId>.<signature>'
+const createCheckInCode = (bookingId) => {
+  return `${bookingId}.${signBookingId(bookingId)}`;
+};
+
+// Booking ID of a scanned check-in code, or null when the code is invalid
+const parseCheckInCode = (code) => {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const [bookingId, signature] = code.trim().split('.');
+  if (!bookingId || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signBookingId(bookingId));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return bookingId;
+};
+
+/**
+ * Release no-shows and complete overdue bookings.
+ * No-shows count as strikes; released slots are offered to the waitlist and the users are notified.
+ */
+const runBookingLifecycle = async (now = new Date()) => {
+  const released = await Booking.releaseNoShows(now);
+  const { completed, noShows } = await Booking.completeOverdue(now);
+
+  for (const booking of [...released, ...noShows]) {
+    try {
+      const user = await User.findById(booking.userId);
+      if (user) {
+        await user.addStrike('no_show', { bookingId: booking._id });
+      }
+    } catch (strikeError) {
+      console.error('Failed to record no-show strike:', strikeError);
+    }
+
+    try {
+      await promoteWaitlist(booking);
+    } catch (waitlistError) {
+      console.error('Failed to promote waitlist:', waitlistError);
+    }
+
+    try {
+      await booking.populate([
+        { path: 'userId', select: 'name email' },
+        { path: 'roomId', select: 'roomName timezone' }
+      ]);
+      await sendBookingNotification(booking, 'no_show');
+    } catch (emailError) {
+      console.error('Failed to send no-show notification:', emailError);
+    }
+  }
+
+  return {
+    noShows: released.length + noShows.length,
+    completed: completed.length
+  };
+};
+
+module.exports = {
+  createCheckInCode,
+  parseCheckInCode,
+  runBookingLifecycle
+};
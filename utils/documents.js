@@ -0,0 +1,217 @@
+// utils/documents.js - Review of and access to the official letters attached to bookings and tours
+// Every uploaded document starts unreviewed. Reviewers accept it or ask for a revision,
+// after which the owner uploads a replacement that is reviewed again.
+//
+// Documents are not public: they are opened through short-lived signed URLs that are only
+// handed out to users who may access the request (see canAccessDocument).
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getCurrentApprovalStep, canDecideStep } = require('./approval');
+
+const DOCUMENT_STATUSES = ['unreviewed', 'accepted', 'needs_revision'];
+const DOCUMENT_KINDS = ['booking', 'tour'];
+
+// How long a signed document URL stays valid
+const DOCUMENT_URL_TTL_MINUTES = parseInt(process.env.DOCUMENT_URL_TTL_MINUTES) || 15;
+
+// Request kinds ('booking', 'tour') that can only be approved with an accepted document,
+// e.g. DOCUMENT_REQUIRED_FOR_APPROVAL=booking,tour
+const DOCUMENT_REQUIRED_FOR = (process.env.DOCUMENT_REQUIRED_FOR_APPROVAL || '')
+  .split(',')
+  .map(kind => kind.trim())
+  .filter(Boolean);
+
+// Review state of a document, embedded in Booking and LibraryTour as documentReview
+const documentReviewDefinition = {
+  status: {
+    type: String,
+    enum: {
+      values: DOCUMENT_STATUSES,
+      message: 'Status dokumen harus berupa unreviewed, accepted, atau needs_revision'
+    },
+    default: 'unreviewed'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Catatan peninjau tidak boleh lebih dari 500 karakter'],
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Uploads ('unreviewed') and review decisions, oldest first
+  history: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: DOCUMENT_STATUSES
+    },
+    note: String,
+    by: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+};
+
+const isDocumentRequired = (kind) => DOCUMENT_REQUIRED_FOR.includes(kind);
+
+// Reason a request cannot be approved because of its document, or null
+const getDocumentApprovalError = (kind, request) => {
+  if (!isDocumentRequired(kind)) {
+    return null;
+  }
+  if (!request.documentPath) {
+    return 'Dokumen pengantar harus diunggah dan diterima sebelum pengajuan dapat disetujui';
+  }
+  if (!request.documentReview || request.documentReview.status !== 'accepted') {
+    return 'Dokumen pengantar harus diterima sebelum pengajuan dapat disetujui';
+  }
+  return null;
+};
+
+/**
+ * Whether a user may review the document of a request: managers of the request
+ * (see canDecideStep) and the approvers of its current approval step.
+ */
+const canReviewDocument = (request, user, isManager = user.role === 'admin') => {
+  if (isManager) {
+    return true;
+  }
+  const step = request.status === 'pending' ? getCurrentApprovalStep(request) : null;
+  return Boolean(step && canDecideStep(step, user, isManager));
+};
+
+/**
+ * Whether a user may open the document of a request: the owner, users who can view the
+ * request (admins, room managers of the booked room, tour coordinators) and its reviewers.
+ */
+const canAccessDocument = (kind, request, user) => {
+  const ownerId = request.userId && request.userId._id ? request.userId._id : request.userId;
+  if (String(ownerId) === String(user._id)) {
+    return true;
+  }
+
+  const canView = kind === 'booking'
+    ? user.hasRoomPermission('bookings:view', request.roomId)
+    : user.hasPermission('tours:view');
+  if (canView) {
+    return true;
+  }
+
+  const isManager = kind === 'booking'
+    ? user.hasRoomPermission('bookings:approve', request.roomId)
+    : user.hasPermission('tours:approve');
+  return canReviewDocument(request, user, isManager);
+};
+
+// Signature of a document URL; covers the document path so links die when it is replaced.
+// Refuses to sign without a configured secret, so URLs can never be forged with a default.
+const signDocument = (kind, requestId, documentPath, expires) => {
+  const secret = process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('DOCUMENT_URL_SECRET atau JWT_SECRET harus diatur untuk menandatangani tautan dokumen');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`document:${kind}:${requestId}:${documentPath}:${expires}`)
+    .digest('hex');
+};
+
+/**
+ * Signed URL to the document of a request, valid for DOCUMENT_URL_TTL_MINUTES, or null
+ * when there is no document. Only hand it to users who pass canAccessDocument.
+ * Options: inline (open in the browser instead of downloading).
+ */
+const generateDocumentUrl = (req, kind, request, { inline = false } = {}) => {
+  if (!request || !request.documentPath) {
+    return null;
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + DOCUMENT_URL_TTL_MINUTES * 60;
+  const signature = signDocument(kind, request._id, request.documentPath, expires);
+  const query = `expires=${expires}&signature=${signature}${inline ? '&inline=1' : ''}`;
+
+  return `${req.protocol}://${req.get('host')}/documents/${kind}/${request._id}/file?${query}`;
+};
+
+/**
+ * { documentUrl, documentViewUrl } of a request for API responses. Both are null when
+ * there is no document or the user (req.user) may not open it.
+ */
+const generateDocumentUrls = (req, kind, request) => {
+  if (!request.documentPath || !canAccessDocument(kind, request, req.user)) {
+    return { documentUrl: null, documentViewUrl: null };
+  }
+
+  return {
+    documentUrl: generateDocumentUrl(req, kind, request),
+    documentViewUrl: generateDocumentUrl(req, kind, request, { inline: true })
+  };
+};
+
+// Whether a signed document URL (expires, signature) is valid for the current document
+const verifyDocumentSignature = (kind, request, expires, signature) => {
+  const expiresAt = parseInt(expires);
+  if (!request.documentPath || !expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signDocument(kind, request._id, request.documentPath, expiresAt));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Record a review decision ('accepted' or 'needs_revision'); the caller saves the request
+const recordDocumentReview = (request, status, note, reviewerId) => {
+  request.documentReview.status = status;
+  request.documentReview.note = note || null;
+  request.documentReview.reviewedBy = reviewerId;
+  request.documentReview.reviewedAt = new Date();
+  request.documentReview.history.push({ status, note: note || undefined, by: reviewerId });
+};
+
+/**
+ * documentReview value after a new document was uploaded for a request: unreviewed again,
+ * with the upload added to the history. Usable with save() and findByIdAndUpdate().
+ */
+const getUploadedDocumentReview = (request, userId) => {
+  const history = ((request.documentReview && request.documentReview.history) || [])
+    .map(entry => (entry.toObject ? entry.toObject() : entry));
+
+  return {
+    status: 'unreviewed',
+    note: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    history: [...history, { status: 'unreviewed', note: 'Dokumen diunggah', by: userId, at: new Date() }]
+  };
+};
+
+module.exports = {
+  DOCUMENT_STATUSES,
+  DOCUMENT_KINDS,
+  DOCUMENT_URL_TTL_MINUTES,
+  documentReviewDefinition,
+  isDocumentRequired,
+  getDocumentApprovalError,
+  canReviewDocument,
+  canAccessDocument,
+  generateDocumentUrl,
+  generateDocumentUrls,
+  verifyDocumentSignature,
+  recordDocumentReview,
+  getUploadedDocumentReview
+};
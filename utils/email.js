@@ -1,65 +1,209 @@
 require('dotenv').config();
+const User = require('../models/User');
+const { bookingToEvent, tourToEvent, buildCalendar } = require('./ical');
+const { LIBRARY_TIMEZONE } = require('./time');
+const { queueEmail, queueTextMessage } = require('./outbox');
+const { verifyTransport, describeTransport } = require('./mailTransport');
+const { renderEmail, normalizeLanguage } = require('./emailTemplates');
 
 // ====================================================================
-// Menggunakan SendGrid API langsung untuk menghindari blokir SMTP di Railway
+// REKOMENDASI: Pindahkan fungsi helper ke luar agar tidak duplikat (Prinsip DRY)
 // ====================================================================
-const sendGridAPI = async (mailOptions) => {
-  const apiKey = process.env.SENDGRID_API_KEY || process.env.EMAIL_PASS;
+const LOCALES = { id: 'id-ID', en: 'en-GB' };
 
-  if (!apiKey || !apiKey.startsWith('SG.')) {
-    throw new Error('SendGrid API key not configured properly');
-  }
+// Tanggal dan jam selalu ditampilkan dalam zona waktu perpustakaan (atau ruangan),
+// bukan zona waktu server
+const formatDate = (date, timeZone = LIBRARY_TIMEZONE, language = 'id') => {
+  return new Date(date).toLocaleDateString(LOCALES[language], {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone
+  });
+};
 
-  const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      personalizations: [{
-        to: [{ email: mailOptions.to }],
-        subject: mailOptions.subject
-      }],
-      from: { email: mailOptions.from.replace(/.*<(.+)>/, '$1') },
-      content: [{
-        type: 'text/html',
-        value: mailOptions.html
-      }]
-    })
+const formatTime = (date, timeZone = LIBRARY_TIMEZONE, language = 'id') => {
+  return new Date(date).toLocaleTimeString(LOCALES[language], {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone
   });
+};
+
+// Zona waktu booking mengikuti ruangan jika diatur (roomId harus di-populate)
+const getBookingTimeZone = (booking) => {
+  return (booking.roomId && booking.roomId.timezone) || LIBRARY_TIMEZONE;
+};
+
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`SendGrid API error: ${response.status} ${error}`);
+// Lampiran .ics agar jadwal bisa langsung ditambahkan ke aplikasi kalender
+const createCalendarAttachment = (filename, eventLines) => ({
+  filename,
+  content: buildCalendar('PerpusBooking', [eventLines]),
+  contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+});
+
+const getSender = () => `PerpusBooking <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`;
+
+// Bahasa email mengikuti preferensi pengguna; dokumen hasil populate sering tidak
+// memuat field language sehingga diambil ulang bila perlu
+const getUserLanguage = async (user) => {
+  if (user.language) {
+    return normalizeLanguage(user.language);
   }
 
-  return { messageId: response.headers.get('x-message-id') };
+  const stored = await User.findById(user._id).select('language');
+  return normalizeLanguage(stored && stored.language);
 };
 
-// ====================================================================
-// REKOMENDASI: Pindahkan fungsi helper ke luar agar tidak duplikat (Prinsip DRY)
-// ====================================================================
-const formatDate = (date) => {
-  return new Date(date).toLocaleDateString('id-ID', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+// Kanal pilihan pengguna untuk jenis notifikasi ini beserta nomor teleponnya,
+// diambil ulang bila dokumen hasil populate tidak memuatnya
+const getUserChannels = async (user, type) => {
+  const stored = user.phoneNumber && user.notificationChannels && typeof user.getNotificationChannels === 'function'
+    ? user
+    : await User.findById(user._id).select('phoneNumber notificationChannels');
+
+  if (!stored) {
+    return { channels: ['email'], phoneNumber: null };
+  }
+  return { channels: stored.getNotificationChannels(type), phoneNumber: stored.phoneNumber };
 };
 
-const formatTime = (date) => {
-  return new Date(date).toLocaleTimeString('id-ID', {
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+// Nomor penanggung jawab booking atau tur, tujuan pesan singkat jika diisi
+const getContactPhone = (request) => (request.contactPerson && request.contactPerson.phone) || null;
+
+const STATUS_COLORS = {
+  approved: '#10b981',
+  rejected: '#ef4444',
+  completed: '#10b981',
+  cancelled: '#6b7280',
+  no_show: '#6b7280',
+  pending: '#f59e0b'
 };
 
+const BOOKING_STATUS_TEXT = {
+  id: {
+    approved: ['DISETUJUI', 'Selamat! Pengajuan peminjaman ruang Anda telah disetujui.'],
+    rejected: ['DITOLAK', 'Mohon maaf, pengajuan peminjaman ruang Anda tidak dapat disetujui.'],
+    completed: ['SELESAI', 'Peminjaman ruang Anda telah selesai. Terima kasih atas kunjungan Anda.'],
+    cancelled: ['DIBATALKAN', 'Peminjaman ruang Anda telah dibatalkan oleh admin.'],
+    no_show: ['TIDAK HADIR', 'Peminjaman ruang Anda dibatalkan otomatis karena tidak check-in dalam batas waktu yang ditentukan.'],
+    pending: ['PENDING', 'Pengajuan peminjaman ruang Anda sedang diproses.']
+  },
+  en: {
+    approved: ['APPROVED', 'Congratulations! Your room booking request has been approved.'],
+    rejected: ['REJECTED', 'We are sorry, your room booking request could not be approved.'],
+    completed: ['COMPLETED', 'Your room booking has been completed. Thank you for your visit.'],
+    cancelled: ['CANCELLED', 'Your room booking has been cancelled by an administrator.'],
+    no_show: ['NO SHOW', 'Your room booking was cancelled automatically because you did not check in within the allowed time.'],
+    pending: ['PENDING', 'Your room booking request is being processed.']
+  }
+};
+
+const TOUR_STATUS_TEXT = {
+  id: {
+    approved: ['DISETUJUI', 'Selamat! Pengajuan tur perpustakaan Anda telah disetujui.'],
+    rejected: ['DITOLAK', 'Mohon maaf, pengajuan tur perpustakaan Anda tidak dapat disetujui.'],
+    completed: ['SELESAI', 'Tur perpustakaan Anda telah selesai. Terima kasih atas kunjungan Anda.'],
+    pending: ['PENDING', 'Pengajuan tur perpustakaan Anda sedang diproses.']
+  },
+  en: {
+    approved: ['APPROVED', 'Congratulations! Your library tour request has been approved.'],
+    rejected: ['REJECTED', 'We are sorry, your library tour request could not be approved.'],
+    completed: ['COMPLETED', 'Your library tour has been completed. Thank you for your visit.'],
+    pending: ['PENDING', 'Your library tour request is being processed.']
+  }
+};
+
+const getStatusData = (texts, status, language) => {
+  const key = texts[language][status] ? status : 'pending';
+  const [label, message] = texts[language][key];
+  return { label, message, color: STATUS_COLORS[key] };
+};
+
+// Data booking untuk placeholder {{booking.*}} (roomId harus di-populate)
+const getBookingData = (booking, language) => {
+  const timeZone = getBookingTimeZone(booking);
+  const contactName = (booking.contactPerson && booking.contactPerson.name) || booking.userId.name;
+  const contactPhone = booking.contactPerson && booking.contactPerson.phone;
+
+  return {
+    activityName: booking.activityName,
+    roomName: booking.roomId.roomName,
+    location: [booking.roomId.location, 'Pustaka Wilayah Aceh'].filter(Boolean).join(', '),
+    date: formatDate(booking.startTime, timeZone, language),
+    time: `${formatTime(booking.startTime, timeZone, language)} - ${formatTime(booking.endTime, timeZone, language)}`,
+    contactPerson: contactPhone ? `${contactName} (${contactPhone})` : contactName,
+    adminNote: booking.adminNote
+  };
+};
+
+// Data tur untuk placeholder {{tour.*}}
+const getTourData = (tour, language) => {
+  const contactName = (tour.contactPerson && tour.contactPerson.name) || tour.userId.name;
+  const contactPhone = tour.contactPerson && tour.contactPerson.phone;
+
+  return {
+    groupName: tour.groupName || (language === 'en' ? 'Not specified' : 'Tidak disebutkan'),
+    participants: tour.numberOfParticipants || 0,
+    date: formatDate(tour.tourDate || tour.startTime, LIBRARY_TIMEZONE, language),
+    time: formatTime(tour.startTime, LIBRARY_TIMEZONE, language),
+    duration: tour.duration,
+    meetingPoint: process.env.TOUR_MEETING_POINT || 'Pustaka Wilayah Aceh',
+    contactPerson: contactPhone ? `${contactName} (${contactPhone})` : contactName,
+    guide: tour.assignedGuide,
+    adminNote: tour.adminNote
+  };
+};
+
+// Waktu tersisa sebelum mulai untuk teks pengingat, mis. "24 jam" atau "30 menit"
+const formatReminderLead = (hoursBefore, language) => {
+  if (hoursBefore >= 1) {
+    return language === 'en' ? `${hoursBefore} hour${hoursBefore === 1 ? '' : 's'}` : `${hoursBefore} jam`;
+  }
+  const minutes = Math.round(hoursBefore * 60);
+  return language === 'en' ? `${minutes} minutes` : `${minutes} menit`;
+};
+
+/**
+ * Menyusun notifikasi dari template dalam bahasa penerima lalu mengirimnya lewat kanal
+ * yang dipilih penerima untuk jenis ini: email ke outbox email, SMS/WhatsApp ke outbox
+ * pesan (keduanya di utils/outbox.js). buildData(language) menghasilkan data placeholder;
+ * phone menggantikan nomor pengguna sebagai tujuan pesan singkat.
+ */
+const sendNotification = async (type, user, buildData, { attachments = [], phone = null } = {}) => {
+  const language = await getUserLanguage(user);
+  const { channels, phoneNumber } = await getUserChannels(user, type);
+  const { subject, html, text } = await renderEmail(type, language, buildData(language));
+
+  if (channels.includes('email')) {
+    if (process.env.DISABLE_EMAIL === 'true') {
+      console.log(`Email sending disabled - skipping ${type} email`);
+    } else {
+      await queueEmail({ from: getSender(), to: user.email, subject, html, attachments }, { type });
+      console.log(`${type} email queued for ${user.email}`);
+    }
+  }
+
+  const to = phone || phoneNumber;
+  if (!to || !text) {
+    return;
+  }
+
+  for (const channel of channels.filter(channel => channel !== 'email')) {
+    await queueTextMessage({ channel, to, text, userId: user._id }, { type });
+    console.log(`${type} ${channel} message queued for ${to}`);
+  }
+};
 
 // ====================================================================
 // FUNGSI PENGIRIMAN EMAIL
-// Setiap fungsi di bawah ini sekarang menggunakan 'transporter' yang sama.
+// Setiap fungsi di bawah ini menyusun email dari template (utils/emailTemplates.js)
+// dalam bahasa penerima, lalu menyimpannya ke outbox (utils/outbox.js);
+// pengiriman yang gagal dicoba ulang otomatis oleh job 'email-outbox'.
+// Notifikasi status, daftar tunggu, pengingat, dan revisi dokumen juga dikirim lewat SMS/WhatsApp
+// sesuai pilihan pengguna (sendNotification).
 // ====================================================================
 
 /**
@@ -72,58 +216,14 @@ const sendVerificationEmail = async (user, verificationToken) => {
     return;
   }
 
-  // Add timeout to prevent hanging
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Email sending timeout')), 10000); // 10 second timeout
-  });
-
-  const sendEmailPromise = async () => {
-    const verificationUrl = `${process.env.CLIENT_URL}/verify-email?token=${verificationToken}&email=${user.email}`;
-
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Verifikasi Email - PerpusBooking</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; }
-          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; }
-          .content { padding: 20px; }
-          .button { display: inline-block; background-color: #2563eb; color: white !important; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-          .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header"><h1>PerpusBooking</h1><h2>Verifikasi Email Anda</h2></div>
-          <div class="content">
-            <p>Halo ${user.name},</p>
-            <p>Terima kasih telah mendaftar. Untuk mengaktifkan akun Anda, silakan klik tombol di bawah ini:</p>
-            <div style="text-align: center;"><a href="${verificationUrl}" class="button">Verifikasi Email</a></div>
-            <p>Link ini akan kedaluwarsa dalam 24 jam.</p>
-            <p>Jika Anda tidak mendaftar, abaikan email ini.</p>
-          </div>
-          <div class="footer"><p>&copy; ${new Date().getFullYear()} PerpusBooking - Pustaka Wilayah Aceh</p></div>
-        </div>
-      </body>
-      </html>
-    `;
-
-    const mailOptions = {
-      from: `PerpusBooking <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-      to: user.email,
-      subject: 'Verifikasi Email - PerpusBooking',
-      html: htmlContent
-    };
-
-    await sendGridAPI(mailOptions);
-    console.log(`Verification email sent to ${user.email}`);
-  };
-
   try {
-    await Promise.race([sendEmailPromise(), timeoutPromise]);
+    const { subject, html } = await renderEmail('verification', await getUserLanguage(user), {
+      user: { name: user.name, email: user.email },
+      verificationUrl: `${process.env.CLIENT_URL}/verify-email?token=${verificationToken}&email=${user.email}`
+    });
+
+    await queueEmail({ from: getSender(), to: user.email, subject, html }, { type: 'verification', sensitive: true });
+    console.log(`Verification email queued for ${user.email}`);
   } catch (error) {
     console.error('Error sending verification email:', error);
     throw new Error('Gagal mengirim email verifikasi');
@@ -134,79 +234,37 @@ const sendVerificationEmail = async (user, verificationToken) => {
  * Mengirim notifikasi status peminjaman ruangan.
  */
 const sendBookingNotification = async (booking, status) => {
-  // Skip email sending if disabled
-  if (process.env.DISABLE_EMAIL === 'true') {
-    console.log('Email sending disabled - skipping booking notification');
-    return;
-  }
-  let statusText, statusColor, message;
-  switch (status) {
-    case 'approved':
-      statusText = 'DISETUJUI'; statusColor = '#10b981';
-      message = 'Selamat! Pengajuan peminjaman ruang Anda telah disetujui.'; break;
-    case 'rejected':
-      statusText = 'DITOLAK'; statusColor = '#ef4444';
-      message = 'Mohon maaf, pengajuan peminjaman ruang Anda tidak dapat disetujui.'; break;
-    case 'completed':
-      statusText = 'SELESAI'; statusColor = '#10b981';
-      message = 'Peminjaman ruang Anda telah selesai. Terima kasih atas kunjungan Anda.'; break;
-    default:
-      statusText = 'PENDING'; statusColor = '#f59e0b';
-      message = 'Pengajuan peminjaman ruang Anda sedang diproses.';
+  try {
+    await sendNotification('booking_notification', booking.userId, (language) => ({
+      user: { name: booking.userId.name, email: booking.userId.email },
+      booking: getBookingData(booking, language),
+      status: getStatusData(BOOKING_STATUS_TEXT, status, language)
+    }), {
+      attachments: [createCalendarAttachment('booking.ics', bookingToEvent(booking))],
+      phone: getContactPhone(booking)
+    });
+  } catch (error) {
+    console.error('Error sending booking notification:', error);
+    throw new Error('Gagal mengirim notifikasi');
   }
+};
 
-  const htmlContent = `
-  <!DOCTYPE html>
-  <html>
-  <head>
-    <meta charset="utf-8">
-    <title>Update Status Booking - PerpusBooking</title>
-    <style>
-      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-      .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; }
-      .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; }
-      .content { padding: 20px; }
-      .status-badge { display: inline-block; padding: 8px 16px; border-radius: 20px; color: white; font-weight: bold; background-color: ${statusColor}; }
-      .booking-details { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
-      .detail-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
-      .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
-    </style>
-  </head>
-  <body>
-    <div class="container">
-      <div class="header"><h1>PerpusBooking</h1><h2>Update Status Peminjaman</h2></div>
-      <div class="content">
-        <p>Halo ${booking.userId.name},</p>
-        <p>${message}</p>
-        <div style="text-align: center; margin: 20px 0;"><span class="status-badge">${statusText}</span></div>
-        <div class="booking-details">
-          <h3>Detail Peminjaman:</h3>
-          <div class="detail-row"><strong>Nama Kegiatan:</strong><span>${booking.activityName}</span></div>
-          <div class="detail-row"><strong>Ruangan:</strong><span>${booking.roomId.roomName}</span></div>
-          <div class="detail-row"><strong>Tanggal:</strong><span>${formatDate(booking.startTime)}</span></div>
-          <div class="detail-row"><strong>Waktu:</strong><span>${formatTime(booking.startTime)} - ${formatTime(booking.endTime)}</span></div>
-          ${booking.adminNote ? `<div class="detail-row"><strong>Catatan Admin:</strong><span>${booking.adminNote}</span></div>` : ''}
-        </div>
-      </div>
-      <div class="footer"><p>&copy; ${new Date().getFullYear()} PerpusBooking - Pustaka Wilayah Aceh</p></div>
-    </div>
-  </body>
-  </html>
-  `;
-
-  const mailOptions = {
-    from: `PerpusBooking <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-    to: booking.userId.email,
-    subject: `Update Status Peminjaman - ${statusText}`,
-    html: htmlContent
-  };
-
+/**
+ * Mengirim notifikasi bahwa permintaan di daftar tunggu telah menjadi booking.
+ */
+const sendWaitlistPromotionEmail = async (booking) => {
   try {
-    await sendGridAPI(mailOptions);
-    console.log(`Booking notification sent to ${booking.userId.email}`);
+    await sendNotification('waitlist_promotion', booking.userId, (language) => ({
+      user: { name: booking.userId.name, email: booking.userId.email },
+      booking: getBookingData(booking, language),
+      dashboardUrl: `${process.env.CLIENT_URL}/dashboard`
+    }), {
+      attachments: [createCalendarAttachment('booking.ics', bookingToEvent(booking))],
+      phone: getContactPhone(booking)
+    });
   } catch (error) {
-    console.error('Error sending booking notification:', error);
-    throw new Error('Gagal mengirim notifikasi email');
+    console.error('Error sending waitlist promotion email:', error);
+    throw new Error('Gagal mengirim notifikasi');
   }
 };
 
@@ -214,12 +272,6 @@ const sendBookingNotification = async (booking, status) => {
  * Mengirim notifikasi status tur perpustakaan.
  */
 const sendTourNotification = async (tour, status) => {
-    // Skip email sending if disabled
-    if (process.env.DISABLE_EMAIL === 'true') {
-        console.log('Email sending disabled - skipping tour notification');
-        return;
-    }
-
     // Validasi data tour dan userId
     if (!tour || !tour.userId) {
         console.error('Error: Tour or userId is missing for tour:', tour?._id || 'unknown');
@@ -233,82 +285,88 @@ const sendTourNotification = async (tour, status) => {
         throw new Error('Email pengguna tidak ditemukan');
     }
 
-    let statusText, statusColor, message;
-    switch (status) {
-        case 'approved':
-            statusText = 'DISETUJUI'; statusColor = '#10b981';
-            message = 'Selamat! Pengajuan tur perpustakaan Anda telah disetujui.'; break;
-        case 'rejected':
-            statusText = 'DITOLAK'; statusColor = '#ef4444';
-            message = 'Mohon maaf, pengajuan tur perpustakaan Anda tidak dapat disetujui.'; break;
-        case 'completed':
-            statusText = 'SELESAI'; statusColor = '#10b981';
-            message = 'Tur perpustakaan Anda telah selesai. Terima kasih atas kunjungan Anda.'; break;
-        default:
-            statusText = 'PENDING'; statusColor = '#f59e0b';
-            message = 'Pengajuan tur perpustakaan Anda sedang diproses.';
-    }
-
-    const userName = tour.userId.name || 'Pengguna';
-    const groupName = tour.groupName || 'Tidak disebutkan';
-    const participants = tour.numberOfParticipants || 0;
-
-    const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Update Status Tur - PerpusBooking</title>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; }
-        .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; }
-        .content { padding: 20px; }
-        .status-badge { display: inline-block; padding: 8px 16px; border-radius: 20px; color: white; font-weight: bold; background-color: ${statusColor}; }
-        .tour-details { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
-        .detail-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
-        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header"><h1>PerpusBooking</h1><h2>Update Status Tur</h2></div>
-        <div class="content">
-          <p>Halo ${userName},</p>
-          <p>${message}</p>
-          <div style="text-align: center; margin: 20px 0;"><span class="status-badge">${statusText}</span></div>
-          <div class="tour-details">
-            <h3>Detail Tur:</h3>
-            <div class="detail-row"><strong>Nama Kelompok:</strong><span>${groupName}</span></div>
-            <div class="detail-row"><strong>Jumlah Peserta:</strong><span>${participants} orang</span></div>
-            <div class="detail-row"><strong>Tanggal:</strong><span>${formatDate(tour.tourDate)}</span></div>
-            <div class="detail-row"><strong>Waktu:</strong><span>${formatTime(tour.startTime)}</span></div>
-            ${tour.adminNote ? `<div class="detail-row"><strong>Catatan Admin:</strong><span>${tour.adminNote}</span></div>` : ''}
-          </div>
-        </div>
-        <div class="footer"><p>&copy; ${new Date().getFullYear()} PerpusBooking - Pustaka Wilayah Aceh</p></div>
-      </div>
-    </body>
-    </html>
-    `;
-
-    const mailOptions = {
-        from: `PerpusBooking <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-        to: recipientEmail,
-        subject: `Update Status Tur Perpustakaan - ${statusText}`,
-        html: htmlContent
-    };
-
     try {
-        await sendGridAPI(mailOptions);
-        console.log(`Tour notification sent to ${recipientEmail}`);
+        await sendNotification('tour_notification', tour.userId, (language) => ({
+            user: { name: tour.userId.name || 'Pengguna', email: recipientEmail },
+            tour: getTourData(tour, language),
+            status: getStatusData(TOUR_STATUS_TEXT, status, language)
+        }), {
+            attachments: [createCalendarAttachment('tour.ics', tourToEvent(tour))],
+            phone: getContactPhone(tour)
+        });
     } catch (error) {
         console.error('Error sending tour notification:', error);
-        console.error('Mail options:', mailOptions);
-        throw new Error('Gagal mengirim notifikasi email');
+        throw new Error('Gagal mengirim notifikasi');
     }
 };
 
+/**
+ * Mengirim pengingat booking ruangan yang akan dimulai dalam hoursBefore jam.
+ * roomId harus di-populate (roomName, location, timezone).
+ */
+const sendBookingReminder = async (booking, hoursBefore) => {
+  try {
+    await sendNotification('booking_reminder', booking.userId, (language) => ({
+      user: { name: booking.userId.name, email: booking.userId.email },
+      booking: getBookingData(booking, language),
+      lead: formatReminderLead(hoursBefore, language),
+      cancelUrl: `${process.env.CLIENT_URL}/bookings/${booking._id}?action=cancel`
+    }), { phone: getContactPhone(booking) });
+  } catch (error) {
+    console.error('Error sending booking reminder:', error);
+    throw new Error('Gagal mengirim notifikasi');
+  }
+};
+
+/**
+ * Mengirim pengingat tur perpustakaan yang akan dimulai dalam hoursBefore jam.
+ */
+const sendTourReminder = async (tour, hoursBefore) => {
+  try {
+    await sendNotification('tour_reminder', tour.userId, (language) => ({
+      user: { name: tour.userId.name, email: tour.userId.email },
+      tour: getTourData(tour, language),
+      lead: formatReminderLead(hoursBefore, language),
+      cancelUrl: `${process.env.CLIENT_URL}/tours/${tour._id}?action=cancel`
+    }), { phone: getContactPhone(tour) });
+  } catch (error) {
+    console.error('Error sending tour reminder:', error);
+    throw new Error('Gagal mengirim notifikasi');
+  }
+};
+
+const REQUEST_TYPE_TEXT = {
+  id: { booking: 'peminjaman ruangan', tour: 'tur perpustakaan' },
+  en: { booking: 'room booking', tour: 'library tour' }
+};
+
+/**
+ * Meminta pengguna mengunggah dokumen pengganti untuk booking atau tur (kind).
+ * Untuk booking, roomId harus di-populate (roomName, location, timezone).
+ */
+const sendDocumentRevisionNotification = async (kind, request) => {
+  try {
+    await sendNotification('document_revision', request.userId, (language) => {
+      const details = kind === 'booking' ? getBookingData(request, language) : getTourData(request, language);
+
+      return {
+        user: { name: request.userId.name, email: request.userId.email },
+        request: {
+          type: REQUEST_TYPE_TEXT[language][kind],
+          name: kind === 'booking' ? details.activityName : details.groupName,
+          date: details.date,
+          time: details.time
+        },
+        note: request.documentReview.note,
+        uploadUrl: `${process.env.CLIENT_URL}/${kind}s/${request._id}?action=upload-document`
+      };
+    }, { phone: getContactPhone(request) });
+  } catch (error) {
+    console.error('Error sending document revision notification:', error);
+    throw new Error('Gagal mengirim notifikasi');
+  }
+};
+
 /**
  * Mengirim email untuk reset password.
  */
@@ -319,49 +377,14 @@ const sendPasswordResetEmail = async (user, resetToken) => {
     return;
   }
 
-  const resetUrl = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}&email=${user.email}`;
-  
-  const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Reset Password - PerpusBooking</title>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; }
-        .header { background-color: #ef4444; color: white; padding: 20px; text-align: center; }
-        .content { padding: 20px; }
-        .button { display: inline-block; background-color: #ef4444; color: white !important; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header"><h1>PerpusBooking</h1><h2>Reset Password</h2></div>
-        <div class="content">
-          <p>Halo ${user.name},</p>
-          <p>Kami menerima permintaan reset password. Klik tombol di bawah untuk melanjutkan:</p>
-          <div style="text-align: center;"><a href="${resetUrl}" class="button">Reset Password</a></div>
-          <p>Link ini hanya berlaku selama 10 menit.</p>
-          <p>Jika Anda tidak meminta reset password, abaikan email ini.</p>
-        </div>
-        <div class="footer"><p>&copy; ${new Date().getFullYear()} PerpusBooking - Pustaka Wilayah Aceh</p></div>
-      </div>
-    </body>
-    </html>
-  `;
-
-  const mailOptions = {
-    from: `PerpusBooking <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-    to: user.email,
-    subject: 'Reset Password - PerpusBooking',
-    html: htmlContent
-  };
-
   try {
-    await sendGridAPI(mailOptions);
-    console.log(`Password reset email sent to ${user.email}`);
+    const { subject, html } = await renderEmail('password_reset', await getUserLanguage(user), {
+      user: { name: user.name, email: user.email },
+      resetUrl: `${process.env.CLIENT_URL}/reset-password?token=${resetToken}&email=${user.email}`
+    });
+
+    await queueEmail({ from: getSender(), to: user.email, subject, html }, { type: 'password_reset', sensitive: true });
+    console.log(`Password reset email queued for ${user.email}`);
   } catch (error) {
     console.error('Error sending password reset email:', error);
     throw new Error('Gagal mengirim email reset password');
@@ -372,46 +395,14 @@ const sendPasswordResetEmail = async (user, resetToken) => {
  * Mengirim email selamat datang setelah verifikasi berhasil.
  */
 const sendWelcomeEmail = async (user) => {
-    const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Selamat Datang - PerpusBooking</title>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; }
-        .header { background-color: #10b981; color: white; padding: 20px; text-align: center; }
-        .content { padding: 20px; }
-        .button { display: inline-block; background-color: #2563eb; color: white !important; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header"><h1>🎉 Selamat Datang di PerpusBooking!</h1></div>
-        <div class="content">
-          <p>Halo ${user.name},</p>
-          <p>Selamat! Akun Anda telah berhasil diverifikasi dan sekarang sudah aktif. Anda bisa mulai melakukan peminjaman ruangan atau menjadwalkan tur perpustakaan.</p>
-          <div style="text-align: center;"><a href="${process.env.CLIENT_URL}/dashboard" class="button">Mulai Booking</a></div>
-          <p>Terima kasih telah bergabung!</p>
-        </div>
-        <div class="footer"><p>&copy; ${new Date().getFullYear()} PerpusBooking - Pustaka Wilayah Aceh</p></div>
-      </div>
-    </body>
-    </html>
-    `;
-
-    const mailOptions = {
-        from: `PerpusBooking <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-        to: user.email,
-        subject: '🎉 Selamat Datang di PerpusBooking!',
-        html: htmlContent
-    };
-
     try {
-        await sendGridAPI(mailOptions);
-        console.log(`Welcome email sent to ${user.email}`);
+        const { subject, html } = await renderEmail('welcome', await getUserLanguage(user), {
+            user: { name: user.name, email: user.email },
+            dashboardUrl: `${process.env.CLIENT_URL}/dashboard`
+        });
+
+        await queueEmail({ from: getSender(), to: user.email, subject, html }, { type: 'welcome' });
+        console.log(`Welcome email queued for ${user.email}`);
     } catch (error) {
         // Pengiriman email selamat datang tidak kritis, jadi kita hanya log error
         console.error('Error sending welcome email:', error);
@@ -419,35 +410,17 @@ const sendWelcomeEmail = async (user) => {
 };
 
 /**
- * Memverifikasi koneksi ke SendGrid API.
+ * Memverifikasi transport email yang aktif (SendGrid, SMTP, file, atau console).
  */
 const testEmailConnection = async () => {
-  try {
-    const apiKey = process.env.SENDGRID_API_KEY || process.env.EMAIL_PASS;
+  const { transport } = describeTransport();
 
-    if (!apiKey || !apiKey.startsWith('SG.')) {
-      console.error('SendGrid API key not configured');
-      return false;
-    }
-
-    // Test API key validity by making a small request
-    const response = await fetch('https://api.sendgrid.com/v3/user/account', {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      }
-    });
-
-    if (response.ok) {
-      console.log('SendGrid API connection is valid and ready.');
-      return true;
-    } else {
-      console.error('SendGrid API key invalid:', response.status, await response.text());
-      return false;
-    }
+  try {
+    await verifyTransport();
+    console.log(`Email transport "${transport}" is valid and ready.`);
+    return true;
   } catch (error) {
-    console.error('SendGrid API connection error:', error);
+    console.error(`Email transport "${transport}" error:`, error.message);
     return false;
   }
 };
@@ -456,8 +429,12 @@ const testEmailConnection = async () => {
 module.exports = {
   sendVerificationEmail,
   sendBookingNotification,
+  sendWaitlistPromotionEmail,
   sendTourNotification,
+  sendBookingReminder,
+  sendTourReminder,
+  sendDocumentRevisionNotification,
   sendPasswordResetEmail,
   sendWelcomeEmail,
   testEmailConnection
-};
\ No newline at end of file
+};
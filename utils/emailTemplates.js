@@ -0,0 +1,541 @@
+// utils/emailTemplates.js - Email and text message templates in Indonesian and English
+// Each template has a built-in default; admins can override the subject, heading and
+// body per language (models/EmailTemplate.js) without a redeploy. Templates sent as
+// SMS/WhatsApp as well also have a short plain-text version (text) that uses the same
+// placeholders as the email.
+//
+// Placeholders:
+//   {{booking.roomName}}            value, HTML-escaped
+//   {{#booking.adminNote}}...{{/booking.adminNote}}   section, only rendered when the value is set
+// The body is placed inside a shared layout with the PerpusBooking header and footer.
+// Text messages are not escaped.
+const EmailTemplate = require('../models/EmailTemplate');
+
+const LANGUAGES = ['id', 'en'];
+const DEFAULT_LANGUAGE = 'id';
+
+const DETAIL_ROW = (label, value) =>
+  `<div class="detail-row"><strong>${label}:</strong><span>${value}</span></div>`;
+
+const BUTTON = (url, label, color = '#2563eb') =>
+  `<div style="text-align: center;"><a href="${url}" class="button" style="background-color: ${color};">${label}</a></div>`;
+
+const STATUS_BADGE = '<div style="text-align: center; margin: 20px 0;"><span class="status-badge" style="background-color: {{status.color}};">{{status.label}}</span></div>';
+
+const SAMPLE_USER = { name: 'Budi Santoso', email: 'budi@example.com' };
+
+const SAMPLE_BOOKING = {
+  activityName: 'Rapat Koordinasi Komunitas Literasi',
+  roomName: 'Ruang Diskusi 1',
+  location: 'Lantai 2, Pustaka Wilayah Aceh',
+  date: 'Senin, 6 Oktober 2025',
+  time: '09.00 - 11.00',
+  contactPerson: 'Budi Santoso (081234567890)',
+  adminNote: 'Harap membawa surat pengantar asli.'
+};
+
+const SAMPLE_TOUR = {
+  groupName: 'SMA Negeri 1 Banda Aceh',
+  participants: 30,
+  date: 'Selasa, 7 Oktober 2025',
+  time: '10.00',
+  duration: 60,
+  meetingPoint: 'Pustaka Wilayah Aceh',
+  contactPerson: 'Siti Aminah (081298765432)',
+  guide: 'Rahmat',
+  adminNote: 'Rombongan diharap hadir 10 menit lebih awal.'
+};
+
+const SAMPLE_STATUS = { label: 'DISETUJUI', color: '#10b981', message: 'Selamat! Pengajuan Anda telah disetujui.' };
+
+const TEMPLATES = {
+  verification: {
+    description: 'Verifikasi email setelah pendaftaran',
+    headerColor: '#2563eb',
+    sample: { user: SAMPLE_USER, verificationUrl: 'https://perpusbooking.example/verify-email?token=contoh' },
+    id: {
+      subject: 'Verifikasi Email - PerpusBooking',
+      heading: 'Verifikasi Email Anda',
+      body: `<p>Halo {{user.name}},</p>
+<p>Terima kasih telah mendaftar. Untuk mengaktifkan akun Anda, silakan klik tombol di bawah ini:</p>
+${BUTTON('{{verificationUrl}}', 'Verifikasi Email')}
+<p>Link ini akan kedaluwarsa dalam 24 jam.</p>
+<p>Jika Anda tidak mendaftar, abaikan email ini.</p>`
+    },
+    en: {
+      subject: 'Verify Your Email - PerpusBooking',
+      heading: 'Verify Your Email',
+      body: `<p>Hello {{user.name}},</p>
+<p>Thank you for registering. To activate your account, please click the button below:</p>
+${BUTTON('{{verificationUrl}}', 'Verify Email')}
+<p>This link expires in 24 hours.</p>
+<p>If you did not register, please ignore this email.</p>`
+    }
+  },
+
+  booking_notification: {
+    description: 'Perubahan status booking ruangan',
+    headerColor: '#2563eb',
+    sample: { user: SAMPLE_USER, booking: SAMPLE_BOOKING, status: SAMPLE_STATUS },
+    id: {
+      subject: 'Update Status Peminjaman - {{status.label}}',
+      text: 'PerpusBooking: Booking "{{booking.activityName}}" di {{booking.roomName}} pada {{booking.date}} pukul {{booking.time}} {{status.label}}.{{#booking.adminNote}} Catatan: {{booking.adminNote}}{{/booking.adminNote}}',
+      heading: 'Update Status Peminjaman',
+      body: `<p>Halo {{user.name}},</p>
+<p>{{status.message}}</p>
+${STATUS_BADGE}
+<div class="details">
+  <h3>Detail Peminjaman:</h3>
+  ${DETAIL_ROW('Nama Kegiatan', '{{booking.activityName}}')}
+  ${DETAIL_ROW('Ruangan', '{{booking.roomName}}')}
+  ${DETAIL_ROW('Tanggal', '{{booking.date}}')}
+  ${DETAIL_ROW('Waktu', '{{booking.time}}')}
+  {{#booking.adminNote}}${DETAIL_ROW('Catatan Admin', '{{booking.adminNote}}')}{{/booking.adminNote}}
+</div>`
+    },
+    en: {
+      subject: 'Booking Status Update - {{status.label}}',
+      text: 'PerpusBooking: Your booking "{{booking.activityName}}" in {{booking.roomName}} on {{booking.date}} at {{booking.time}} is {{status.label}}.{{#booking.adminNote}} Note: {{booking.adminNote}}{{/booking.adminNote}}',
+      heading: 'Booking Status Update',
+      body: `<p>Hello {{user.name}},</p>
+<p>{{status.message}}</p>
+${STATUS_BADGE}
+<div class="details">
+  <h3>Booking Details:</h3>
+  ${DETAIL_ROW('Activity', '{{booking.activityName}}')}
+  ${DETAIL_ROW('Room', '{{booking.roomName}}')}
+  ${DETAIL_ROW('Date', '{{booking.date}}')}
+  ${DETAIL_ROW('Time', '{{booking.time}}')}
+  {{#booking.adminNote}}${DETAIL_ROW('Admin Note', '{{booking.adminNote}}')}{{/booking.adminNote}}
+</div>`
+    }
+  },
+
+  waitlist_promotion: {
+    description: 'Slot dari daftar tunggu tersedia dan booking otomatis diajukan',
+    headerColor: '#2563eb',
+    sample: { user: SAMPLE_USER, booking: SAMPLE_BOOKING, dashboardUrl: 'https://perpusbooking.example/dashboard' },
+    id: {
+      subject: 'Slot Ruangan Tersedia - PerpusBooking',
+      text: 'PerpusBooking: Slot {{booking.roomName}} pada {{booking.date}} pukul {{booking.time}} kini tersedia. Permintaan daftar tunggu Anda telah diajukan sebagai booking dan menunggu persetujuan.',
+      heading: 'Slot Ruangan Tersedia',
+      body: `<p>Halo {{user.name}},</p>
+<p>Kabar baik! Slot ruangan yang Anda tunggu kini tersedia. Permintaan Anda dari daftar tunggu telah otomatis diajukan sebagai booking dan sedang menunggu persetujuan admin.</p>
+<div class="details">
+  <h3>Detail Peminjaman:</h3>
+  ${DETAIL_ROW('Nama Kegiatan', '{{booking.activityName}}')}
+  ${DETAIL_ROW('Ruangan', '{{booking.roomName}}')}
+  ${DETAIL_ROW('Tanggal', '{{booking.date}}')}
+  ${DETAIL_ROW('Waktu', '{{booking.time}}')}
+</div>
+<p>Jika Anda tidak lagi membutuhkan ruangan ini, silakan batalkan booking melalui dashboard.</p>
+${BUTTON('{{dashboardUrl}}', 'Lihat Booking')}`
+    },
+    en: {
+      subject: 'Room Slot Available - PerpusBooking',
+      text: 'PerpusBooking: The {{booking.roomName}} slot on {{booking.date}} at {{booking.time}} is now available. Your waitlist request was submitted as a booking and awaits approval.',
+      heading: 'Room Slot Available',
+      body: `<p>Hello {{user.name}},</p>
+<p>Good news! The room slot you were waiting for is now available. Your waitlist request has been submitted as a booking and is awaiting admin approval.</p>
+<div class="details">
+  <h3>Booking Details:</h3>
+  ${DETAIL_ROW('Activity', '{{booking.activityName}}')}
+  ${DETAIL_ROW('Room', '{{booking.roomName}}')}
+  ${DETAIL_ROW('Date', '{{booking.date}}')}
+  ${DETAIL_ROW('Time', '{{booking.time}}')}
+</div>
+<p>If you no longer need this room, please cancel the booking from your dashboard.</p>
+${BUTTON('{{dashboardUrl}}', 'View Booking')}`
+    }
+  },
+
+  tour_notification: {
+    description: 'Perubahan status pengajuan tur',
+    headerColor: '#2563eb',
+    sample: { user: SAMPLE_USER, tour: SAMPLE_TOUR, status: SAMPLE_STATUS },
+    id: {
+      subject: 'Update Status Tur Perpustakaan - {{status.label}}',
+      text: 'PerpusBooking: Tur perpustakaan {{tour.groupName}} pada {{tour.date}} pukul {{tour.time}} {{status.label}}.{{#tour.adminNote}} Catatan: {{tour.adminNote}}{{/tour.adminNote}}',
+      heading: 'Update Status Tur',
+      body: `<p>Halo {{user.name}},</p>
+<p>{{status.message}}</p>
+${STATUS_BADGE}
+<div class="details">
+  <h3>Detail Tur:</h3>
+  ${DETAIL_ROW('Nama Kelompok', '{{tour.groupName}}')}
+  ${DETAIL_ROW('Jumlah Peserta', '{{tour.participants}} orang')}
+  ${DETAIL_ROW('Tanggal', '{{tour.date}}')}
+  ${DETAIL_ROW('Waktu', '{{tour.time}}')}
+  {{#tour.adminNote}}${DETAIL_ROW('Catatan Admin', '{{tour.adminNote}}')}{{/tour.adminNote}}
+</div>`
+    },
+    en: {
+      subject: 'Library Tour Status Update - {{status.label}}',
+      text: 'PerpusBooking: The library tour for {{tour.groupName}} on {{tour.date}} at {{tour.time}} is {{status.label}}.{{#tour.adminNote}} Note: {{tour.adminNote}}{{/tour.adminNote}}',
+      heading: 'Tour Status Update',
+      body: `<p>Hello {{user.name}},</p>
+<p>{{status.message}}</p>
+${STATUS_BADGE}
+<div class="details">
+  <h3>Tour Details:</h3>
+  ${DETAIL_ROW('Group', '{{tour.groupName}}')}
+  ${DETAIL_ROW('Participants', '{{tour.participants}} people')}
+  ${DETAIL_ROW('Date', '{{tour.date}}')}
+  ${DETAIL_ROW('Time', '{{tour.time}}')}
+  {{#tour.adminNote}}${DETAIL_ROW('Admin Note', '{{tour.adminNote}}')}{{/tour.adminNote}}
+</div>`
+    }
+  },
+
+  booking_reminder: {
+    description: 'Pengingat sebelum booking dimulai',
+    headerColor: '#2563eb',
+    sample: { user: SAMPLE_USER, booking: SAMPLE_BOOKING, lead: '24 jam', cancelUrl: 'https://perpusbooking.example/bookings/contoh?action=cancel' },
+    id: {
+      subject: 'Pengingat: Booking {{booking.roomName}} dimulai dalam {{lead}} - PerpusBooking',
+      text: 'PerpusBooking: Pengingat, booking "{{booking.activityName}}" di {{booking.roomName}} dimulai dalam {{lead}} ({{booking.date}}, {{booking.time}}). Batalkan jika tidak jadi: {{cancelUrl}}',
+      heading: 'Pengingat Booking',
+      body: `<p>Halo {{user.name}},</p>
+<p>Ini adalah pengingat bahwa peminjaman ruang Anda akan dimulai dalam {{lead}}.</p>
+<div class="details">
+  <h3>Detail Peminjaman:</h3>
+  ${DETAIL_ROW('Nama Kegiatan', '{{booking.activityName}}')}
+  ${DETAIL_ROW('Ruangan', '{{booking.roomName}}')}
+  ${DETAIL_ROW('Lokasi', '{{booking.location}}')}
+  ${DETAIL_ROW('Tanggal', '{{booking.date}}')}
+  ${DETAIL_ROW('Waktu', '{{booking.time}}')}
+  ${DETAIL_ROW('Penanggung Jawab', '{{booking.contactPerson}}')}
+</div>
+<p>Mohon datang tepat waktu dan lakukan check-in di meja layanan. Jika Anda batal menggunakan ruangan, batalkan booking agar ruangan dapat digunakan orang lain.</p>
+${BUTTON('{{cancelUrl}}', 'Batalkan Booking', '#dc2626')}
+<p style="font-size: 12px; color: #666;">Tidak ingin menerima pengingat untuk booking ini? Nonaktifkan pengingat pada detail booking.</p>`
+    },
+    en: {
+      subject: 'Reminder: {{booking.roomName}} booking starts in {{lead}} - PerpusBooking',
+      text: 'PerpusBooking: Reminder, your booking "{{booking.activityName}}" in {{booking.roomName}} starts in {{lead}} ({{booking.date}}, {{booking.time}}). Cancel if plans change: {{cancelUrl}}',
+      heading: 'Booking Reminder',
+      body: `<p>Hello {{user.name}},</p>
+<p>This is a reminder that your room booking starts in {{lead}}.</p>
+<div class="details">
+  <h3>Booking Details:</h3>
+  ${DETAIL_ROW('Activity', '{{booking.activityName}}')}
+  ${DETAIL_ROW('Room', '{{booking.roomName}}')}
+  ${DETAIL_ROW('Location', '{{booking.location}}')}
+  ${DETAIL_ROW('Date', '{{booking.date}}')}
+  ${DETAIL_ROW('Time', '{{booking.time}}')}
+  ${DETAIL_ROW('Contact Person', '{{booking.contactPerson}}')}
+</div>
+<p>Please arrive on time and check in at the service desk. If you no longer need the room, cancel the booking so others can use it.</p>
+${BUTTON('{{cancelUrl}}', 'Cancel Booking', '#dc2626')}
+<p style="font-size: 12px; color: #666;">Don't want reminders for this booking? Turn them off in the booking details.</p>`
+    }
+  },
+
+  tour_reminder: {
+    description: 'Pengingat sebelum tur dimulai',
+    headerColor: '#2563eb',
+    sample: { user: SAMPLE_USER, tour: SAMPLE_TOUR, lead: '24 jam', cancelUrl: 'https://perpusbooking.example/tours/contoh?action=cancel' },
+    id: {
+      subject: 'Pengingat: Tur perpustakaan dimulai dalam {{lead}} - PerpusBooking',
+      text: 'PerpusBooking: Pengingat, tur perpustakaan {{tour.groupName}} dimulai dalam {{lead}} ({{tour.date}}, {{tour.time}}) di {{tour.meetingPoint}}. Mohon hadir 10 menit lebih awal.',
+      heading: 'Pengingat Tur',
+      body: `<p>Halo {{user.name}},</p>
+<p>Ini adalah pengingat bahwa tur perpustakaan Anda akan dimulai dalam {{lead}}.</p>
+<div class="details">
+  <h3>Detail Tur:</h3>
+  ${DETAIL_ROW('Nama Kelompok', '{{tour.groupName}}')}
+  ${DETAIL_ROW('Jumlah Peserta', '{{tour.participants}} orang')}
+  ${DETAIL_ROW('Tanggal', '{{tour.date}}')}
+  ${DETAIL_ROW('Waktu', '{{tour.time}} ({{tour.duration}} menit)')}
+  ${DETAIL_ROW('Titik Kumpul', '{{tour.meetingPoint}}')}
+  ${DETAIL_ROW('Penanggung Jawab', '{{tour.contactPerson}}')}
+  {{#tour.guide}}${DETAIL_ROW('Pemandu', '{{tour.guide}}')}{{/tour.guide}}
+</div>
+<p>Mohon rombongan hadir 10 menit sebelum tur dimulai. Jika rombongan batal berkunjung, batalkan tur agar jadwal dapat digunakan kelompok lain.</p>
+${BUTTON('{{cancelUrl}}', 'Batalkan Tur', '#dc2626')}
+<p style="font-size: 12px; color: #666;">Tidak ingin menerima pengingat untuk tur ini? Nonaktifkan pengingat pada detail tur.</p>`
+    },
+    en: {
+      subject: 'Reminder: Library tour starts in {{lead}} - PerpusBooking',
+      text: 'PerpusBooking: Reminder, the library tour for {{tour.groupName}} starts in {{lead}} ({{tour.date}}, {{tour.time}}) at {{tour.meetingPoint}}. Please arrive 10 minutes early.',
+      heading: 'Tour Reminder',
+      body: `<p>Hello {{user.name}},</p>
+<p>This is a reminder that your library tour starts in {{lead}}.</p>
+<div class="details">
+  <h3>Tour Details:</h3>
+  ${DETAIL_ROW('Group', '{{tour.groupName}}')}
+  ${DETAIL_ROW('Participants', '{{tour.participants}} people')}
+  ${DETAIL_ROW('Date', '{{tour.date}}')}
+  ${DETAIL_ROW('Time', '{{tour.time}} ({{tour.duration}} minutes)')}
+  ${DETAIL_ROW('Meeting Point', '{{tour.meetingPoint}}')}
+  ${DETAIL_ROW('Contact Person', '{{tour.contactPerson}}')}
+  {{#tour.guide}}${DETAIL_ROW('Guide', '{{tour.guide}}')}{{/tour.guide}}
+</div>
+<p>Please have the group arrive 10 minutes before the tour starts. If the group can no longer visit, cancel the tour so the slot can go to another group.</p>
+${BUTTON('{{cancelUrl}}', 'Cancel Tour', '#dc2626')}
+<p style="font-size: 12px; color: #666;">Don't want reminders for this tour? Turn them off in the tour details.</p>`
+    }
+  },
+
+  document_revision: {
+    description: 'Dokumen pengantar booking atau tur perlu diperbaiki',
+    headerColor: '#f59e0b',
+    sample: {
+      user: SAMPLE_USER,
+      request: { type: 'peminjaman ruangan', name: SAMPLE_BOOKING.activityName, date: SAMPLE_BOOKING.date, time: SAMPLE_BOOKING.time },
+      note: 'Surat pengantar belum ditandatangani dan distempel.',
+      uploadUrl: 'https://perpusbooking.example/bookings/contoh?action=upload-document'
+    },
+    id: {
+      subject: 'Dokumen Perlu Diperbaiki - PerpusBooking',
+      text: 'PerpusBooking: Dokumen {{request.type}} "{{request.name}}" pada {{request.date}} perlu diperbaiki.{{#note}} Catatan: {{note}}{{/note}} Unggah dokumen pengganti: {{uploadUrl}}',
+      heading: 'Dokumen Perlu Diperbaiki',
+      body: `<p>Halo {{user.name}},</p>
+<p>Dokumen pengantar untuk pengajuan {{request.type}} Anda telah ditinjau dan perlu diperbaiki sebelum pengajuan dapat diproses lebih lanjut.</p>
+<div class="details">
+  <h3>Detail Pengajuan:</h3>
+  ${DETAIL_ROW('Pengajuan', '{{request.name}}')}
+  ${DETAIL_ROW('Tanggal', '{{request.date}}')}
+  ${DETAIL_ROW('Waktu', '{{request.time}}')}
+  {{#note}}${DETAIL_ROW('Catatan Peninjau', '{{note}}')}{{/note}}
+</div>
+<p>Silakan unggah dokumen pengganti tanpa perlu mengubah data pengajuan lainnya.</p>
+${BUTTON('{{uploadUrl}}', 'Unggah Dokumen Pengganti', '#f59e0b')}`
+    },
+    en: {
+      subject: 'Document Needs Revision - PerpusBooking',
+      text: 'PerpusBooking: The document for your {{request.type}} "{{request.name}}" on {{request.date}} needs revision.{{#note}} Note: {{note}}{{/note}} Upload a replacement: {{uploadUrl}}',
+      heading: 'Document Needs Revision',
+      body: `<p>Hello {{user.name}},</p>
+<p>The supporting document for your {{request.type}} request has been reviewed and needs to be revised before the request can proceed.</p>
+<div class="details">
+  <h3>Request Details:</h3>
+  ${DETAIL_ROW('Request', '{{request.name}}')}
+  ${DETAIL_ROW('Date', '{{request.date}}')}
+  ${DETAIL_ROW('Time', '{{request.time}}')}
+  {{#note}}${DETAIL_ROW('Reviewer Note', '{{note}}')}{{/note}}
+</div>
+<p>Please upload a replacement document; the rest of your request stays unchanged.</p>
+${BUTTON('{{uploadUrl}}', 'Upload Replacement Document', '#f59e0b')}`
+    }
+  },
+
+  password_reset: {
+    description: 'Tautan reset password',
+    headerColor: '#ef4444',
+    sample: { user: SAMPLE_USER, resetUrl: 'https://perpusbooking.example/reset-password?token=contoh' },
+    id: {
+      subject: 'Reset Password - PerpusBooking',
+      heading: 'Reset Password',
+      body: `<p>Halo {{user.name}},</p>
+<p>Kami menerima permintaan reset password. Klik tombol di bawah untuk melanjutkan:</p>
+${BUTTON('{{resetUrl}}', 'Reset Password', '#ef4444')}
+<p>Link ini hanya berlaku selama 10 menit.</p>
+<p>Jika Anda tidak meminta reset password, abaikan email ini.</p>`
+    },
+    en: {
+      subject: 'Reset Password - PerpusBooking',
+      heading: 'Reset Password',
+      body: `<p>Hello {{user.name}},</p>
+<p>We received a request to reset your password. Click the button below to continue:</p>
+${BUTTON('{{resetUrl}}', 'Reset Password', '#ef4444')}
+<p>This link is only valid for 10 minutes.</p>
+<p>If you did not request a password reset, please ignore this email.</p>`
+    }
+  },
+
+  welcome: {
+    description: 'Selamat datang setelah akun terverifikasi',
+    headerColor: '#10b981',
+    sample: { user: SAMPLE_USER, dashboardUrl: 'https://perpusbooking.example/dashboard' },
+    id: {
+      subject: '🎉 Selamat Datang di PerpusBooking!',
+      heading: '🎉 Selamat Datang di PerpusBooking!',
+      body: `<p>Halo {{user.name}},</p>
+<p>Selamat! Akun Anda telah berhasil diverifikasi dan sekarang sudah aktif. Anda bisa mulai melakukan peminjaman ruangan atau menjadwalkan tur perpustakaan.</p>
+${BUTTON('{{dashboardUrl}}', 'Mulai Booking')}
+<p>Terima kasih telah bergabung!</p>`
+    },
+    en: {
+      subject: '🎉 Welcome to PerpusBooking!',
+      heading: '🎉 Welcome to PerpusBooking!',
+      body: `<p>Hello {{user.name}},</p>
+<p>Congratulations! Your account has been verified and is now active. You can start booking rooms or scheduling library tours.</p>
+${BUTTON('{{dashboardUrl}}', 'Start Booking')}
+<p>Thank you for joining!</p>`
+    }
+  }
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const getValue = (data, placeholder) => {
+  return placeholder.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+// Placeholder paths available in a template, derived from its sample data
+const getPlaceholders = (key) => {
+  const collect = (value, prefix) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.keys(value).flatMap(child => collect(value[child], prefix ? `${prefix}.${child}` : child));
+    }
+    return [prefix];
+  };
+  return collect(TEMPLATES[key].sample, '');
+};
+
+/**
+ * Replace sections and placeholders in a template string.
+ * Values are HTML-escaped unless escape is false; missing values render as an empty string.
+ */
+const renderString = (template, data, escape = true) => {
+  return template
+    .replace(/\{\{#\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (match, placeholder, content) =>
+      (isPresent(getValue(data, placeholder)) ? content : '')
+    )
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, placeholder) => {
+      const value = getValue(data, placeholder);
+      if (!isPresent(value)) {
+        return '';
+      }
+      return escape ? escapeHtml(value) : String(value);
+    });
+};
+
+// Text messages are a single line
+const renderPlainText = (template, data) => renderString(template, data, false).replace(/\s+/g, ' ').trim();
+
+/**
+ * Check a template text for placeholders the template does not provide and unclosed sections.
+ * Returns an error message, or null when the text is valid.
+ */
+const validateTemplateText = (key, text) => {
+  const placeholders = getPlaceholders(key);
+  const used = [...text.matchAll(/\{\{\s*[#/]?\s*([\w.]+)\s*\}\}/g)].map(match => match[1]);
+  const unknown = [...new Set(used.filter(placeholder => !placeholders.includes(placeholder)))];
+
+  if (unknown.length > 0) {
+    return `Placeholder tidak dikenal: ${unknown.map(placeholder => `{{${placeholder}}}`).join(', ')}`;
+  }
+
+  const opened = [...text.matchAll(/\{\{#\s*([\w.]+)\s*\}\}/g)].length;
+  const closed = [...text.matchAll(/\{\{\/\s*([\w.]+)\s*\}\}/g)].length;
+  if (opened !== closed) {
+    return 'Setiap bagian {{#...}} harus ditutup dengan {{/...}}';
+  }
+
+  return null;
+};
+
+// Shared layout around every email body
+const renderLayout = ({ title, heading, body, headerColor }) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+      .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; }
+      .header { background-color: ${headerColor}; color: white; padding: 20px; text-align: center; }
+      .content { padding: 20px; }
+      .status-badge { display: inline-block; padding: 8px 16px; border-radius: 20px; color: white; font-weight: bold; }
+      .details { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
+      .detail-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
+      .button { display: inline-block; color: white !important; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+      .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header"><h1>PerpusBooking</h1>${heading ? `<h2>${heading}</h2>` : ''}</div>
+      <div class="content">
+        ${body}
+      </div>
+      <div class="footer"><p>&copy; ${new Date().getFullYear()} PerpusBooking - Pustaka Wilayah Aceh</p></div>
+    </div>
+  </body>
+  </html>
+  `;
+
+const isValidTemplate = (key) => Object.prototype.hasOwnProperty.call(TEMPLATES, key);
+
+// Whether a template can also be sent as a text message
+const hasTextVersion = (key) => Boolean(TEMPLATES[key][DEFAULT_LANGUAGE].text);
+
+const normalizeLanguage = (language) => (LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE);
+
+/**
+ * Template text for a key and language: the admin-edited version when there is one,
+ * otherwise the built-in default. Adds customized: true|false. An edited template
+ * without its own text message keeps the built-in one.
+ */
+const getTemplate = async (key, language) => {
+  const lang = normalizeLanguage(language);
+  const custom = await EmailTemplate.findOne({ key, language: lang });
+
+  if (custom) {
+    return {
+      subject: custom.subject,
+      heading: custom.heading || '',
+      body: custom.body,
+      text: custom.text || TEMPLATES[key][lang].text,
+      customized: true,
+      updatedAt: custom.updatedAt
+    };
+  }
+
+  return { ...TEMPLATES[key][lang], customized: false };
+};
+
+/**
+ * Render a template text ({ subject, heading, body, text }) with data.
+ * Returns { subject, html, text }; text is null without a text message version.
+ */
+const renderTemplate = (key, template, data) => {
+  // The subject is plain text; renderLayout escapes it for the <title>
+  const subject = renderString(template.subject, data, false);
+
+  return {
+    subject,
+    html: renderLayout({
+      title: subject,
+      heading: renderString(template.heading || '', data),
+      body: renderString(template.body, data),
+      headerColor: TEMPLATES[key].headerColor
+    }),
+    text: template.text ? renderPlainText(template.text, data) : null
+  };
+};
+
+/**
+ * Render the email and text message for a key in the recipient's language.
+ * Returns { subject, html, text }.
+ */
+const renderEmail = async (key, language, data) => {
+  const template = await getTemplate(key, language);
+  return renderTemplate(key, template, data);
+};
+
+module.exports = {
+  TEMPLATES,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isValidTemplate,
+  hasTextVersion,
+  normalizeLanguage,
+  getPlaceholders,
+  validateTemplateText,
+  getTemplate,
+  renderTemplate,
+  renderEmail
+};
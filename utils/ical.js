@@ -0,0 +1,225 @@
+// utils/ical.js - RFC 5545 iCalendar generation for bookings and tours
+
+const { LIBRARY_TIMEZONE } = require('./time');
+
+const PRODUCT_ID = '-//PerpusBooking//Pustaka Wilayah Aceh//ID';
+const UID_DOMAIN = 'perpusbooking';
+const LIBRARY_LOCATION = 'Pustaka Wilayah Aceh';
+
+// Format a date as UTC date-time (e.g. 20250930T090000Z)
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+      limit = 74; // Continuation lines start with a space
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Public feeds list approved items plus cancellations of formerly approved ones,
+// so subscribed calendars remove events that were already confirmed
+const PUBLIC_FEED_QUERY = {
+  $or: [
+    { status: { $in: ['approved', 'completed'] } },
+    { status: 'cancelled', 'statusHistory.status': 'approved' }
+  ]
+};
+
+// Days of past events kept in feeds, so recent changes still reach subscribers
+const FEED_HISTORY_DAYS = 90;
+
+// Earliest event date included in a feed
+const getFeedStartDate = (now = new Date()) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - FEED_HISTORY_DAYS);
+  return since;
+};
+
+// Map booking/tour status to VEVENT STATUS
+const toEventStatus = (status) => {
+  switch (status) {
+    case 'approved':
+    case 'completed':
+      return 'CONFIRMED';
+    case 'pending':
+      return 'TENTATIVE';
+    default:
+      return 'CANCELLED';
+  }
+};
+
+const buildEvent = ({ uid, start, end, summary, description, location, status, sequence, updatedAt }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(updatedAt)}`);
+
+  lines.push(`STATUS:${status}`);
+  lines.push(`SEQUENCE:${sequence || 0}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// Fields shared by the full and the public VEVENT of a booking
+const bookingEventFields = (booking) => {
+  const room = booking.roomId && booking.roomId.roomName ? booking.roomId : null;
+
+  return {
+    uid: `booking-${booking._id}@${UID_DOMAIN}`,
+    start: booking.startTime,
+    end: booking.endTime,
+    summary: `${booking.activityName} - ${room ? room.roomName : 'Ruangan'}`,
+    location: room ? [room.roomName, room.location, LIBRARY_LOCATION].filter(Boolean).join(', ') : LIBRARY_LOCATION,
+    status: toEventStatus(booking.status),
+    sequence: booking.statusHistory ? booking.statusHistory.length : 0,
+    updatedAt: booking.updatedAt
+  };
+};
+
+// Fields shared by the full and the public VEVENT of a tour
+const tourEventFields = (tour) => {
+  const start = new Date(tour.startTime);
+
+  return {
+    uid: `tour-${tour._id}@${UID_DOMAIN}`,
+    start,
+    end: new Date(start.getTime() + (tour.duration || 60) * 60 * 1000),
+    summary: `Tur Perpustakaan - ${tour.groupName}`,
+    location: LIBRARY_LOCATION,
+    status: toEventStatus(tour.status),
+    sequence: tour.statusHistory ? tour.statusHistory.length : 0,
+    updatedAt: tour.updatedAt
+  };
+};
+
+/**
+ * Convert a booking into VEVENT lines, with purpose, contact person and admin note.
+ * Only for the owner and staff (private feed, email attachments); public feeds use
+ * publicBookingToEvent. Expects roomId to be populated (roomName, optionally location).
+ */
+const bookingToEvent = (booking) => {
+  const descriptionParts = [];
+
+  if (booking.purpose) descriptionParts.push(`Tujuan: ${booking.purpose}`);
+  if (booking.participantsCount) descriptionParts.push(`Jumlah peserta: ${booking.participantsCount}`);
+  if (booking.contactPerson && booking.contactPerson.name) {
+    descriptionParts.push(`Penanggung jawab: ${booking.contactPerson.name}${booking.contactPerson.phone ? ` (${booking.contactPerson.phone})` : ''}`);
+  }
+  if (booking.adminNote) descriptionParts.push(`Catatan admin: ${booking.adminNote}`);
+
+  return buildEvent({
+    ...bookingEventFields(booking),
+    description: descriptionParts.join('\n')
+  });
+};
+
+/**
+ * Convert a booking into VEVENT lines for public feeds: only the activity name, room,
+ * time and status, like the public JSON room calendar.
+ */
+const publicBookingToEvent = (booking) => buildEvent(bookingEventFields(booking));
+
+/**
+ * Convert a library tour into VEVENT lines, with contact person, guide and admin note.
+ * Only for the owner and staff; public feeds use publicTourToEvent.
+ */
+const tourToEvent = (tour) => {
+  const descriptionParts = [`Jumlah peserta: ${tour.numberOfParticipants}`];
+
+  if (tour.contactPerson && tour.contactPerson.name) {
+    descriptionParts.push(`Penanggung jawab: ${tour.contactPerson.name}${tour.contactPerson.phone ? ` (${tour.contactPerson.phone})` : ''}`);
+  }
+  if (tour.assignedGuide) descriptionParts.push(`Pemandu: ${tour.assignedGuide}`);
+  if (tour.adminNote) descriptionParts.push(`Catatan admin: ${tour.adminNote}`);
+
+  return buildEvent({
+    ...tourEventFields(tour),
+    description: descriptionParts.join('\n')
+  });
+};
+
+/**
+ * Convert a library tour into VEVENT lines for public feeds: only the group name, time
+ * and status, like the public JSON tour calendar.
+ */
+const publicTourToEvent = (tour) => buildEvent(tourEventFields(tour));
+
+/**
+ * Build a complete VCALENDAR document from VEVENT line arrays.
+ */
+const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${LIBRARY_TIMEZONE}`
+  ];
+
+  events.forEach(eventLines => lines.push(...eventLines));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Send a calendar document as an HTTP response
+const sendCalendar = (res, filename, calendar) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(calendar);
+};
+
+module.exports = {
+  bookingToEvent,
+  tourToEvent,
+  publicBookingToEvent,
+  publicTourToEvent,
+  buildCalendar,
+  sendCalendar,
+  getFeedStartDate,
+  PUBLIC_FEED_QUERY
+};
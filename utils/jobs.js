@@ -0,0 +1,82 @@
+// utils/jobs.js - Built-in background jobs run by the scheduler (utils/scheduler.js)
+// Each handler receives the run time and returns a small summary stored in the run history.
+const LibraryTour = require('../models/LibraryTour');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { runBookingLifecycle } = require('./checkin');
+const { sendDueReminders } = require('./reminders');
+const { processOutbox, processTextOutbox } = require('./outbox');
+const { processWebhookDeliveries } = require('./webhooks');
+
+const JOBS = [
+  {
+    name: 'auto-complete',
+    description: 'Menyelesaikan booking dan tur yang sudah lewat serta melepas booking yang tidak check-in',
+    intervalMinutes: 5,
+    handler: async (now) => {
+      const { noShows, completed } = await runBookingLifecycle(now);
+      const completedTours = await LibraryTour.completeOverdue(now);
+
+      return {
+        noShows,
+        completedBookings: completed,
+        completedTours: completedTours.length
+      };
+    }
+  },
+  {
+    name: 'expire-pending',
+    description: 'Membatalkan pengajuan pending yang tidak ditinjau sebelum waktu mulai',
+    intervalMinutes: 15,
+    handler: async (now) => {
+      const bookings = await Booking.expireStalePending(now);
+      const tours = await LibraryTour.expireStalePending(now);
+
+      return {
+        expiredBookings: bookings.length,
+        expiredTours: tours.length
+      };
+    }
+  },
+  {
+    name: 'purge-unverified',
+    description: 'Menghapus akun yang tidak diverifikasi hingga batas waktu verifikasi',
+    intervalMinutes: 60,
+    handler: async (now) => {
+      const { deletedCount } = await User.deleteMany({
+        isVerified: false,
+        verificationExpires: { $ne: null, $lt: now }
+      });
+
+      return { deletedUsers: deletedCount };
+    }
+  },
+  {
+    name: 'send-reminders',
+    description: 'Mengirim email pengingat sebelum booking dan tur dimulai',
+    intervalMinutes: 10,
+    handler: (now) => sendDueReminders(now)
+  },
+  {
+    name: 'email-outbox',
+    description: 'Mengirim ulang email yang gagal terkirim sesuai jadwal percobaan ulang',
+    intervalMinutes: 1,
+    handler: (now) => processOutbox(now)
+  },
+  {
+    name: 'text-outbox',
+    description: 'Mengirim ulang SMS/WhatsApp yang gagal terkirim sesuai jadwal percobaan ulang',
+    intervalMinutes: 1,
+    handler: (now) => processTextOutbox(now)
+  },
+  {
+    name: 'webhook-deliveries',
+    description: 'Mengirim ulang webhook yang gagal terkirim sesuai jadwal percobaan ulang',
+    intervalMinutes: 1,
+    handler: (now) => processWebhookDeliveries(now)
+  }
+];
+
+module.exports = {
+  JOBS
+};
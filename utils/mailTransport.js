@@ -0,0 +1,234 @@
+// utils/mailTransport.js - Pluggable email transports
+// EMAIL_TRANSPORT selects the transport:
+//   sendgrid - SendGrid HTTP API (SENDGRID_API_KEY), avoids SMTP blocks on Railway
+//   smtp     - any SMTP server via nodemailer (EMAIL_HOST, EMAIL_PORT, EMAIL_SECURE, EMAIL_USER, EMAIL_PASS)
+//   file     - writes .eml files to EMAIL_FILE_DIR, for development without a provider
+//   console  - only logs the recipient and subject
+// Without EMAIL_TRANSPORT the transport is derived from the settings that are present.
+//
+// Each transport has send(mailOptions) -> { messageId }, verify() which throws when the
+// transport cannot deliver, and describe() which returns its settings without secrets.
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const SEND_TIMEOUT_MS = 10000;
+
+const getFileDirectory = () => process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'emails');
+
+// EMAIL_PASS held the SendGrid key before SENDGRID_API_KEY existed
+const getSendGridKey = () => {
+  if (process.env.SENDGRID_API_KEY) {
+    return process.env.SENDGRID_API_KEY;
+  }
+  if (process.env.EMAIL_PASS && process.env.EMAIL_PASS.startsWith('SG.') && !process.env.EMAIL_HOST) {
+    return process.env.EMAIL_PASS;
+  }
+  return null;
+};
+
+const sendGridRequest = async (endpoint, options = {}) => {
+  const apiKey = getSendGridKey();
+
+  if (!apiKey) {
+    throw new Error('SENDGRID_API_KEY belum diatur');
+  }
+
+  return fetch(`https://api.sendgrid.com/v3${endpoint}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+  });
+};
+
+const sendgrid = {
+  send: async (mailOptions) => {
+    const payload = {
+      personalizations: [{
+        to: [{ email: mailOptions.to }],
+        subject: mailOptions.subject
+      }],
+      from: { email: mailOptions.from.replace(/.*<(.+)>/, '$1') },
+      content: [{
+        type: 'text/html',
+        value: mailOptions.html
+      }]
+    };
+
+    // Attachments use the nodemailer shape: { filename, content, contentType }
+    if (mailOptions.attachments && mailOptions.attachments.length > 0) {
+      payload.attachments = mailOptions.attachments.map(attachment => ({
+        content: Buffer.from(attachment.content).toString('base64'),
+        filename: attachment.filename,
+        type: attachment.contentType,
+        disposition: 'attachment'
+      }));
+    }
+
+    const response = await sendGridRequest('/mail/send', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`SendGrid API error: ${response.status} ${error}`);
+    }
+
+    return { messageId: response.headers.get('x-message-id') };
+  },
+
+  verify: async () => {
+    // Small authenticated request to check the API key
+    const response = await sendGridRequest('/user/account', { method: 'GET' });
+
+    if (!response.ok) {
+      throw new Error(`SendGrid API key ditolak: ${response.status} ${await response.text()}`);
+    }
+  },
+
+  describe: () => ({
+    apiKey: getSendGridKey() ? '***configured***' : 'not set'
+  })
+};
+
+let smtpTransporter = null;
+
+const getSMTPTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'localhost',
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+      socketTimeout: SEND_TIMEOUT_MS
+    });
+  }
+  return smtpTransporter;
+};
+
+const smtp = {
+  send: async (mailOptions) => {
+    const info = await getSMTPTransporter().sendMail(mailOptions);
+    return { messageId: info.messageId };
+  },
+
+  verify: async () => {
+    await getSMTPTransporter().verify();
+  },
+
+  describe: () => ({
+    host: process.env.EMAIL_HOST || 'localhost',
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    user: process.env.EMAIL_USER ? '***configured***' : 'not set'
+  })
+};
+
+const streamTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+const file = {
+  send: async (mailOptions) => {
+    const directory = getFileDirectory();
+    const info = await streamTransporter.sendMail(mailOptions);
+    const messageId = info.messageId.replace(/[<>]/g, '');
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, `${Date.now()}-${messageId.replace(/[^\w.-]/g, '_')}.eml`), info.message);
+
+    return { messageId };
+  },
+
+  verify: async () => {
+    const directory = getFileDirectory();
+    await fs.mkdir(directory, { recursive: true });
+    await fs.access(directory, fsConstants.W_OK);
+  },
+
+  describe: () => ({
+    directory: getFileDirectory()
+  })
+};
+
+const consoleTransport = {
+  send: async (mailOptions) => {
+    const info = await streamTransporter.sendMail(mailOptions);
+    console.log(`[email] to=${mailOptions.to} subject="${mailOptions.subject}"`);
+    return { messageId: info.messageId.replace(/[<>]/g, '') };
+  },
+
+  verify: async () => {},
+
+  describe: () => ({})
+};
+
+const TRANSPORTS = {
+  sendgrid,
+  smtp,
+  file,
+  console: consoleTransport
+};
+
+// Name of the active transport
+const getTransportName = () => {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT.toLowerCase();
+  }
+  if (getSendGridKey()) {
+    return 'sendgrid';
+  }
+  if (process.env.EMAIL_HOST) {
+    return 'smtp';
+  }
+  return process.env.NODE_ENV === 'production' ? 'sendgrid' : 'file';
+};
+
+const getTransport = () => {
+  const name = getTransportName();
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Email transport "${name}" tidak dikenal (pilihan: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return transport;
+};
+
+/**
+ * Send one message ({ from, to, subject, html, attachments }) with the active transport.
+ * Returns { transport, messageId }; throws when the provider rejects the message.
+ */
+const sendMail = async (mailOptions) => {
+  const { messageId } = await getTransport().send(mailOptions);
+  return { transport: getTransportName(), messageId };
+};
+
+// Check that the active transport can deliver; throws with the reason when it cannot
+const verifyTransport = async () => {
+  await getTransport().verify();
+};
+
+// Active transport and its settings without secrets, for diagnostics
+const describeTransport = () => {
+  const name = getTransportName();
+  const transport = TRANSPORTS[name];
+
+  return {
+    transport: name,
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'not set',
+    ...(transport ? transport.describe() : {})
+  };
+};
+
+module.exports = {
+  getTransportName,
+  sendMail,
+  verifyTransport,
+  describeTransport
+};
@@ -0,0 +1,179 @@
+// utils/messageTransport.js - Pluggable SMS/WhatsApp transports
+// MESSAGE_TRANSPORT selects the transport:
+//   http    - HTTP gateway (MESSAGE_GATEWAY_URL, MESSAGE_GATEWAY_TOKEN, MESSAGE_SENDER); the
+//             message is POSTed as JSON { channel, to, message, sender } with a Bearer token
+//   file    - writes one .json file per message to MESSAGE_FILE_DIR, for local testing
+//   console - only logs the recipient and message
+// Without MESSAGE_TRANSPORT, http is used when MESSAGE_GATEWAY_URL is set.
+//
+// Each transport has send({ channel, to, text }) -> { messageId }, verify() which throws
+// when the transport cannot deliver, and describe() which returns its settings without secrets.
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SEND_TIMEOUT_MS = 10000;
+
+const getFileDirectory = () => process.env.MESSAGE_FILE_DIR || path.join(__dirname, '..', 'tmp', 'messages');
+
+// Indonesian mobile numbers (08..., 628..., +628...) in international format without '+'
+const normalizePhoneNumber = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/[^\d]/g, '');
+  if (digits.startsWith('0')) {
+    return `62${digits.slice(1)}`;
+  }
+  return digits;
+};
+
+const gatewayRequest = async (url, options = {}) => {
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...(process.env.MESSAGE_GATEWAY_TOKEN ? { 'Authorization': `Bearer ${process.env.MESSAGE_GATEWAY_TOKEN}` } : {}),
+      'Content-Type': 'application/json'
+    },
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+  });
+};
+
+const http = {
+  send: async ({ channel, to, text }) => {
+    if (!process.env.MESSAGE_GATEWAY_URL) {
+      throw new Error('MESSAGE_GATEWAY_URL belum diatur');
+    }
+
+    const response = await gatewayRequest(process.env.MESSAGE_GATEWAY_URL, {
+      method: 'POST',
+      body: JSON.stringify({
+        channel,
+        to,
+        message: text,
+        sender: process.env.MESSAGE_SENDER || undefined
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Message gateway error: ${response.status} ${await response.text()}`);
+    }
+
+    // Gateways differ in how they report the message ID
+    const result = await response.json().catch(() => ({}));
+    return { messageId: result.messageId || result.id || null };
+  },
+
+  verify: async () => {
+    if (!process.env.MESSAGE_GATEWAY_URL) {
+      throw new Error('MESSAGE_GATEWAY_URL belum diatur');
+    }
+
+    // Optional authenticated status endpoint to check the token
+    if (process.env.MESSAGE_GATEWAY_STATUS_URL) {
+      const response = await gatewayRequest(process.env.MESSAGE_GATEWAY_STATUS_URL, { method: 'GET' });
+      if (!response.ok) {
+        throw new Error(`Message gateway menolak permintaan: ${response.status} ${await response.text()}`);
+      }
+    }
+  },
+
+  describe: () => ({
+    url: process.env.MESSAGE_GATEWAY_URL || 'not set',
+    token: process.env.MESSAGE_GATEWAY_TOKEN ? '***configured***' : 'not set',
+    sender: process.env.MESSAGE_SENDER || 'not set'
+  })
+};
+
+const file = {
+  send: async ({ channel, to, text }) => {
+    const directory = getFileDirectory();
+    const messageId = crypto.randomUUID();
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${Date.now()}-${channel}-${messageId}.json`),
+      JSON.stringify({ messageId, channel, to, text, createdAt: new Date() }, null, 2)
+    );
+
+    return { messageId };
+  },
+
+  verify: async () => {
+    const directory = getFileDirectory();
+    await fs.mkdir(directory, { recursive: true });
+    await fs.access(directory, fsConstants.W_OK);
+  },
+
+  describe: () => ({
+    directory: getFileDirectory()
+  })
+};
+
+const consoleTransport = {
+  send: async ({ channel, to, text }) => {
+    console.log(`[${channel}] to=${to} message="${text}"`);
+    return { messageId: crypto.randomUUID() };
+  },
+
+  verify: async () => {},
+
+  describe: () => ({})
+};
+
+const TRANSPORTS = {
+  http,
+  file,
+  console: consoleTransport
+};
+
+// Name of the active transport
+const getTransportName = () => {
+  if (process.env.MESSAGE_TRANSPORT) {
+    return process.env.MESSAGE_TRANSPORT.toLowerCase();
+  }
+  if (process.env.MESSAGE_GATEWAY_URL) {
+    return 'http';
+  }
+  return process.env.NODE_ENV === 'production' ? 'http' : 'file';
+};
+
+const getTransport = () => {
+  const name = getTransportName();
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Message transport "${name}" tidak dikenal (pilihan: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return transport;
+};
+
+/**
+ * Send one text message ({ channel: 'sms'|'whatsapp', to, text }) with the active transport.
+ * Returns { transport, messageId }; throws when the gateway rejects the message.
+ */
+const sendTextMessage = async (message) => {
+  const { messageId } = await getTransport().send({ ...message, to: normalizePhoneNumber(message.to) });
+  return { transport: getTransportName(), messageId };
+};
+
+// Check that the active transport can deliver; throws with the reason when it cannot
+const verifyMessageTransport = async () => {
+  await getTransport().verify();
+};
+
+// Active transport and its settings without secrets, for diagnostics
+const describeMessageTransport = () => {
+  const name = getTransportName();
+  const transport = TRANSPORTS[name];
+
+  return {
+    transport: name,
+    ...(transport ? transport.describe() : {})
+  };
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  sendTextMessage,
+  verifyMessageTransport,
+  describeMessageTransport
+};
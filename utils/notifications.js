@@ -0,0 +1,218 @@
+// utils/notifications.js - In-app notifications for request owners and staff
+// Texts are written in the recipient's language. Failures are logged and never
+// break the action that triggered the notification.
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { ROLES, ROOM_SCOPED_PERMISSIONS, roleHasPermission } = require('./permissions');
+const { LIBRARY_TIMEZONE } = require('./time');
+
+const LOCALES = { id: 'id-ID', en: 'en-GB' };
+
+const STATUS_LABELS = {
+  id: {
+    pending: 'menunggu persetujuan',
+    approved: 'disetujui',
+    rejected: 'ditolak',
+    cancelled: 'dibatalkan',
+    completed: 'selesai',
+    no_show: 'dibatalkan karena tidak hadir'
+  },
+  en: {
+    pending: 'pending approval',
+    approved: 'approved',
+    rejected: 'rejected',
+    cancelled: 'cancelled',
+    completed: 'completed',
+    no_show: 'cancelled as a no-show'
+  }
+};
+
+// [title, message] per notification type and language; d holds the request details
+const TEXTS = {
+  id: {
+    booking_created: (d) => ['Pengajuan booking baru', `${d.requester} mengajukan booking "${d.name}" pada ${d.date}${d.count > 1 ? ` (${d.count} jadwal)` : ''}`],
+    tour_created: (d) => ['Pengajuan tur baru', `${d.requester} mengajukan tur untuk ${d.name} pada ${d.date}`],
+    booking_status: (d) => [`Booking ${d.status}`, `Booking "${d.name}" pada ${d.date} ${d.status}${d.note ? `. Catatan: ${d.note}` : ''}`],
+    tour_status: (d) => [`Tur ${d.status}`, `Tur ${d.name} pada ${d.date} ${d.status}${d.note ? `. Catatan: ${d.note}` : ''}`],
+    booking_cancelled: (d) => ['Booking dibatalkan', `${d.requester} membatalkan booking "${d.name}" pada ${d.date}`],
+    tour_cancelled: (d) => ['Tur dibatalkan', `${d.requester} membatalkan tur ${d.name} pada ${d.date}`],
+    booking_reminder: (d) => ['Pengingat booking', `Booking "${d.name}" dimulai ${d.date}`],
+    tour_reminder: (d) => ['Pengingat tur', `Tur ${d.name} dimulai ${d.date}`],
+    booking_document: (d) => (d.accepted
+      ? ['Dokumen diterima', `Dokumen booking "${d.name}" pada ${d.date} telah diterima`]
+      : ['Dokumen perlu diperbaiki', `Dokumen booking "${d.name}" pada ${d.date} perlu diperbaiki${d.note ? `. Catatan: ${d.note}` : ''}. Unggah dokumen pengganti melalui detail booking.`]),
+    tour_document: (d) => (d.accepted
+      ? ['Dokumen diterima', `Dokumen tur ${d.name} pada ${d.date} telah diterima`]
+      : ['Dokumen perlu diperbaiki', `Dokumen tur ${d.name} pada ${d.date} perlu diperbaiki${d.note ? `. Catatan: ${d.note}` : ''}. Unggah dokumen pengganti melalui detail tur.`]),
+    booking_document_uploaded: (d) => ['Dokumen pengganti diunggah', `${d.requester} mengunggah dokumen pengganti untuk booking "${d.name}" pada ${d.date}`],
+    tour_document_uploaded: (d) => ['Dokumen pengganti diunggah', `${d.requester} mengunggah dokumen pengganti untuk tur ${d.name} pada ${d.date}`]
+  },
+  en: {
+    booking_created: (d) => ['New booking request', `${d.requester} requested a booking "${d.name}" on ${d.date}${d.count > 1 ? ` (${d.count} dates)` : ''}`],
+    tour_created: (d) => ['New tour request', `${d.requester} requested a tour for ${d.name} on ${d.date}`],
+    booking_status: (d) => [`Booking ${d.status}`, `Booking "${d.name}" on ${d.date} was ${d.status}${d.note ? `. Note: ${d.note}` : ''}`],
+    tour_status: (d) => [`Tour ${d.status}`, `Tour for ${d.name} on ${d.date} was ${d.status}${d.note ? `. Note: ${d.note}` : ''}`],
+    booking_cancelled: (d) => ['Booking cancelled', `${d.requester} cancelled the booking "${d.name}" on ${d.date}`],
+    tour_cancelled: (d) => ['Tour cancelled', `${d.requester} cancelled the tour for ${d.name} on ${d.date}`],
+    booking_reminder: (d) => ['Booking reminder', `Booking "${d.name}" starts ${d.date}`],
+    tour_reminder: (d) => ['Tour reminder', `Tour for ${d.name} starts ${d.date}`],
+    booking_document: (d) => (d.accepted
+      ? ['Document accepted', `The document for booking "${d.name}" on ${d.date} was accepted`]
+      : ['Document needs revision', `The document for booking "${d.name}" on ${d.date} needs revision${d.note ? `. Note: ${d.note}` : ''}. Upload a replacement from the booking details.`]),
+    tour_document: (d) => (d.accepted
+      ? ['Document accepted', `The document for the tour for ${d.name} on ${d.date} was accepted`]
+      : ['Document needs revision', `The document for the tour for ${d.name} on ${d.date} needs revision${d.note ? `. Note: ${d.note}` : ''}. Upload a replacement from the tour details.`]),
+    booking_document_uploaded: (d) => ['Replacement document uploaded', `${d.requester} uploaded a replacement document for booking "${d.name}" on ${d.date}`],
+    tour_document_uploaded: (d) => ['Replacement document uploaded', `${d.requester} uploaded a replacement document for the tour for ${d.name} on ${d.date}`]
+  }
+};
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+const formatDateTime = (date, language) => {
+  return new Date(date).toLocaleString(LOCALES[language] || LOCALES.id, {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: LIBRARY_TIMEZONE
+  });
+};
+
+// kind is 'booking' or 'tour'
+const getRequestFields = (kind, request) => ({
+  name: kind === 'booking' ? request.activityName : request.groupName,
+  link: `/${kind}s/${request._id}`,
+  ref: kind === 'booking' ? { bookingId: request._id } : { tourId: request._id }
+});
+
+// Create one notification per recipient ({ _id, language }) in their language
+const createNotifications = async (recipients, type, kind, request, details = {}) => {
+  const { name, link, ref } = getRequestFields(kind, request);
+
+  const notifications = recipients.map(recipient => {
+    const language = TEXTS[recipient.language] ? recipient.language : 'id';
+    const [title, message] = TEXTS[language][type]({
+      ...details,
+      name,
+      date: formatDateTime(request.startTime, language),
+      status: details.status ? STATUS_LABELS[language][details.status] || details.status : undefined
+    });
+
+    return { recipient: recipient._id, type, title, message, link, ...ref };
+  });
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+  return notifications.length;
+};
+
+/**
+ * Staff who decide on a request: holders of the approve permission (room managers only
+ * for their rooms) and the approvers of the request's current approval step.
+ */
+const findStaffRecipients = async (kind, request) => {
+  const permission = kind === 'booking' ? 'bookings:approve' : 'tours:approve';
+  const staffRoles = ROLES.filter(role => role !== 'admin' && roleHasPermission(role, permission));
+  const roomScoped = kind === 'booking' && ROOM_SCOPED_PERMISSIONS.includes(permission);
+
+  const conditions = [
+    { role: 'admin' },
+    { role: { $in: staffRoles }, ...(roomScoped ? { managedRooms: getId(request.roomId) } : {}) }
+  ];
+
+  const step = request.approval && request.approval.chainId
+    ? request.approval.steps[request.approval.currentStep]
+    : null;
+  if (step && step.approvers.length > 0) {
+    conditions.push({ _id: { $in: step.approvers } });
+  }
+
+  return User.find({ $or: conditions }).select('language');
+};
+
+const findOwner = (request) => User.findById(getId(request.userId)).select('name language');
+
+const runSafely = async (description, action) => {
+  try {
+    return await action();
+  } catch (error) {
+    console.error(`Failed to create ${description} notification:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Tell staff about a new booking or tour request. count is the number of
+ * bookings in a recurring series, which get a single notification.
+ */
+const notifyRequestCreated = (kind, request, requester, count = 1) => {
+  return runSafely(`${kind} created`, async () => {
+    const recipients = (await findStaffRecipients(kind, request))
+      .filter(recipient => !recipient._id.equals(requester._id));
+    return createNotifications(recipients, `${kind}_created`, kind, request, { requester: requester.name, count });
+  });
+};
+
+/**
+ * Announce a status change made through updateStatus. Owners hear about changes made by
+ * others; a cancellation by the owner is announced to staff instead.
+ */
+const notifyStatusChange = (kind, request, status, { changedBy = null, note = '' } = {}) => {
+  return runSafely(`${kind} status`, async () => {
+    const ownerId = getId(request.userId);
+    const changedByOwner = changedBy && ownerId.equals(getId(changedBy));
+
+    if (changedByOwner) {
+      if (status !== 'cancelled') {
+        return 0;
+      }
+      const owner = await findOwner(request);
+      const recipients = await findStaffRecipients(kind, request);
+      return createNotifications(recipients, `${kind}_cancelled`, kind, request, { requester: owner ? owner.name : '-' });
+    }
+
+    const owner = await findOwner(request);
+    if (!owner) {
+      return 0;
+    }
+    return createNotifications([owner], `${kind}_status`, kind, request, { status, note });
+  });
+};
+
+// Remind the owner that a booking or tour starts soon
+const notifyReminder = (kind, request) => {
+  return runSafely(`${kind} reminder`, async () => {
+    const owner = await findOwner(request);
+    return owner ? createNotifications([owner], `${kind}_reminder`, kind, request) : 0;
+  });
+};
+
+// Tell the owner that their document was accepted or needs a revision
+const notifyDocumentReview = (kind, request, status, note = '') => {
+  return runSafely(`${kind} document`, async () => {
+    const owner = await findOwner(request);
+    return owner
+      ? createNotifications([owner], `${kind}_document`, kind, request, { accepted: status === 'accepted', note })
+      : 0;
+  });
+};
+
+// Tell staff that the owner uploaded a replacement document
+const notifyDocumentUploaded = (kind, request, requester) => {
+  return runSafely(`${kind} document uploaded`, async () => {
+    const recipients = (await findStaffRecipients(kind, request))
+      .filter(recipient => !recipient._id.equals(requester._id));
+    return createNotifications(recipients, `${kind}_document_uploaded`, kind, request, { requester: requester.name });
+  });
+};
+
+module.exports = {
+  notifyRequestCreated,
+  notifyStatusChange,
+  notifyReminder,
+  notifyDocumentReview,
+  notifyDocumentUploaded
+};
@@ -0,0 +1,215 @@
+// utils/outbox.js - Durable outboxes for email and SMS/WhatsApp messages
+// Messages are stored in MongoDB before the first delivery attempt. Failed attempts are
+// retried with backoff by the 'email-outbox' and 'text-outbox' jobs until maxAttempts is reached.
+const EmailMessage = require('../models/EmailMessage');
+const TextMessage = require('../models/TextMessage');
+const { sendMail } = require('./mailTransport');
+const { sendTextMessage } = require('./messageTransport');
+const { SENDING_TIMEOUT_MS, BATCH_SIZE, getRetryDelay } = require('./retry');
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const MESSAGE_MAX_ATTEMPTS = parseInt(process.env.MESSAGE_MAX_ATTEMPTS) || 5;
+
+/**
+ * Build the deliver/process/resend functions of an outbox stored in `model`.
+ * Options:
+ *   send(message)            provider call, resolves to { transport, messageId }
+ *   describe(message)        message label for error logs
+ *   onSent(message)          changes to store after a successful delivery
+ *   getResendError(message)  reason a stored message cannot be resent, or null
+ *   noun                     user-facing name of the message ('Email', 'Pesan')
+ */
+const createOutbox = ({ model, send, describe, onSent = () => {}, getResendError = () => null, noun }) => {
+  /**
+   * Make one delivery attempt for a queued message.
+   * Returns the updated message, or null when it is not due or another process claimed it.
+   */
+  const deliver = async (messageId, now = new Date()) => {
+    const message = await model.findOneAndUpdate(
+      { _id: messageId, status: 'queued', nextAttemptAt: { $lte: now } },
+      {
+        $set: { status: 'sending', sendingStartedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!message) {
+      return null;
+    }
+
+    try {
+      const { transport, messageId: providerMessageId } = await send(message);
+
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.transport = transport;
+      message.providerMessageId = providerMessageId || null;
+      message.lastError = null;
+      message.log.push({ status: 'sent', attempt: message.attempts, transport, providerMessageId });
+      onSent(message);
+    } catch (error) {
+      const exhausted = message.attempts >= message.maxAttempts;
+
+      message.status = exhausted ? 'failed' : 'queued';
+      message.lastError = error.message;
+      message.nextAttemptAt = exhausted ? null : new Date(Date.now() + getRetryDelay(message.attempts));
+      message.log.push({
+        status: 'failed',
+        attempt: message.attempts,
+        error: error.message,
+        note: exhausted ? 'Batas percobaan pengiriman tercapai' : `Dicoba lagi pada ${message.nextAttemptAt.toISOString()}`
+      });
+
+      console.error(`${describe(message)} failed (attempt ${message.attempts}):`, error.message);
+    }
+
+    message.sendingStartedAt = null;
+    await message.save();
+    return message;
+  };
+
+  /**
+   * Deliver all queued messages that are due and release messages stuck in 'sending'
+   * after a crash. Run by the outbox job.
+   */
+  const processDue = async (now = new Date()) => {
+    const { modifiedCount: released } = await model.updateMany(
+      { status: 'sending', sendingStartedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } },
+      { $set: { status: 'queued', sendingStartedAt: null, nextAttemptAt: now } }
+    );
+
+    const dueMessages = await model.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE)
+      .select('_id');
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const { _id } of dueMessages) {
+      const message = await deliver(_id, now);
+      if (message && message.status === 'sent') {
+        sent++;
+      } else if (message) {
+        failed++;
+      }
+    }
+
+    return { released, sent, failed };
+  };
+
+  /**
+   * Queue a stored message again (e.g. after fixing the provider settings) and try it right away.
+   * Returns { error } when the message cannot be resent, otherwise { message }.
+   */
+  const resend = async (message, user) => {
+    if (message.status === 'sending') {
+      return { error: `${noun} sedang dalam proses pengiriman` };
+    }
+
+    const resendError = getResendError(message);
+    if (resendError) {
+      return { error: resendError };
+    }
+
+    message.status = 'queued';
+    message.attempts = 0;
+    message.nextAttemptAt = new Date();
+    message.lastError = null;
+    message.log.push({ status: 'queued', note: `Dikirim ulang oleh ${user.name}` });
+    await message.save();
+
+    return { message: (await deliver(message._id)) || message };
+  };
+
+  return { deliver, processDue, resend };
+};
+
+const emailOutbox = createOutbox({
+  model: EmailMessage,
+  send: (message) => sendMail({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    attachments: message.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+  }),
+  describe: (message) => `Email ${message._id} to ${message.to}`,
+  // One-time links (verification, password reset) are not kept after delivery
+  onSent: (message) => {
+    if (message.sensitive) {
+      message.html = null;
+    }
+  },
+  getResendError: (message) => (
+    message.html ? null : 'Isi email ini tidak disimpan setelah terkirim sehingga tidak dapat dikirim ulang'
+  ),
+  noun: 'Email'
+});
+
+const textOutbox = createOutbox({
+  model: TextMessage,
+  send: (message) => sendTextMessage({
+    channel: message.channel,
+    to: message.to,
+    text: message.text
+  }),
+  describe: (message) => `${message.channel} message ${message._id} to ${message.to}`,
+  noun: 'Pesan'
+});
+
+/**
+ * Store an email ({ from, to, subject, html, attachments }) in the outbox and try to
+ * deliver it right away. Failed deliveries stay queued for retry, so this only throws
+ * when the message cannot be stored.
+ * Options: type (e.g. 'booking_notification'), sensitive (drop the body after delivery).
+ */
+const queueEmail = async (mailOptions, { type, sensitive = false } = {}) => {
+  const message = await EmailMessage.create({
+    type,
+    from: mailOptions.from,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    html: mailOptions.html,
+    attachments: (mailOptions.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      content: String(attachment.content),
+      contentType: attachment.contentType
+    })),
+    sensitive,
+    maxAttempts: EMAIL_MAX_ATTEMPTS,
+    log: [{ status: 'queued' }]
+  });
+
+  return (await emailOutbox.deliver(message._id)) || message;
+};
+
+/**
+ * Store a text message ({ channel, to, text, userId }) in the outbox and try to deliver it
+ * right away. Failed deliveries stay queued for retry, so this only throws when the
+ * message cannot be stored.
+ * Options: type (the template key, e.g. 'tour_reminder').
+ */
+const queueTextMessage = async ({ channel, to, text, userId = null }, { type } = {}) => {
+  const message = await TextMessage.create({
+    type,
+    channel,
+    to,
+    text,
+    userId,
+    maxAttempts: MESSAGE_MAX_ATTEMPTS,
+    log: [{ status: 'queued' }]
+  });
+
+  return (await textOutbox.deliver(message._id)) || message;
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox: emailOutbox.processDue,
+  resendEmail: emailOutbox.resend,
+  queueTextMessage,
+  processTextOutbox: textOutbox.processDue,
+  resendTextMessage: textOutbox.resend
+};
@@ -0,0 +1,77 @@
+// utils/permissions.js - Roles and the permissions they grant
+// Admins hold every permission. Room managers only exercise the room-scoped
+// permissions on the rooms listed in their managedRooms.
+
+const ROLES = ['user', 'admin', 'room_manager', 'tour_coordinator', 'receptionist', 'auditor'];
+
+const ROLE_LABELS = {
+  user: 'Pengguna',
+  admin: 'Administrator',
+  room_manager: 'Pengelola Ruangan',
+  tour_coordinator: 'Koordinator Tur',
+  receptionist: 'Resepsionis',
+  auditor: 'Auditor'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  room_manager: [
+    'rooms:manage',
+    'bookings:view',
+    'bookings:approve',
+    'bookings:checkin',
+    'closures:view'
+  ],
+  tour_coordinator: [
+    'tours:view',
+    'tours:approve',
+    'tours:checkin',
+    'guides:view',
+    'guides:manage',
+    'closures:view'
+  ],
+  receptionist: [
+    'bookings:checkin',
+    'tours:checkin'
+  ],
+  auditor: [
+    'dashboard:view',
+    'users:view',
+    'bookings:view',
+    'tours:view',
+    'guides:view',
+    'closures:view',
+    'approvals:view',
+    'jobs:view'
+  ]
+};
+
+// Permissions limited to the rooms a room manager is assigned to
+const ROOM_SCOPED_PERMISSIONS = ['rooms:manage', 'bookings:view', 'bookings:approve', 'bookings:checkin'];
+
+const isValidRole = (role) => ROLES.includes(role);
+
+// Check whether a role grants a permission
+const roleHasPermission = (role, permission) => {
+  if (role === 'admin') {
+    return true;
+  }
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Permissions granted to a role, as sent to the client
+const getRolePermissions = (role) => {
+  if (role === 'admin') {
+    return ['*'];
+  }
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  ROOM_SCOPED_PERMISSIONS,
+  isValidRole,
+  roleHasPermission,
+  getRolePermissions
+};
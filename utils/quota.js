@@ -0,0 +1,227 @@
+// utils/quota.js - Booking and tour quotas per user and per institution
+const Booking = require('../models/Booking');
+const LibraryTour = require('../models/LibraryTour');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  LIBRARY_TIMEZONE,
+  toLocalDateKey,
+  fromLocalDateTime,
+  addDaysToDateKey,
+  getDayOfWeek
+} = require('./time');
+
+const QUOTAS = {
+  maxActiveBookings: parseInt(process.env.QUOTA_MAX_ACTIVE_BOOKINGS) || 5,
+  maxHoursPerWeek: parseInt(process.env.QUOTA_MAX_HOURS_PER_WEEK) || 20,
+  maxActiveTours: parseInt(process.env.QUOTA_MAX_ACTIVE_TOURS) || 3,
+  // Active bookings and tours of all users from one institution; unset means no cap
+  maxActivePerInstitution: parseInt(process.env.QUOTA_MAX_ACTIVE_PER_INSTITUTION) || null
+};
+
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatDate = (date) => {
+  return date.toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: LIBRARY_TIMEZONE
+  });
+};
+
+// Monday-to-Monday library-local week containing a date
+const getWeekRange = (date) => {
+  const dateKey = toLocalDateKey(date);
+  const mondayKey = addDaysToDateKey(dateKey, -((getDayOfWeek(dateKey) + 6) % 7));
+  return {
+    weekStart: fromLocalDateTime(mondayKey),
+    weekEnd: fromLocalDateTime(addDaysToDateKey(mondayKey, 7))
+  };
+};
+
+// Admins book on behalf of the library and are not limited
+const isExempt = (user) => user.role === 'admin';
+
+const countActiveBookings = (userIds, now) => {
+  return Booking.countDocuments({
+    userId: { $in: userIds },
+    status: { $in: ACTIVE_STATUSES },
+    endTime: { $gte: now }
+  });
+};
+
+const countActiveTours = (userIds, now) => {
+  return LibraryTour.countDocuments({
+    userId: { $in: userIds },
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $gte: now }
+  });
+};
+
+// Booked hours of a user in the week containing a date
+const getWeeklyHours = async (userId, date) => {
+  const { weekStart, weekEnd } = getWeekRange(date);
+
+  const bookings = await Booking.find({
+    userId,
+    status: { $in: [...ACTIVE_STATUSES, 'completed'] },
+    startTime: { $gte: weekStart, $lt: weekEnd }
+  }).select('startTime endTime');
+
+  const totalMs = bookings.reduce((sum, booking) => sum + (booking.endTime - booking.startTime), 0);
+  return totalMs / (60 * 60 * 1000);
+};
+
+// Active bookings and tours of all users from the same institution
+const countInstitutionActive = async (institution, now) => {
+  const userIds = await User.find({
+    originInstitution: new RegExp(`^${escapeRegex(institution.trim())}$`, 'i')
+  }).distinct('_id');
+
+  const [bookings, tours] = await Promise.all([
+    countActiveBookings(userIds, now),
+    countActiveTours(userIds, now)
+  ]);
+
+  return bookings + tours;
+};
+
+const getSuspensionError = (user, now) => {
+  if (!user.isBookingSuspended(now)) {
+    return null;
+  }
+  return `Hak peminjaman Anda ditangguhkan hingga ${formatDate(user.bookingSuspendedUntil)} karena berulang kali tidak hadir atau membatalkan mendadak`;
+};
+
+const getInstitutionError = async (user, now) => {
+  if (!QUOTAS.maxActivePerInstitution || !user.originInstitution) {
+    return null;
+  }
+
+  const institutionActive = await countInstitutionActive(user.originInstitution, now);
+  if (institutionActive >= QUOTAS.maxActivePerInstitution) {
+    return `Instansi ${user.originInstitution} sudah memiliki ${institutionActive} pengajuan aktif (maksimal ${QUOTAS.maxActivePerInstitution})`;
+  }
+  return null;
+};
+
+/**
+ * Check a new booking against the user's suspension and quotas.
+ * Returns an error message, or null when the booking is allowed.
+ */
+const getBookingQuotaError = async (user, startTime, endTime, now = new Date()) => {
+  const suspensionError = getSuspensionError(user, now);
+  if (suspensionError) {
+    return suspensionError;
+  }
+
+  if (isExempt(user)) {
+    return null;
+  }
+
+  const activeBookings = await countActiveBookings([user._id], now);
+  if (activeBookings >= QUOTAS.maxActiveBookings) {
+    return `Anda sudah memiliki ${activeBookings} booking aktif (maksimal ${QUOTAS.maxActiveBookings}). Selesaikan atau batalkan booking lain terlebih dahulu.`;
+  }
+
+  const weeklyHours = await getWeeklyHours(user._id, startTime);
+  const requestedHours = (endTime - startTime) / (60 * 60 * 1000);
+  if (weeklyHours + requestedHours > QUOTAS.maxHoursPerWeek) {
+    return `Total durasi booking Anda pada minggu tersebut akan menjadi ${Math.round((weeklyHours + requestedHours) * 10) / 10} jam (maksimal ${QUOTAS.maxHoursPerWeek} jam per minggu)`;
+  }
+
+  return getInstitutionError(user, now);
+};
+
+/**
+ * Check a new waitlist entry against the user's suspension and booking quota. Waiting
+ * entries count as active bookings, since each one can turn into a booking.
+ * Returns an error message, or null when the user may join the waitlist.
+ */
+const getWaitlistQuotaError = async (user, now = new Date()) => {
+  const suspensionError = getSuspensionError(user, now);
+  if (suspensionError) {
+    return suspensionError;
+  }
+
+  if (isExempt(user)) {
+    return null;
+  }
+
+  const [activeBookings, waitingEntries] = await Promise.all([
+    countActiveBookings([user._id], now),
+    WaitlistEntry.countDocuments({ userId: user._id, status: 'waiting', endTime: { $gte: now } })
+  ]);
+
+  if (activeBookings + waitingEntries >= QUOTAS.maxActiveBookings) {
+    return `Anda sudah memiliki ${activeBookings} booking aktif dan ${waitingEntries} antrean daftar tunggu (maksimal ${QUOTAS.maxActiveBookings}). Selesaikan atau batalkan booking lain terlebih dahulu.`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a new tour request against the user's suspension and quotas.
+ * Returns an error message, or null when the tour is allowed.
+ */
+const getTourQuotaError = async (user, now = new Date()) => {
+  const suspensionError = getSuspensionError(user, now);
+  if (suspensionError) {
+    return suspensionError;
+  }
+
+  if (isExempt(user)) {
+    return null;
+  }
+
+  const activeTours = await countActiveTours([user._id], now);
+  if (activeTours >= QUOTAS.maxActiveTours) {
+    return `Anda sudah memiliki ${activeTours} pengajuan tur aktif (maksimal ${QUOTAS.maxActiveTours})`;
+  }
+
+  return getInstitutionError(user, now);
+};
+
+// Whether cancelling an approved request starting at startTime counts as a late cancellation
+const isLateCancellation = (startTime, now = new Date()) => {
+  const { lateCancellationHours } = User.getStrikePolicy();
+  return startTime - now < lateCancellationHours * 60 * 60 * 1000;
+};
+
+// Current quota usage and strike status of a user, for the admin user view
+const getQuotaUsage = async (user, now = new Date()) => {
+  const [activeBookings, activeTours, weeklyHours, institutionActive] = await Promise.all([
+    countActiveBookings([user._id], now),
+    countActiveTours([user._id], now),
+    getWeeklyHours(user._id, now),
+    user.originInstitution ? countInstitutionActive(user.originInstitution, now) : 0
+  ]);
+
+  return {
+    limits: { ...QUOTAS },
+    usage: {
+      activeBookings,
+      activeTours,
+      hoursThisWeek: Math.round(weeklyHours * 10) / 10,
+      institutionActive
+    },
+    strikes: {
+      policy: User.getStrikePolicy(),
+      total: user.strikes.length,
+      recent: user.getRecentStrikes(now).length,
+      suspended: user.isBookingSuspended(now),
+      suspendedUntil: user.bookingSuspendedUntil
+    }
+  };
+};
+
+module.exports = {
+  getBookingQuotaError,
+  getWaitlistQuotaError,
+  getTourQuotaError,
+  isLateCancellation,
+  getQuotaUsage
+};
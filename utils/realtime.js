@@ -0,0 +1,173 @@
+// utils/realtime.js - Real-time events pushed to connected clients over Server-Sent Events
+// Events are delivered to the clients connected to this process; each client only
+// receives what it may see:
+//   admins          - every event
+//   owners          - events about their own bookings and tours
+//   staff           - bookings of the rooms they may view, tours when they may view tours
+//   everyone else   - public calendar changes (approved/completed requests and cancellations
+//                     of approved ones) with the public fields only, and room status changes
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const clients = new Set();
+let nextEventId = 1;
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+// Same visibility as the public calendar feed (PUBLIC_FEED_QUERY in utils/ical.js)
+const isPublicRequest = (request) => {
+  if (['approved', 'completed'].includes(request.status)) {
+    return true;
+  }
+  return request.status === 'cancelled' &&
+    (request.statusHistory || []).some(entry => entry.status === 'approved');
+};
+
+const canSeeFull = (user, event) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  if (event.ownerId && user._id.equals(event.ownerId)) {
+    return true;
+  }
+  if (event.kind === 'booking') {
+    return user.hasRoomPermission('bookings:view', event.roomId);
+  }
+  if (event.kind === 'tour') {
+    return user.hasPermission('tours:view');
+  }
+  return false;
+};
+
+// Payload of an event for one client, or null when the client may not see it
+const getPayloadFor = (user, event) => {
+  if (event.kind === 'room') {
+    return event.data;
+  }
+  if (canSeeFull(user, event)) {
+    return event.data;
+  }
+  return event.publicData || null;
+};
+
+const writeEvent = (res, id, type, data) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers responses unless flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+/**
+ * Publish an event to every connected client allowed to see it.
+ * event: { type, kind: 'booking'|'tour'|'room', ownerId, roomId, data, publicData }
+ */
+const publish = (event) => {
+  const id = nextEventId++;
+
+  for (const client of clients) {
+    const payload = getPayloadFor(client.user, event);
+    if (payload) {
+      writeEvent(client.res, id, event.type, payload);
+    }
+  }
+};
+
+/**
+ * Publish a booking or tour event: '<kind>.created', '<kind>.status_changed'
+ * or '<kind>.cancelled'. Never throws.
+ */
+const publishRequestEvent = (kind, request, action, { previousStatus = null, changedBy = null } = {}) => {
+  try {
+    const common = {
+      id: request._id,
+      status: request.status,
+      previousStatus,
+      startTime: request.startTime
+    };
+
+    const data = kind === 'booking'
+      ? {
+        ...common,
+        userId: getId(request.userId),
+        roomId: getId(request.roomId),
+        activityName: request.activityName,
+        endTime: request.endTime,
+        seriesId: request.seriesId || null,
+        changedBy: getId(changedBy)
+      }
+      : {
+        ...common,
+        userId: getId(request.userId),
+        groupName: request.groupName,
+        numberOfParticipants: request.numberOfParticipants,
+        duration: request.duration,
+        changedBy: getId(changedBy)
+      };
+
+    const publicData = isPublicRequest(request)
+      ? (kind === 'booking'
+        ? { ...common, roomId: getId(request.roomId), endTime: request.endTime }
+        : { ...common, duration: request.duration })
+      : null;
+
+    publish({
+      type: `${kind}.${action}`,
+      kind,
+      ownerId: getId(request.userId),
+      roomId: getId(request.roomId),
+      data,
+      publicData
+    });
+  } catch (error) {
+    console.error('Failed to publish real-time event:', error);
+  }
+};
+
+// Publish a room activation change
+const publishRoomEvent = (room) => {
+  publish({
+    type: 'room.status_changed',
+    kind: 'room',
+    data: { id: room._id, roomName: room.roomName, isActive: room.isActive }
+  });
+};
+
+/**
+ * Register an SSE response for a user. Sets the stream headers, sends a ready event and
+ * heartbeats, and unregisters the client when the connection closes.
+ */
+const addClient = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const client = { user: req.user, res };
+  clients.add(client);
+
+  writeEvent(res, 0, 'ready', { userId: req.user._id, role: req.user.role });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+const getClientCount = () => clients.size;
+
+module.exports = {
+  addClient,
+  publishRequestEvent,
+  publishRoomEvent,
+  getClientCount
+};
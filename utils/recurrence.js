@@ -0,0 +1,144 @@
+// utils/recurrence.js - Expand recurring booking rules into individual occurrences
+
+const { LIBRARY_TIMEZONE, toLocalDateKey, fromLocalDateTime, addDaysToDateKey } = require('./time');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+
+/**
+ * Validate and normalise a recurrence rule sent by the client.
+ * Accepts either an object or a JSON string (multipart form data).
+ * Throws an Error with a user-facing message when the rule is invalid.
+ */
+const parseRecurrenceRule = (input) => {
+  let rule;
+  try {
+    rule = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    throw new Error('Format aturan pengulangan tidak valid');
+  }
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Format aturan pengulangan tidak valid');
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    throw new Error('Frekuensi pengulangan harus berupa daily, weekly, atau monthly');
+  }
+
+  const interval = rule.interval ? parseInt(rule.interval) : 1;
+  if (isNaN(interval) || interval < 1) {
+    throw new Error('Interval pengulangan minimal 1');
+  }
+
+  if (!rule.until && !rule.count) {
+    throw new Error('Aturan pengulangan harus memiliki tanggal akhir (until) atau jumlah (count)');
+  }
+
+  let until = null;
+  if (rule.until) {
+    until = new Date(rule.until);
+    if (isNaN(until.getTime())) {
+      throw new Error('Format tanggal akhir pengulangan tidak valid');
+    }
+  }
+
+  let count = null;
+  if (rule.count) {
+    count = parseInt(rule.count);
+    if (isNaN(count) || count < 1) {
+      throw new Error('Jumlah pengulangan minimal 1');
+    }
+    if (count > MAX_OCCURRENCES) {
+      throw new Error(`Jumlah pengulangan maksimal ${MAX_OCCURRENCES} kali`);
+    }
+  }
+
+  const skipDates = Array.isArray(rule.skipDates) ? rule.skipDates : [];
+  for (const skipDate of skipDates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(skipDate)) {
+      throw new Error('Format tanggal yang dilewati harus YYYY-MM-DD');
+    }
+  }
+
+  return {
+    frequency: rule.frequency,
+    interval,
+    until,
+    count,
+    skipDates
+  };
+};
+
+// Shift a date by n steps of the given frequency, keeping the local wall-clock time.
+// Returns null for monthly steps that land on a day the month doesn't have (e.g. 31st).
+const shiftDate = (date, frequency, steps, timeZone) => {
+  const dateKey = toLocalDateKey(date, timeZone);
+  const timeOfDayMs = date.getTime() - fromLocalDateTime(dateKey, '00:00', timeZone).getTime();
+  let targetKey;
+
+  if (frequency === 'monthly') {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + steps, day));
+    if (target.getUTCDate() !== day) {
+      return null;
+    }
+    targetKey = target.toISOString().split('T')[0];
+  } else {
+    targetKey = addDaysToDateKey(dateKey, steps * (frequency === 'weekly' ? 7 : 1));
+  }
+
+  return new Date(fromLocalDateTime(targetKey, '00:00', timeZone).getTime() + timeOfDayMs);
+};
+
+/**
+ * Expand a parsed recurrence rule into a list of occurrences.
+ * The first occurrence is always the given start/end time.
+ * Dates are stepped in the given timezone (the room's), defaulting to the library's.
+ * Throws when an until rule yields more than MAX_OCCURRENCES occurrences, rather than
+ * silently cutting the series short.
+ */
+const expandRecurrence = (startTime, endTime, rule, timeZone = LIBRARY_TIMEZONE) => {
+  const duration = endTime.getTime() - startTime.getTime();
+  const skipDates = new Set(rule.skipDates);
+  const untilKey = rule.until ? toLocalDateKey(rule.until, timeZone) : null;
+  const occurrences = [];
+
+  let step = 0;
+  let generated = 0;
+
+  while (true) {
+    if (rule.count && generated >= rule.count) break;
+
+    const occurrenceStart = shiftDate(startTime, rule.frequency, step * rule.interval, timeZone);
+    step++;
+
+    // Monthly rule skipped a short month
+    if (!occurrenceStart) continue;
+
+    const dateKey = toLocalDateKey(occurrenceStart, timeZone);
+    if (untilKey && dateKey > untilKey) break;
+
+    generated++;
+
+    if (skipDates.has(dateKey)) continue;
+
+    if (occurrences.length >= MAX_OCCURRENCES) {
+      throw new Error(`Pengulangan maksimal ${MAX_OCCURRENCES} kali, pilih tanggal akhir yang lebih awal`);
+    }
+
+    occurrences.push({
+      startTime: occurrenceStart,
+      endTime: new Date(occurrenceStart.getTime() + duration),
+      date: dateKey
+    });
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  expandRecurrence
+};
@@ -0,0 +1,98 @@
+// utils/reminders.js - Reminder emails before approved bookings and tours start
+const Booking = require('../models/Booking');
+const LibraryTour = require('../models/LibraryTour');
+const { sendBookingReminder, sendTourReminder } = require('./email');
+const { notifyReminder } = require('./notifications');
+
+// Hours before the start at which reminders go out, e.g. REMINDER_HOURS_BEFORE=24,1
+const REMINDER_HOURS_BEFORE = (process.env.REMINDER_HOURS_BEFORE || '24,1')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => value > 0)
+  .sort((a, b) => a - b);
+
+/**
+ * Send the reminder emails and in-app notifications of one model ('booking' or 'tour')
+ * that are due, closest offset first.
+ * A request that only becomes due after several offsets have passed (e.g. approved
+ * 30 minutes before the start) gets a single reminder and all of those offsets are recorded.
+ */
+const sendDueForModel = async (Model, kind, populate, sendReminder, now) => {
+  let sent = 0;
+  let failed = 0;
+
+  for (const hoursBefore of REMINDER_HOURS_BEFORE) {
+    const windowEnd = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+
+    const requests = await Model.find({
+      status: 'approved',
+      remindersEnabled: { $ne: false },
+      'remindersSent.hoursBefore': { $ne: hoursBefore },
+      startTime: { $gt: now, $lte: windowEnd }
+    }).populate(populate);
+
+    for (const request of requests) {
+      try {
+        await sendReminder(request, hoursBefore);
+      } catch (error) {
+        console.error(`Failed to send reminder for ${Model.modelName} ${request._id}:`, error);
+        failed++;
+        continue;
+      }
+
+      await notifyReminder(kind, request);
+
+      const passedOffsets = REMINDER_HOURS_BEFORE.filter(offset => offset >= hoursBefore);
+      await Model.updateOne(
+        { _id: request._id },
+        {
+          $push: {
+            remindersSent: {
+              $each: passedOffsets
+                .filter(offset => !request.remindersSent.some(entry => entry.hoursBefore === offset))
+                .map(offset => ({ hoursBefore: offset, sentAt: now }))
+            }
+          }
+        }
+      );
+      sent++;
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Send reminders for approved bookings and tours at each configured offset.
+ * Failed sends are retried on the next run.
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const bookings = await sendDueForModel(
+    Booking,
+    'booking',
+    [
+      { path: 'userId', select: 'name email' },
+      { path: 'roomId', select: 'roomName location timezone' }
+    ],
+    sendBookingReminder,
+    now
+  );
+
+  const tours = await sendDueForModel(
+    LibraryTour,
+    'tour',
+    [{ path: 'userId', select: 'name email' }],
+    sendTourReminder,
+    now
+  );
+
+  return {
+    sent: bookings.sent + tours.sent,
+    failed: bookings.failed + tours.failed
+  };
+};
+
+module.exports = {
+  REMINDER_HOURS_BEFORE,
+  sendDueReminders
+};
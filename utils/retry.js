@@ -0,0 +1,22 @@
+// utils/retry.js - Retry schedule shared by the durable delivery queues
+// (email outbox, outgoing webhooks)
+
+// Wait before retry n (1-based); the last value repeats
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+// Deliveries still 'sending' after this long are treated as lost in a crash and queued again
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Deliveries attempted per job run
+const BATCH_SIZE = 50;
+
+const getRetryDelay = (attempt) => {
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempt, RETRY_DELAYS_MINUTES.length) - 1];
+  return minutes * 60 * 1000;
+};
+
+module.exports = {
+  SENDING_TIMEOUT_MS,
+  BATCH_SIZE,
+  getRetryDelay
+};
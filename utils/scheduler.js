@@ -0,0 +1,112 @@
+// utils/scheduler.js - In-process job scheduler
+// Job schedules, locks and run history live in MongoDB, so restarts pick up where the
+// previous process stopped and several instances never run the same job at once.
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { JOBS } = require('./jobs');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const LOCK_LEASE_MS = 10 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let ticking = false;
+
+const getJobDefinition = (name) => JOBS.find(job => job.name === name) || null;
+
+// Create records for new jobs; intervals and enabled flags changed by admins are kept
+const syncJobs = async () => {
+  for (const job of JOBS) {
+    await ScheduledJob.updateOne(
+      { name: job.name },
+      {
+        $set: { description: job.description },
+        $setOnInsert: {
+          intervalMinutes: job.intervalMinutes,
+          enabled: true,
+          nextRunAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Job records of all known jobs, in definition order
+const listJobs = async () => {
+  await syncJobs();
+  const jobs = await ScheduledJob.find({ name: { $in: JOBS.map(job => job.name) } });
+  return JOBS.map(definition => jobs.find(job => job.name === definition.name));
+};
+
+/**
+ * Run a job now ('schedule' or 'manual' trigger) and record the run.
+ * Returns the JobRun, or null when the job is already running elsewhere.
+ */
+const runJob = async (name, { trigger = 'schedule', triggeredBy = null } = {}) => {
+  const definition = getJobDefinition(name);
+  if (!definition) {
+    throw new Error(`Job ${name} tidak dikenal`);
+  }
+
+  const job = await ScheduledJob.acquireLock(name, INSTANCE_ID, LOCK_LEASE_MS);
+  if (!job) {
+    return null;
+  }
+
+  const run = await JobRun.create({ jobName: name, trigger, triggeredBy });
+
+  try {
+    const result = await definition.handler(new Date());
+    await run.finish('success', { result });
+    await job.finishRun('success');
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    await run.finish('failed', { error: error.message });
+    await job.finishRun('failed', error.message);
+  }
+
+  return run;
+};
+
+// Run every enabled job whose next run is due
+const runDueJobs = async () => {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    const dueJobs = await ScheduledJob.find({
+      enabled: true,
+      nextRunAt: { $lte: new Date() }
+    });
+
+    for (const job of dueJobs) {
+      if (getJobDefinition(job.name)) {
+        await runJob(job.name);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start checking for due jobs every minute (long-running servers only)
+const startScheduler = async () => {
+  await syncJobs();
+
+  const tick = () => {
+    runDueJobs().catch(error => console.error('Scheduler error:', error));
+  };
+
+  tick();
+  return setInterval(tick, TICK_INTERVAL_MS);
+};
+
+module.exports = {
+  getJobDefinition,
+  listJobs,
+  runJob,
+  startScheduler
+};
@@ -0,0 +1,357 @@
+// utils/storage.js - Pluggable file storage for uploaded documents and room images
+// STORAGE_DRIVER selects where new uploads are stored:
+//   local - the uploads/ directory on local disk (default)
+//   s3    - an S3-compatible bucket (AWS S3, MinIO, ...): S3_BUCKET, S3_REGION, S3_ENDPOINT,
+//           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY; S3_FORCE_PATH_STYLE defaults to true when
+//           S3_ENDPOINT is set. Room images are linked through S3_PUBLIC_URL (or the bucket
+//           URL), so the rooms/ prefix must be publicly readable; documents never are.
+//
+// Files are stored under a key '<folder>/<filename>' (folder: 'documents' or 'rooms') and
+// referenced in the database (documentPath, image) by a string that names their driver:
+//   local  'uploads/documents/surat_1759246457796-411341760.pdf'
+//   s3     's3://<bucket>/documents/surat_1759246457796-411341760.pdf'
+// so files stay readable after STORAGE_DRIVER changes; `npm run migrate:storage` moves them.
+//
+// Each driver has put(key, buffer, contentType), get(key) -> { stream, contentType, size } or
+// null, remove(key), getUrl(req, key), toReference(key), verify() which throws when the storage
+// cannot be used, and describe() which returns its settings without secrets.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const LOCAL_ROOT = 'uploads';
+const S3_PREFIX = 's3://';
+const REQUEST_TIMEOUT_MS = 30000;
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// Content types of the file types accepted by middleware/upload.js
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+const getContentType = (filename) => CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Keys are '<folder>/<filename>' without '..' segments
+const isValidKey = (key) => {
+  const normalized = path.posix.normalize(key);
+  return normalized === key && !key.startsWith('/') && !key.startsWith('..') && key.includes('/');
+};
+
+const local = {
+  resolve: (key) => {
+    const root = path.resolve(LOCAL_ROOT);
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Path file tidak valid: ${key}`);
+    }
+    return filePath;
+  },
+
+  put: async (key, buffer) => {
+    const filePath = local.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  get: async (key) => {
+    const filePath = local.resolve(key);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      return null;
+    }
+    return { stream: fs.createReadStream(filePath), contentType: getContentType(key), size: stats.size };
+  },
+
+  remove: async (key) => {
+    await fs.promises.unlink(local.resolve(key)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  },
+
+  getUrl: (req, key) => `${req.protocol}://${req.get('host')}/${LOCAL_ROOT}/${key}`,
+
+  toReference: (key) => `${LOCAL_ROOT}/${key}`,
+
+  verify: async () => {
+    const root = path.resolve(LOCAL_ROOT);
+    await fs.promises.mkdir(root, { recursive: true });
+    await fs.promises.access(root, fs.constants.W_OK);
+  },
+
+  describe: () => ({
+    directory: path.resolve(LOCAL_ROOT)
+  })
+};
+
+// S3 settings, read on use so scripts can load .env first
+const getS3Config = () => {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+
+  return {
+    bucket: process.env.S3_BUCKET,
+    region,
+    endpoint,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/+$/, '') : null
+  };
+};
+
+// RFC 3986 encoding required by AWS Signature Version 4
+const encodeKey = (key) => key
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+const getObjectUrl = (config, key = '') => {
+  const endpoint = new URL(config.endpoint);
+  return config.forcePathStyle
+    ? `${endpoint.origin}/${config.bucket}/${encodeKey(key)}`
+    : `${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodeKey(key)}`;
+};
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// Send a request signed with AWS Signature Version 4
+const s3Request = async (method, key, { body, contentType } = {}) => {
+  const config = getS3Config();
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID dan S3_SECRET_ACCESS_KEY harus diatur');
+  }
+
+  const url = new URL(getObjectUrl(config, key));
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = body ? crypto.createHash('sha256').update(body).digest('hex') : EMPTY_PAYLOAD_HASH;
+
+  const headers = {
+    'host': url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(contentType ? { 'content-type': contentType } : {})
+  };
+  const signedHeaders = Object.keys(headers).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...signedHeaders.map(name => `${name}:${headers[name]}`),
+    '',
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (signing, part) => hmac(signing, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  delete headers.host;
+  return fetch(url, {
+    method,
+    headers: {
+      ...headers,
+      'Authorization': `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+};
+
+const s3Error = async (action, response) => {
+  return new Error(`S3 ${action} gagal: ${response.status} ${await response.text()}`);
+};
+
+const s3 = {
+  put: async (key, buffer, contentType) => {
+    const response = await s3Request('PUT', key, { body: buffer, contentType: contentType || getContentType(key) });
+    if (!response.ok) {
+      throw await s3Error('upload', response);
+    }
+  },
+
+  get: async (key) => {
+    const response = await s3Request('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw await s3Error('download', response);
+    }
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType: response.headers.get('content-type'),
+      size: parseInt(response.headers.get('content-length')) || null
+    };
+  },
+
+  remove: async (key) => {
+    const response = await s3Request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw await s3Error('delete', response);
+    }
+  },
+
+  getUrl: (req, key) => {
+    const config = getS3Config();
+    return config.publicUrl ? `${config.publicUrl}/${encodeKey(key)}` : getObjectUrl(config, key);
+  },
+
+  toReference: (key) => `${S3_PREFIX}${getS3Config().bucket}/${key}`,
+
+  verify: async () => {
+    const response = await s3Request('HEAD', '');
+    if (!response.ok) {
+      throw new Error(`Bucket S3 tidak dapat diakses: ${response.status}`);
+    }
+  },
+
+  describe: () => {
+    const config = getS3Config();
+    return {
+      bucket: config.bucket || 'not set',
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      accessKeyId: config.accessKeyId ? '***configured***' : 'not set',
+      publicUrl: config.publicUrl || 'not set'
+    };
+  }
+};
+
+const DRIVERS = {
+  local,
+  s3
+};
+
+// Name of the driver new uploads are stored with
+const getStorageDriverName = () => (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+const getDriver = (name) => {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Storage driver "${name}" tidak dikenal (pilihan: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return driver;
+};
+
+/**
+ * Driver name and key of a stored file reference, e.g.
+ * 'uploads/rooms/a.jpg' -> { driver: 'local', key: 'rooms/a.jpg' }.
+ * Returns null for references that are not valid.
+ */
+const parseReference = (reference) => {
+  if (typeof reference !== 'string' || !reference) {
+    return null;
+  }
+
+  let parsed;
+  if (reference.startsWith(S3_PREFIX)) {
+    const [bucket, ...keyParts] = reference.slice(S3_PREFIX.length).split('/');
+    parsed = { driver: 's3', bucket, key: keyParts.join('/') };
+  } else {
+    const localPath = reference.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!localPath.startsWith(`${LOCAL_ROOT}/`)) {
+      return null;
+    }
+    parsed = { driver: 'local', key: localPath.slice(LOCAL_ROOT.length + 1) };
+  }
+
+  return isValidKey(parsed.key) ? parsed : null;
+};
+
+const requireReference = (reference) => {
+  const parsed = parseReference(reference);
+  if (!parsed) {
+    throw new Error(`Referensi file tidak valid: ${reference}`);
+  }
+  return parsed;
+};
+
+/**
+ * Store a file under '<folder>/<filename>' and return its reference for the database.
+ * Uses the STORAGE_DRIVER driver unless driverName is given.
+ */
+const saveFile = async (folder, filename, buffer, contentType, driverName = getStorageDriverName()) => {
+  const key = `${folder}/${filename}`;
+  if (!isValidKey(key)) {
+    throw new Error(`Nama file tidak valid: ${key}`);
+  }
+
+  const driver = getDriver(driverName);
+  await driver.put(key, buffer, contentType);
+  return driver.toReference(key);
+};
+
+// { stream, contentType, size } of a stored file, or null when it does not exist
+const readFile = async (reference) => {
+  const { driver, key } = requireReference(reference);
+  return getDriver(driver).get(key);
+};
+
+// Delete a stored file; missing files are ignored
+const deleteStoredFile = async (reference) => {
+  if (!reference) {
+    return;
+  }
+  const { driver, key } = requireReference(reference);
+  await getDriver(driver).remove(key);
+};
+
+// Public URL of a stored file (room images only; documents go through utils/documents.js)
+const getFileUrl = (req, reference) => {
+  const parsed = parseReference(reference);
+  return parsed ? getDriver(parsed.driver).getUrl(req, parsed.key) : null;
+};
+
+// Check that the active driver can store files; throws with the reason when it cannot
+const verifyStorage = async () => {
+  await getDriver(getStorageDriverName()).verify();
+};
+
+// Active driver and its settings without secrets, for diagnostics
+const describeStorage = () => {
+  const name = getStorageDriverName();
+  const driver = DRIVERS[name];
+
+  return {
+    driver: name,
+    ...(driver ? driver.describe() : {})
+  };
+};
+
+module.exports = {
+  STORAGE_DRIVERS: Object.keys(DRIVERS),
+  getStorageDriverName,
+  getContentType,
+  parseReference,
+  saveFile,
+  readFile,
+  deleteStoredFile,
+  getFileUrl,
+  verifyStorage,
+  describeStorage
+};
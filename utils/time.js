@@ -0,0 +1,164 @@
+// utils/time.js - Library-local date/time helpers
+// Scheduling rules (operating hours, tour hours, calendars, stats) are expressed in the
+// library's wall-clock time and must not depend on the timezone the server runs in.
+// The library timezone is set with LIBRARY_TIMEZONE (IANA name, default Asia/Jakarta);
+// rooms may override it with their own timezone.
+
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+// Cached Intl formatter that splits an instant into wall-clock parts
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check whether a string is a valid IANA timezone name
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const LIBRARY_TIMEZONE = (() => {
+  const configured = process.env.LIBRARY_TIMEZONE;
+  if (!configured) {
+    return DEFAULT_TIMEZONE;
+  }
+  if (!isValidTimeZone(configured)) {
+    console.warn(`⚠️  LIBRARY_TIMEZONE "${configured}" tidak valid, menggunakan ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+  return configured;
+})();
+
+// Offset (local - UTC) in milliseconds of a timezone at a given instant
+const getTimeZoneOffsetMs = (date, timeZone = LIBRARY_TIMEZONE) => {
+  const time = new Date(date).getTime();
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const asUTC = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour) % 24,
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return asUTC - (time - (((time % 1000) + 1000) % 1000));
+};
+
+// Wall-clock representation of an instant, as a Date whose UTC fields hold local values
+const toWallClock = (date, timeZone) => {
+  return new Date(new Date(date).getTime() + getTimeZoneOffsetMs(date, timeZone));
+};
+
+// Local calendar date of an instant, e.g. '2025-09-30'
+const toLocalDateKey = (date, timeZone = LIBRARY_TIMEZONE) => {
+  return toWallClock(date, timeZone).toISOString().split('T')[0];
+};
+
+// Minutes since local midnight of an instant
+const toLocalMinutes = (date, timeZone = LIBRARY_TIMEZONE) => {
+  const local = toWallClock(date, timeZone);
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+};
+
+// 'HH:MM' -> minutes since midnight
+const parseTimeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight -> 'HH:MM'
+const formatMinutes = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Instant for a local date ('YYYY-MM-DD') and wall-clock time ('HH:MM')
+const fromLocalDateTime = (dateKey, time = '00:00', timeZone = LIBRARY_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClockMs = Date.UTC(year, month - 1, day) + parseTimeToMinutes(time) * 60 * 1000;
+
+  // Resolve the offset twice so DST transitions land on the right side
+  const firstGuess = wallClockMs - getTimeZoneOffsetMs(wallClockMs, timeZone);
+  return new Date(wallClockMs - getTimeZoneOffsetMs(firstGuess, timeZone));
+};
+
+// Shift a local date key by a number of days
+const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+// Day of week (0 = Sunday) of a local date key
+const getDayOfWeek = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Date keys of the first day of a month (1-12) and of the following month
+const getMonthRange = (year, month) => {
+  return {
+    firstDay: `${year}-${String(month).padStart(2, '0')}-01`,
+    nextMonth: new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0]
+  };
+};
+
+// Start (local midnight) of a statistics period ending now: week, month (default) or year
+const getPeriodStart = (period, now = new Date(), timeZone = LIBRARY_TIMEZONE) => {
+  const [year, month, day] = toLocalDateKey(now, timeZone).split('-').map(Number);
+  let start;
+
+  switch (period) {
+    case 'week':
+      start = Date.UTC(year, month - 1, day - 7);
+      break;
+    case 'year':
+      start = Date.UTC(year - 1, month - 1, day);
+      break;
+    default:
+      start = Date.UTC(year, month - 2, day);
+  }
+
+  return fromLocalDateTime(new Date(start).toISOString().split('T')[0], '00:00', timeZone);
+};
+
+module.exports = {
+  DAY_MS,
+  LIBRARY_TIMEZONE,
+  isValidTimeZone,
+  getTimeZoneOffsetMs,
+  toLocalDateKey,
+  toLocalMinutes,
+  parseTimeToMinutes,
+  formatMinutes,
+  fromLocalDateTime,
+  addDaysToDateKey,
+  getDayOfWeek,
+  getMonthRange,
+  getPeriodStart
+};
@@ -0,0 +1,124 @@
+// utils/waitlist.js - Promote waitlisted requests when a room slot is freed
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Closure = require('../models/Closure');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendWaitlistPromotionEmail } = require('./email');
+const { notifyRequestCreated } = require('./notifications');
+const { getBookingQuotaError } = require('./quota');
+
+// Whether the entry's slot can still be booked at all: the room is active and open and
+// no closure was added since the entry joined the waitlist (same checks as POST /bookings)
+const isSlotBookable = async (entry, room) => {
+  if (!room || !room.isActive) {
+    return false;
+  }
+
+  if (room.getOperatingHoursError(entry.startTime, entry.endTime)) {
+    return false;
+  }
+
+  const closure = await Closure.checkConflict(entry.startTime, entry.endTime, room._id, room.getTimeZone());
+  return !closure;
+};
+
+/**
+ * Promote waiting entries that overlap a freed booking slot.
+ * Entries are processed oldest first; an entry is only promoted when its
+ * whole time range is free again, so later entries that overlap an already
+ * promoted one stay on the waitlist.
+ * Entries whose slot can no longer be booked expire; entries of users who are
+ * suspended or over quota keep waiting, since that can change before the slot.
+ * Returns the bookings that were created.
+ */
+const promoteWaitlist = async (freedBooking) => {
+  const entries = await WaitlistEntry.findWaiting(
+    freedBooking.roomId._id || freedBooking.roomId,
+    freedBooking.startTime,
+    freedBooking.endTime
+  );
+
+  const promotedBookings = [];
+
+  for (const entry of entries) {
+    // Slot already passed - nothing to promote
+    if (entry.startTime < new Date()) {
+      entry.status = 'expired';
+      await entry.save();
+      continue;
+    }
+
+    const conflictingBooking = await Booking.checkConflict(
+      entry.roomId,
+      entry.startTime,
+      entry.endTime
+    );
+
+    if (conflictingBooking) {
+      continue;
+    }
+
+    const [room, user] = await Promise.all([
+      Room.findById(entry.roomId),
+      User.findById(entry.userId)
+    ]);
+
+    if (!user || !(await isSlotBookable(entry, room))) {
+      entry.status = 'expired';
+      await entry.save();
+      continue;
+    }
+
+    const quotaError = await getBookingQuotaError(user, entry.startTime, entry.endTime);
+    if (quotaError) {
+      continue;
+    }
+
+    const booking = await Booking.create({
+      userId: entry.userId,
+      roomId: entry.roomId,
+      activityName: entry.activityName,
+      purpose: entry.purpose,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      documentPath: entry.documentPath,
+      participantsCount: entry.participantsCount,
+      contactPerson: entry.contactPerson,
+      equipment: entry.equipment,
+      notes: entry.notes,
+      statusHistory: [{
+        status: 'pending',
+        changedAt: new Date(),
+        note: 'Dipromosikan dari daftar tunggu'
+      }]
+    });
+
+    entry.status = 'promoted';
+    entry.promotedBookingId = booking._id;
+    entry.promotedAt = new Date();
+    await entry.save();
+
+    await booking.populate([
+      { path: 'userId', select: 'name email' },
+      { path: 'roomId', select: 'roomName timezone' }
+    ]);
+
+    try {
+      await sendWaitlistPromotionEmail(booking);
+    } catch (emailError) {
+      console.error('Failed to send waitlist promotion email:', emailError);
+      // Don't fail the promotion if email fails
+    }
+
+    await notifyRequestCreated('booking', booking, booking.userId);
+
+    promotedBookings.push(booking);
+  }
+
+  return promotedBookings;
+};
+
+module.exports = {
+  promoteWaitlist
+};
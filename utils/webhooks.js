@@ -0,0 +1,281 @@
+// utils/webhooks.js - Outgoing webhooks for booking, tour, room and user events
+// Each event is stored as one delivery per subscribed endpoint before it is sent, so a
+// slow or unreachable endpoint never blocks the action that raised the event. Failed
+// deliveries are retried with backoff by the 'webhook-deliveries' job.
+//
+// Every request is a POST with the JSON body { id, event, createdAt, data } and headers:
+//   X-Webhook-Id         delivery ID (stable across retries and replays)
+//   X-Webhook-Event      event name, e.g. 'booking.approved'
+//   X-Webhook-Timestamp  Unix time in seconds of this attempt
+//   X-Webhook-Signature  'sha256=' + HMAC-SHA256 of '<timestamp>.<body>' with the webhook secret
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { SENDING_TIMEOUT_MS, BATCH_SIZE, getRetryDelay } = require('./retry');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const postDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PerpusBooking-Webhook/1.0',
+      'X-Webhook-Id': String(delivery._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Endpoint membalas dengan status HTTP ${response.status}`);
+    error.responseStatus = response.status;
+    throw error;
+  }
+
+  return response.status;
+};
+
+/**
+ * Make one delivery attempt.
+ * Returns the updated delivery, or null when it is not due or another process claimed it.
+ */
+const deliverWebhook = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'queued', nextAttemptAt: { $lte: now } },
+    {
+      $set: { status: 'sending', sendingStartedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!delivery) {
+    return null;
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  const startedAt = Date.now();
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.lastError = webhook ? 'Webhook tidak aktif' : 'Webhook sudah dihapus';
+    delivery.nextAttemptAt = null;
+    delivery.log.push({ status: 'failed', attempt: delivery.attempts, error: delivery.lastError });
+  } else {
+    try {
+      delivery.responseStatus = await postDelivery(webhook, delivery);
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+      delivery.log.push({
+        status: 'delivered',
+        attempt: delivery.attempts,
+        responseStatus: delivery.responseStatus,
+        durationMs: Date.now() - startedAt
+      });
+    } catch (error) {
+      const exhausted = delivery.attempts >= delivery.maxAttempts;
+
+      delivery.status = exhausted ? 'failed' : 'queued';
+      delivery.responseStatus = error.responseStatus || null;
+      delivery.lastError = error.message;
+      delivery.nextAttemptAt = exhausted ? null : new Date(Date.now() + getRetryDelay(delivery.attempts));
+      delivery.log.push({
+        status: 'failed',
+        attempt: delivery.attempts,
+        responseStatus: delivery.responseStatus,
+        durationMs: Date.now() - startedAt,
+        error: error.message,
+        note: exhausted ? 'Batas percobaan pengiriman tercapai' : `Dicoba lagi pada ${delivery.nextAttemptAt.toISOString()}`
+      });
+
+      console.error(`Webhook delivery ${delivery._id} (${delivery.event}) to ${webhook.url} failed (attempt ${delivery.attempts}):`, error.message);
+    }
+
+    webhook.lastDeliveryAt = new Date();
+    webhook.lastDeliveryStatus = delivery.status === 'delivered' ? 'delivered' : 'failed';
+    await webhook.save();
+  }
+
+  delivery.sendingStartedAt = null;
+  await delivery.save();
+  return delivery;
+};
+
+// Start a delivery attempt without waiting for the endpoint
+const deliverInBackground = (deliveryId) => {
+  deliverWebhook(deliveryId).catch(error => {
+    console.error(`Webhook delivery ${deliveryId} failed:`, error);
+  });
+};
+
+/**
+ * Queue an event for every active webhook subscribed to it and start delivering.
+ * Returns the number of queued deliveries. Never throws.
+ */
+const emitWebhookEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('_id');
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      event,
+      payload: data,
+      maxAttempts: MAX_ATTEMPTS,
+      log: [{ status: 'queued' }]
+    })));
+
+    deliveries.forEach(delivery => deliverInBackground(delivery._id));
+    return deliveries.length;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Booking or tour event: '<kind>.created' for new requests, '<kind>.<status>'
+ * after a status change. Statuses without a webhook event are ignored.
+ */
+const emitRequestEvent = (kind, request, action, { previousStatus = null, changedBy = null } = {}) => {
+  const event = `${kind}.${action}`;
+  if (!Webhook.EVENTS.includes(event)) {
+    return Promise.resolve(0);
+  }
+
+  const common = {
+    id: request._id,
+    status: request.status,
+    previousStatus,
+    userId: getId(request.userId),
+    startTime: request.startTime,
+    adminNote: request.adminNote || '',
+    changedBy: getId(changedBy)
+  };
+
+  const data = kind === 'booking'
+    ? {
+      ...common,
+      roomId: getId(request.roomId),
+      activityName: request.activityName,
+      endTime: request.endTime,
+      participantsCount: request.participantsCount,
+      seriesId: request.seriesId || null
+    }
+    : {
+      ...common,
+      groupName: request.groupName,
+      numberOfParticipants: request.numberOfParticipants,
+      tourType: request.tourType,
+      duration: request.duration,
+      guideId: getId(request.guideId) || null,
+      assignedGuide: request.assignedGuide || null
+    };
+
+  return emitWebhookEvent(event, data);
+};
+
+// 'room.activated' or 'room.deactivated'
+const emitRoomEvent = (room) => {
+  return emitWebhookEvent(room.isActive ? 'room.activated' : 'room.deactivated', {
+    id: room._id,
+    roomName: room.roomName,
+    isActive: room.isActive
+  });
+};
+
+const emitUserRegistered = (user) => {
+  return emitWebhookEvent('user.registered', {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    originInstitution: user.originInstitution,
+    role: user.role,
+    language: user.language,
+    createdAt: user.createdAt
+  });
+};
+
+/**
+ * Deliver all queued deliveries that are due and release deliveries stuck in 'sending'
+ * after a crash. Run by the 'webhook-deliveries' job.
+ */
+const processWebhookDeliveries = async (now = new Date()) => {
+  const { modifiedCount: released } = await WebhookDelivery.updateMany(
+    { status: 'sending', sendingStartedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } },
+    { $set: { status: 'queued', sendingStartedAt: null, nextAttemptAt: now } }
+  );
+
+  const dueDeliveries = await WebhookDelivery.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  let delivered = 0;
+  let failed = 0;
+
+  for (const { _id } of dueDeliveries) {
+    const delivery = await deliverWebhook(_id, now);
+    if (delivery && delivery.status === 'delivered') {
+      delivered++;
+    } else if (delivery) {
+      failed++;
+    }
+  }
+
+  return { released, delivered, failed };
+};
+
+/**
+ * Send a stored delivery again with the same ID and payload and wait for the attempt.
+ * Returns { error } when it cannot be replayed, otherwise { delivery }.
+ */
+const replayDelivery = async (delivery, user) => {
+  if (delivery.status === 'sending') {
+    return { error: 'Webhook sedang dalam proses pengiriman' };
+  }
+
+  delivery.status = 'queued';
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = new Date();
+  delivery.lastError = null;
+  delivery.log.push({ status: 'queued', note: `Dikirim ulang oleh ${user.name}` });
+  await delivery.save();
+
+  return { delivery: (await deliverWebhook(delivery._id)) || delivery };
+};
+
+module.exports = {
+  generateSecret,
+  emitWebhookEvent,
+  emitRequestEvent,
+  emitRoomEvent,
+  emitUserRegistered,
+  processWebhookDeliveries,
+  replayDelivery
+};